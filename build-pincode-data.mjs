@@ -0,0 +1,147 @@
+/**
+ * Builds src/data/pincodes.tsv.gz, the offline pincode table of src/pincodes.js, from India Post data
+ * published on npm: pincode centroids from `pincode-lat-long`, post offices (names, coordinates, district,
+ * state) from `india-pincode`. Both are devDependencies; run `npm run build:pincodes` after updating them.
+ *
+ * One line per pincode: pincode, latitude, longitude, district, state and its post offices as
+ * `name:latitude:longitude` joined by `|` (just `name` when the office has no usable coordinates).
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { pathToFileURL } from 'node:url';
+import { gunzipSync, gzipSync } from 'node:zlib';
+
+const require = createRequire(import.meta.url);
+const OUTPUT_FILE = new URL('./src/data/pincodes.tsv.gz', import.meta.url);
+
+// Post offices farther than this from their pincode's centroid have wrong coordinates in the source data
+const MAX_OFFICE_DISTANCE_KM = 25;
+
+// See the district fix below
+const MAX_STRAY_STATE_ROWS = 2;
+
+const isInsideIndia = (latitude, longitude) => latitude >= 6.4 && latitude <= 37.1
+    && longitude >= 68.1 && longitude <= 97.4;
+
+const distanceKm = (lat1, lng1, lat2, lng2) => {
+    const rad = Math.PI / 180;
+    const x = (lng2 - lng1) * rad * Math.cos(((lat1 + lat2) / 2) * rad);
+    const y = (lat2 - lat1) * rad;
+    return Math.sqrt(x * x + y * y) * 6371;
+};
+
+const mostCommon = (values) => {
+    const counts = new Map();
+    for (const value of values) counts.set(value, (counts.get(value) ?? 0) + 1);
+    return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0];
+};
+
+const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+const titleCase = (text) => (text === text.toUpperCase()
+    ? text.toLowerCase().replace(/(^|[\s(-])(\p{L})/gu, (match, gap, letter) => `${gap}${letter.toUpperCase()}`)
+    : text);
+
+// "Koramangala S.O", "Noida HO", "Azad Nagar S.O (Mumbai)" -> the locality name
+const cleanOfficeName = (name) => titleCase(String(name)
+    .replace(/\s*\([^)]*\)\s*$/, '')
+    .replace(/\s+(?:[BSH]\s?\.?\s?O|G\.?\s?P\.?\s?O)\.?$/i, '')
+    .replace(/[\t:|]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim());
+
+// eslint-disable-next-line import/no-extraneous-dependencies -- only needed to build the table
+const centroids = require('pincode-lat-long/pincode.js');
+// The package does not export its data file; it sits next to its dist/ folder
+const officeDataFile = new URL('../data/pincodes.json.gz', pathToFileURL(require.resolve('india-pincode')));
+const offices = JSON.parse(gunzipSync(readFileSync(officeDataFile)).toString('utf8'));
+
+const officesByPincode = new Map(Object.keys(centroids).map((pincode) => [pincode, []]));
+for (const office of offices) {
+    if (!officesByPincode.has(office.p)) officesByPincode.set(office.p, []);
+    officesByPincode.get(office.p).push(office);
+}
+
+const rows = [];
+let skipped = 0;
+for (const [pincode, pincodeOffices] of [...officesByPincode].sort(([a], [b]) => a.localeCompare(b))) {
+    if (!/^[1-9]\d{5}$/.test(pincode)) continue;
+    const located = pincodeOffices.filter((office) => isInsideIndia(office.a, office.n));
+    const centroid = centroids[pincode];
+    let latitude;
+    let longitude;
+    if (centroid && isInsideIndia(centroid.lat, centroid.long)) {
+        latitude = centroid.lat;
+        longitude = centroid.long;
+    } else if (located.length > 0) {
+        latitude = median(located.map((office) => office.a));
+        longitude = median(located.map((office) => office.n));
+    } else {
+        skipped++;
+        continue;
+    }
+
+    const localities = new Map();
+    for (const office of pincodeOffices) {
+        const name = cleanOfficeName(office.o);
+        if (!name || localities.has(name.toLowerCase())) continue;
+        const usable = isInsideIndia(office.a, office.n)
+            && distanceKm(latitude, longitude, office.a, office.n) <= MAX_OFFICE_DISTANCE_KM;
+        localities.set(name.toLowerCase(), usable ? `${name}:${office.a.toFixed(4)}:${office.n.toFixed(4)}` : name);
+    }
+
+    const named = pincodeOffices.filter((office) => office.s && office.s !== 'NA' && office.i && office.i !== 'NA');
+    const state = mostCommon(named.map((office) => office.s));
+    const district = mostCommon(named.filter((office) => office.s === state).map((office) => office.i));
+    rows.push({
+        pincode,
+        latitude,
+        longitude,
+        district: district ? titleCase(district) : '',
+        state: state ? titleCase(state) : '',
+        localities: [...localities.values()],
+    });
+}
+
+// Some pincodes have no district or the district of a far away state in the source data. The first three
+// digits of a pincode name its postal region, which mostly lies in one state: a pincode without a state, or
+// with one that no more than MAX_STRAY_STATE_ROWS pincodes of its region share, takes district and state
+// from the nearest pincode of the region's main state.
+const rowsByRegion = new Map();
+for (const row of rows) {
+    const region = row.pincode.slice(0, 3);
+    if (!rowsByRegion.has(region)) rowsByRegion.set(region, []);
+    rowsByRegion.get(region).push(row);
+}
+let fixed = 0;
+for (const [, regionRows] of rowsByRegion) {
+    const regionState = mostCommon(regionRows.map((row) => row.state).filter(Boolean));
+    if (!regionState) continue;
+    for (const row of regionRows) {
+        const sharing = regionRows.filter((other) => other.state === row.state).length;
+        if (row.state === regionState || (row.state && sharing > MAX_STRAY_STATE_ROWS)) continue;
+        const nearest = regionRows
+            .filter((other) => other.state === regionState)
+            .sort((a, b) => distanceKm(row.latitude, row.longitude, a.latitude, a.longitude)
+                - distanceKm(row.latitude, row.longitude, b.latitude, b.longitude))[0];
+        row.district = nearest.district;
+        row.state = nearest.state;
+        fixed++;
+    }
+}
+
+const lines = ['# pincode\tlatitude\tlongitude\tdistrict\tstate\tpost offices (India Post data)'];
+for (const row of rows) {
+    lines.push([
+        row.pincode,
+        row.latitude.toFixed(4),
+        row.longitude.toFixed(4),
+        row.district,
+        row.state,
+        row.localities.join('|'),
+    ].join('\t'));
+}
+
+writeFileSync(OUTPUT_FILE, gzipSync(`${lines.join('\n')}\n`, { level: 9 }));
+process.stdout.write(`Wrote ${rows.length} pincodes to ${OUTPUT_FILE.pathname} (${skipped} without coordinates `
+    + `skipped, ${fixed} districts taken from a neighbouring pincode)\n`);
@@ -0,0 +1,246 @@
+// End-to-end tests - the actor with the real PlaywrightCrawler against the mock Blinkit site. Needs
+// Chromium (`npx playwright install chromium`); run with `npm run test:e2e`.
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { existsSync } from 'node:fs';
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+import { chromium } from 'playwright';
+
+import { MOCK_SEARCHES, PAGE_SIZE, startMockBlinkit } from './mock-blinkit.js';
+
+const MAIN_SCRIPT = fileURLToPath(new URL('../src/main.js', import.meta.url));
+const RUN_TIMEOUT_MS = 10 * 60_000;
+
+const missingBrowser = existsSync(chromium.executablePath())
+    ? false
+    : 'Chromium is not installed (npx playwright install chromium)';
+
+// Runs the actor in its own process, like `npm start`, with its local storage in a temporary directory
+const runActor = async (input, { origin }) => {
+    const storageDir = await mkdtemp(path.join(tmpdir(), 'blinkit-e2e-'));
+    const storeDir = path.join(storageDir, 'key_value_stores', 'default');
+    await mkdir(storeDir, { recursive: true });
+    await writeFile(path.join(storeDir, 'INPUT.json'), JSON.stringify(input));
+
+    const child = spawn(process.execPath, [MAIN_SCRIPT], {
+        env: { ...process.env, BLINKIT_ORIGIN: origin, CRAWLEE_STORAGE_DIR: storageDir },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let output = '';
+    child.stdout.on('data', (chunk) => { output += chunk; });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+    const exitCode = await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`The actor run did not finish in time:\n${output}`));
+        }, RUN_TIMEOUT_MS);
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            resolve(code);
+        });
+    });
+
+    const datasetDir = path.join(storageDir, 'datasets', 'default');
+    const itemFiles = (await readdir(datasetDir).catch(() => [])).filter((file) => file.endsWith('.json')).sort();
+    const items = [];
+    for (const file of itemFiles) items.push(JSON.parse(await readFile(path.join(datasetDir, file), 'utf8')));
+
+    return {
+        exitCode,
+        output,
+        items,
+        readRecord: async (key) => JSON.parse(await readFile(path.join(storeDir, `${key}.json`), 'utf8')),
+        hasRecord: (fileName) => existsSync(path.join(storeDir, fileName)),
+        cleanup: () => rm(storageDir, { recursive: true, force: true }),
+    };
+};
+
+describe('crawler against the mock Blinkit site', { skip: missingBrowser }, () => {
+    const latitude = 12.9352;
+    const longitude = 77.6245;
+    let mock;
+    let run;
+    let summary;
+
+    const itemsFor = (query) => run.items.filter((item) => item.search_query === query);
+
+    before(async () => {
+        mock = await startMockBlinkit();
+        run = await runActor({
+            search_queries: ['milk', 'eggs', 'bread', 'blocked-once'],
+            results_wanted: 100,
+            proxyConfiguration: { useApifyProxy: false },
+            setGeolocation: true,
+            latitude,
+            longitude,
+        }, { origin: mock.origin });
+        assert.equal(run.exitCode, 0, run.output);
+        summary = await run.readRecord('RUN_SUMMARY');
+    }, { timeout: RUN_TIMEOUT_MS + 60_000 });
+
+    after(async () => {
+        await mock?.close();
+        await run?.cleanup();
+    });
+
+    it('reads the Redux listing, scrolls for the next page and pages the JSON endpoint directly', () => {
+        const milk = itemsFor('milk');
+        assert.equal(milk.length, MOCK_SEARCHES.milk.products);
+        assert.equal(new Set(milk.map((item) => item.product_id)).size, milk.length);
+        assert.ok(milk.every((item) => item.price > 0 && item.product_name.startsWith('Milk Product')));
+
+        // Page 2 came from scrolling, pages 3 to 5 from direct pagination, and the empty page 6 ended it
+        assert.ok(mock.apiCalls.includes('/v1/layout/search?q=milk&page=2'));
+        assert.ok(mock.apiCalls.includes('/v1/layout/search?q=milk&page=5'));
+        assert.ok(mock.apiCalls.includes('/v1/layout/search?q=milk&page=6'));
+        assert.ok(summary.labels['Redux Store'].products >= PAGE_SIZE);
+        // The second page of milk and of eggs
+        assert.equal(summary.sources.network_json.products, 2 * PAGE_SIZE);
+    });
+
+    it('pages offset endpoints by their limit', () => {
+        assert.equal(itemsFor('eggs').length, MOCK_SEARCHES.eggs.products);
+        assert.ok(mock.apiCalls.includes('/v2/listing/search?q=eggs&offset=24&limit=12'));
+        // Everything after the second page of milk and of eggs
+        const pagedDirectly = MOCK_SEARCHES.milk.products + MOCK_SEARCHES.eggs.products - 4 * PAGE_SIZE;
+        assert.equal(summary.sources.direct_paged_json.products, pagedDirectly);
+    });
+
+    it('reads __NEXT_DATA__ when the page has no Redux store', () => {
+        assert.equal(itemsFor('bread').length, MOCK_SEARCHES.bread.products);
+        assert.equal(summary.sources.next_data.products, MOCK_SEARCHES.bread.products);
+    });
+
+    it('retries a captcha page on a new session', () => {
+        assert.equal(mock.visits['blocked-once'], 2);
+        assert.equal(itemsFor('blocked-once').length, MOCK_SEARCHES['blocked-once'].products);
+        assert.ok(summary.blocks.detected >= 1);
+        assert.ok(summary.blocks.retried >= 1);
+        assert.deepEqual(summary.blocks.failed_urls, []);
+        assert.ok(run.hasRecord('blocked-page.html'));
+    });
+
+    it('sets the browser geolocation from the input', () => {
+        assert.ok(mock.locations.length > 0);
+        assert.ok(mock.locations.every((reported) => reported.latitude === latitude
+            && reported.longitude === longitude));
+    });
+
+    it('counts every saved product in RUN_SUMMARY', () => {
+        assert.equal(summary.total_products, run.items.length);
+        for (const query of summary.queries) {
+            assert.equal(query.products, itemsFor(query.query).length);
+            assert.equal(query.exhausted, true);
+        }
+    });
+});
+
+describe('HTTP mode against the mock Blinkit site', { skip: missingBrowser }, () => {
+    let mock;
+    let run;
+    let summary;
+
+    const itemsFor = (query) => run.items.filter((item) => item.search_query === query);
+
+    before(async () => {
+        mock = await startMockBlinkit();
+        run = await runActor({
+            search_queries: ['milk', 'eggs'],
+            results_wanted: 100,
+            mode: 'http',
+            proxyConfiguration: { useApifyProxy: false },
+        }, { origin: mock.origin });
+        assert.equal(run.exitCode, 0, run.output);
+        summary = await run.readRecord('RUN_SUMMARY');
+    }, { timeout: RUN_TIMEOUT_MS + 60_000 });
+
+    after(async () => {
+        await mock?.close();
+        await run?.cleanup();
+    });
+
+    it('fetches the pages after the ones the browser showed over HTTP', () => {
+        const milk = itemsFor('milk');
+        assert.equal(milk.length, MOCK_SEARCHES.milk.products);
+        assert.deepEqual(
+            milk.map((item) => item.search_rank).sort((a, b) => a - b),
+            Array.from({ length: milk.length }, (_, i) => i + 1),
+        );
+
+        // The browser showed page 1 (Redux) and page 2 (scrolled), HTTP went on from page 3 to the empty page 6
+        assert.ok(!mock.apiCalls.includes('/v1/layout/search?q=milk&page=1'));
+        assert.ok(mock.apiCalls.includes('/v1/layout/search?q=milk&page=3'));
+        assert.ok(mock.apiCalls.includes('/v1/layout/search?q=milk&page=6'));
+        assert.ok(summary.sources.http_json.products >= MOCK_SEARCHES.milk.products - 2 * PAGE_SIZE);
+    });
+
+    it('fetches the other searches over HTTP without loading their page', () => {
+        assert.equal(itemsFor('eggs').length, MOCK_SEARCHES.eggs.products);
+        assert.equal(mock.visits.milk, 1);
+        assert.equal(mock.visits.eggs, undefined);
+        assert.ok(mock.apiCalls.includes('/v1/layout/search?q=eggs&page=1'));
+        // Pages 3 to 5 of milk and every page of eggs
+        const overHttp = MOCK_SEARCHES.milk.products - 2 * PAGE_SIZE + MOCK_SEARCHES.eggs.products;
+        assert.equal(summary.sources.http_json.products, overHttp);
+    });
+
+    it('reads every listing to its end', () => {
+        assert.equal(summary.total_products, run.items.length);
+        for (const query of summary.queries) {
+            assert.equal(query.products, itemsFor(query.query).length);
+            assert.equal(query.exhausted, true);
+        }
+    });
+});
+
+describe('HTTP mode with several locations against the mock Blinkit site', { skip: missingBrowser }, () => {
+    const locations = [
+        { label: 'Koramangala', latitude: 12.9352, longitude: 77.6245 },
+        { label: 'Andheri', latitude: 19.1197, longitude: 72.8468 },
+    ];
+    let mock;
+    let run;
+    let summary;
+
+    const itemsFor = (query, label) => run.items.filter((item) => item.search_query === query
+        && item.location_label === label);
+
+    before(async () => {
+        mock = await startMockBlinkit();
+        run = await runActor({
+            search_queries: ['milk', 'eggs'],
+            results_wanted: 100,
+            mode: 'http',
+            locations,
+            proxyConfiguration: { useApifyProxy: false },
+        }, { origin: mock.origin });
+        assert.equal(run.exitCode, 0, run.output);
+        summary = await run.readRecord('RUN_SUMMARY');
+    }, { timeout: RUN_TIMEOUT_MS + 60_000 });
+
+    after(async () => {
+        await mock?.close();
+        await run?.cleanup();
+    });
+
+    it('loads one search page per location and fetches the rest over HTTP', () => {
+        // Every request runs in a fresh session, the JSON endpoint is reused per location
+        assert.equal(mock.visits.milk, locations.length);
+        assert.equal(mock.visits.eggs, undefined);
+        const overHttp = MOCK_SEARCHES.milk.products - 2 * PAGE_SIZE + MOCK_SEARCHES.eggs.products;
+        assert.equal(summary.sources.http_json.products, locations.length * overHttp);
+    });
+
+    it('reads every listing of every location to its end', () => {
+        for (const { label } of locations) {
+            assert.equal(itemsFor('milk', label).length, MOCK_SEARCHES.milk.products);
+            assert.equal(itemsFor('eggs', label).length, MOCK_SEARCHES.eggs.products);
+        }
+        for (const query of summary.queries) assert.equal(query.exhausted, true);
+    });
+});
@@ -0,0 +1,232 @@
+// Mock Blinkit site - search pages and paged JSON endpoints shaped like Blinkit's, served locally so the
+// crawler can be tested end to end without network access or proxies. Run it on its own with
+// `node e2e/mock-blinkit.js [port]` and start the actor with BLINKIT_ORIGIN set to the printed origin.
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+/**
+ * Products per page of a listing: on the search page itself and on every page of the JSON endpoints.
+ */
+export const PAGE_SIZE = 12;
+
+/**
+ * Searches the mock site knows, by query. `variant` is how the search page delivers its products:
+ * - `redux`: the first page in `window.__reduxStore__` (`ui.search.searchProductBffData`), the second from
+ *   the paged JSON endpoint once the page is scrolled, later pages only when that endpoint is paged directly
+ * - `next_data`: every product in the `__NEXT_DATA__` script
+ * - `captcha`: always the "Access Denied" captcha page (status 403)
+ *
+ * `pagination` is the parameter of the JSON endpoint, `page` (`/v1/layout/search`) or `offset`
+ * (`/v2/listing/search` with `limit`). `blockFirst` is how many visits get the captcha page before the real
+ * one. Any other query gets an empty search page.
+ */
+export const MOCK_SEARCHES = {
+    milk: { variant: 'redux', products: 60, pagination: 'page' },
+    eggs: { variant: 'redux', products: 30, pagination: 'offset' },
+    bread: { variant: 'next_data', products: 8 },
+    'blocked-once': { variant: 'redux', products: 6, pagination: 'page', blockFirst: 1 },
+    captcha: { variant: 'captcha' },
+};
+
+const titleCase = (text) => text.replace(/(^|[\s-])(\w)/g, (match, gap, letter) => `${gap}${letter.toUpperCase()}`);
+
+/**
+ * Product number `index` (from 1) of a search, in the shape Blinkit's JSON endpoints use.
+ */
+export const mockProduct = (query, index) => {
+    const price = 20 + ((index * 7) % 80);
+    return {
+        product_id: 100_000 + [...query].reduce((sum, char) => sum + char.charCodeAt(0), 0) * 1000 + index,
+        name: `${titleCase(query)} Product ${index}`,
+        brand: `${titleCase(query)} Co`,
+        unit: `${(index % 4) + 1} x 500 ml`,
+        price,
+        mrp: price + (index % 3) * 5,
+        image_url: `https://cdn.grofers.com/mock/${encodeURIComponent(query)}/${index}.png`,
+        inventory: index % 9 === 0 ? 0 : 10,
+    };
+};
+
+// Products at `start` (0-based) of a search, at most `count`
+const productsFrom = (query, start, count) => {
+    const total = MOCK_SEARCHES[query]?.products ?? 0;
+    const end = Math.min(total, start + count);
+    return Array.from({ length: Math.max(0, end - start) }, (_, i) => mockProduct(query, start + i + 1));
+};
+
+// A product as a Redux search snippet
+const toSnippet = (product) => ({
+    widget_type: 'product_card_snippet_type_2',
+    data: {
+        name: { text: product.name },
+        variant: { text: product.unit },
+        price: { text: `₹${product.price}` },
+        mrp: { text: `₹${product.mrp}` },
+        image: { url: product.image_url },
+        is_sold_out: product.inventory === 0,
+        atc_action: {
+            add_to_cart: {
+                cart_item: {
+                    product_id: product.product_id,
+                    product_name: product.name,
+                    brand: product.brand,
+                    unit: product.unit,
+                    price: product.price,
+                    mrp: product.mrp,
+                    inventory: product.inventory,
+                    image_url: product.image_url,
+                },
+            },
+        },
+    },
+    tracking: { impression_map: { product_id: String(product.product_id), price: product.price } },
+});
+
+// JSON inside a <script> must not close it early
+const toScriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+const secondPageUrl = (query, pagination) => (pagination === 'offset'
+    ? `/v2/listing/search?q=${encodeURIComponent(query)}&offset=${PAGE_SIZE}&limit=${PAGE_SIZE}`
+    : `/v1/layout/search?q=${encodeURIComponent(query)}&page=2`);
+
+// Every page reports where the browser says it is, so tests can check the geolocation the crawler set
+const GEOLOCATION_SCRIPT = `navigator.geolocation?.getCurrentPosition((position) => fetch('/mock/geolocation', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ latitude: position.coords.latitude, longitude: position.coords.longitude }),
+}));`;
+
+// Search pages are titled after the query like Blinkit's; "Blocked-Once" must not read as a block page
+const searchTitle = (query) => `Buy ${titleCase(query)} Online | Blinkit`;
+
+const renderPage = ({ title, body }) => `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>${title}</title></head>
+<body>${body}<script>${GEOLOCATION_SCRIPT}</script></body>
+</html>`;
+
+const renderReduxSearch = (query, { pagination }) => {
+    const snippets = productsFrom(query, 0, PAGE_SIZE).map(toSnippet);
+    const hasMore = (MOCK_SEARCHES[query]?.products ?? 0) > PAGE_SIZE;
+    // Scrolling loads the second page from the JSON endpoint, like Blinkit's infinite scroll
+    const scrollScript = hasMore ? `
+        let requested = false;
+        window.addEventListener('scroll', () => {
+            if (requested) return;
+            requested = true;
+            fetch(${JSON.stringify(secondPageUrl(query, pagination))}, { headers: { accept: 'application/json' } })
+                .then((response) => response.json())
+                .then(() => { document.getElementById('more').style.height = '4000px'; });
+        });` : '';
+    return renderPage({
+        title: searchTitle(query),
+        body: `<main><h1>Results for "${query}"</h1><div id="more" style="height: 3000px"></div></main>
+<script>
+    const state = { ui: { search: { searchProductBffData: { snippets: ${toScriptJson(snippets)} } } } };
+    window.__reduxStore__ = { getState: () => state };${scrollScript}
+</script>`,
+    });
+};
+
+const renderNextDataSearch = (query) => {
+    const nextData = {
+        props: { pageProps: { initialState: { products: productsFrom(query, 0, Infinity) } } },
+        page: '/s',
+        query: { q: query },
+    };
+    return renderPage({
+        title: searchTitle(query),
+        body: `<main><h1>Results for "${query}"</h1></main>
+<script id="__NEXT_DATA__" type="application/json">${toScriptJson(nextData)}</script>`,
+    });
+};
+
+const CAPTCHA_PAGE = renderPage({
+    title: 'Access Denied',
+    body: '<h1>Access Denied</h1><p>Verify you are human to continue.</p><div class="g-recaptcha"></div>',
+});
+
+/**
+ * Starts the mock site on `port` (0 picks a free one). Resolves to `{ origin, visits, apiCalls, locations,
+ * close() }`: `visits` counts search page loads per query, `apiCalls` lists the JSON endpoint URLs requested
+ * and `locations` the positions the pages reported.
+ */
+export const startMockBlinkit = async ({ port = 0 } = {}) => {
+    const visits = {};
+    const apiCalls = [];
+    const locations = [];
+
+    const send = (res, status, contentType, body) => {
+        res.writeHead(status, { 'content-type': contentType, 'cache-control': 'no-store' });
+        res.end(body);
+    };
+    const sendProducts = (res, products) => send(res, 200, 'application/json; charset=utf-8', JSON.stringify({
+        is_success: true,
+        response: { products },
+    }));
+    const intParam = (url, name, fallback) => Number.parseInt(url.searchParams.get(name) ?? '', 10) || fallback;
+
+    const server = createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const query = (url.searchParams.get('q') ?? '').trim().toLowerCase();
+
+        if (req.method === 'POST' && url.pathname === '/mock/geolocation') {
+            let body = '';
+            req.on('data', (chunk) => { body += chunk; });
+            req.on('end', () => {
+                try {
+                    locations.push(JSON.parse(body));
+                } catch {
+                    // Ignore malformed reports
+                }
+                res.writeHead(204).end();
+            });
+            return;
+        }
+
+        if (/^\/s\/?$/.test(url.pathname)) {
+            visits[query] = (visits[query] ?? 0) + 1;
+            const search = MOCK_SEARCHES[query] ?? { variant: 'redux', products: 0 };
+            if (search.variant === 'captcha' || visits[query] <= (search.blockFirst ?? 0)) {
+                send(res, 403, 'text/html; charset=utf-8', CAPTCHA_PAGE);
+            } else if (search.variant === 'next_data') {
+                send(res, 200, 'text/html; charset=utf-8', renderNextDataSearch(query));
+            } else {
+                send(res, 200, 'text/html; charset=utf-8', renderReduxSearch(query, search));
+            }
+            return;
+        }
+
+        if (url.pathname === '/v1/layout/search') {
+            apiCalls.push(req.url);
+            const page = Math.max(1, intParam(url, 'page', 1));
+            sendProducts(res, productsFrom(query, (page - 1) * PAGE_SIZE, PAGE_SIZE));
+            return;
+        }
+
+        if (url.pathname === '/v2/listing/search') {
+            apiCalls.push(req.url);
+            const offset = Math.max(0, intParam(url, 'offset', 0));
+            const limit = Math.max(1, intParam(url, 'limit', PAGE_SIZE));
+            sendProducts(res, productsFrom(query, offset, limit));
+            return;
+        }
+
+        send(res, 404, 'text/plain; charset=utf-8', 'Not found');
+    });
+
+    await new Promise((resolve) => { server.listen(port, '127.0.0.1', resolve); });
+    const origin = `http://127.0.0.1:${server.address().port}`;
+
+    const close = () => new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+
+    return { origin, visits, apiCalls, locations, close };
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const { origin } = await startMockBlinkit({ port: Number(process.argv[2]) || 0 });
+    process.stdout.write(`Mock Blinkit site running at ${origin} (BLINKIT_ORIGIN=${origin})\n`);
+}
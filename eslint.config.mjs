@@ -3,4 +3,17 @@ import prettier from 'eslint-config-prettier';
 import apify from '@apify/eslint-config/js.js';
 
 // eslint-disable-next-line import/no-default-export
-export default [{ ignores: ['**/dist'] }, ...apify, prettier];
+export default [
+    { ignores: ['**/dist'] },
+    ...apify,
+    prettier,
+    {
+        rules: {
+            // Persisted state slices and payload captures are filled in place by the functions they are passed to
+            'no-param-reassign': [
+                'error',
+                { props: true, ignorePropertyModificationsFor: ['state', 'counts', 'stats', 'current', 'capture'] },
+            ],
+        },
+    },
+];
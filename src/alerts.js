@@ -0,0 +1,194 @@
+// Price and stock alerts - evaluates user rules against scraped records, delivers matches to a
+// webhook and keeps every alert in a dataset of the run (`alerts-<run id>`) for auditing
+import { Actor, log } from 'apify';
+
+const OPERATORS = {
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold,
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold,
+    '==': (value, threshold) => value === threshold,
+    '!=': (value, threshold) => value !== threshold,
+    contains: (value, threshold) => String(value).toLowerCase().includes(String(threshold).toLowerCase()),
+    not_contains: (value, threshold) => !String(value).toLowerCase().includes(String(threshold).toLowerCase()),
+};
+
+const NUMERIC_OPERATORS = new Set(['<', '<=', '>', '>=']);
+
+const WEBHOOK_ATTEMPTS = 3;
+
+const toList = (value) => {
+    if (value === null || value === undefined || value === '') return [];
+    return (Array.isArray(value) ? value : [value]).map((item) => String(item).trim().toLowerCase()).filter(Boolean);
+};
+
+// Strings compare case-insensitively; numeric-looking values compare as numbers
+const comparable = (value) => {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value;
+    const str = String(value).trim();
+    const num = Number(str);
+    return str !== '' && Number.isFinite(num) ? num : str.toLowerCase();
+};
+
+const parseRule = (rule, index) => {
+    if (!rule || typeof rule !== 'object') throw new Error(`alerts[${index}] must be an object`);
+    const { field, operator, threshold } = rule;
+    if (typeof field !== 'string' || !field.trim()) throw new Error(`alerts[${index}].field is required`);
+    if (!OPERATORS[operator]) {
+        throw new Error(`alerts[${index}].operator must be one of ${Object.keys(OPERATORS).join(', ')}`);
+    }
+    if (threshold === undefined || threshold === null) throw new Error(`alerts[${index}].threshold is required`);
+    if (NUMERIC_OPERATORS.has(operator) && !Number.isFinite(Number(threshold))) {
+        throw new Error(`alerts[${index}].threshold must be a number for operator ${operator}`);
+    }
+
+    return {
+        name: typeof rule.name === 'string' && rule.name.trim() ? rule.name.trim() : `${field} ${operator} ${threshold}`,
+        field: field.trim(),
+        operator,
+        threshold,
+        productIds: toList(rule.product_id),
+        brands: toList(rule.brand),
+        names: toList(rule.name_contains),
+    };
+};
+
+const matchesScope = (rule, record) => {
+    if (rule.productIds.length > 0) {
+        const ids = [record.product_id, record.sku_id]
+            .filter((id) => id !== undefined)
+            .map((id) => String(id).toLowerCase());
+        if (!ids.some((id) => rule.productIds.includes(id))) return false;
+    }
+    if (rule.brands.length > 0 && !rule.brands.includes(String(record.brand ?? '').toLowerCase())) return false;
+    if (rule.names.length > 0) {
+        const name = String(record.product_name ?? '').toLowerCase();
+        if (!rule.names.some((part) => name.includes(part))) return false;
+    }
+    return true;
+};
+
+const ruleMatches = (rule, record) => {
+    const value = record[rule.field];
+    if (value === undefined || value === null) return false;
+    const left = comparable(value);
+    const right = comparable(rule.threshold);
+    if (NUMERIC_OPERATORS.has(rule.operator) && (typeof left !== 'number' || typeof right !== 'number')) return false;
+    return OPERATORS[rule.operator](left, right);
+};
+
+/**
+ * Name of the dataset the alerts of this run are kept in. Named datasets are shared by every run of the
+ * account, so the run id keeps runs from mixing their alerts.
+ */
+export const getAlertsDatasetName = () => `alerts-${Actor.getEnv().actorRunId ?? 'local'}`;
+
+const postWithRetries = async (url, body, retryDelayMs) => {
+    let lastError = null;
+    for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(30_000),
+            });
+            if (response.ok) return { ok: true, status: response.status };
+            lastError = `HTTP ${response.status}`;
+        } catch (error) {
+            lastError = error.message;
+        }
+        if (attempt < WEBHOOK_ATTEMPTS) {
+            await new Promise((resolve) => { setTimeout(resolve, retryDelayMs * 2 ** (attempt - 1)); });
+        }
+    }
+    return { ok: false, error: lastError };
+};
+
+/**
+ * Builds the alert engine from the `alerts` rules; alerts are pushed to `dataset`. `evaluate(records)`
+ * checks records as they are saved (each rule fires at most once per product and location per run).
+ * Without digest mode every alert is POSTed right away; with it, `flush()` sends all alerts of the run in
+ * one request. Failed webhook requests are retried after `retryDelayMs`, doubling each time. `state` keeps
+ * the keys of the rules already fired (`fired`), the alerts waiting for the digest (`digest`) and the
+ * number of alerts (`count`), so a resumed run neither fires a rule twice nor loses its digest.
+ */
+export const createAlertEngine = ({
+    rules = [],
+    webhookUrl = '',
+    digest = false,
+    dataset,
+    retryDelayMs = 1000,
+    state = {},
+}) => {
+    const parsedRules = rules.map(parseRule);
+    state.fired ??= [];
+    state.digest ??= [];
+    state.count ??= 0;
+    const fired = new Set(state.fired);
+    const digestAlerts = state.digest;
+
+    const deliver = async (alerts) => {
+        if (!webhookUrl) return alerts.map((alert) => ({ ...alert, webhook_status: 'not_configured' }));
+        const payload = digest ? { type: 'digest', count: alerts.length, alerts } : { type: 'alert', ...alerts[0] };
+        const result = await postWithRetries(webhookUrl, payload, retryDelayMs);
+        if (!result.ok) log.warning(`Alert webhook failed after ${WEBHOOK_ATTEMPTS} attempts: ${result.error}`);
+        return alerts.map((alert) => ({
+            ...alert,
+            webhook_status: result.ok ? 'delivered' : 'failed',
+            webhook_error: result.ok ? undefined : result.error,
+        }));
+    };
+
+    const evaluate = async (records) => {
+        for (const record of records) {
+            for (const rule of parsedRules) {
+                if (!matchesScope(rule, record) || !ruleMatches(rule, record)) continue;
+                const productKey = record.product_id ?? record.product_url ?? record.product_name;
+                const key = `${rule.name}|${productKey}|${record.location_label ?? ''}`;
+                if (fired.has(key)) continue;
+                fired.add(key);
+                state.fired.push(key);
+
+                const alert = {
+                    rule_name: rule.name,
+                    field: rule.field,
+                    operator: rule.operator,
+                    threshold: rule.threshold,
+                    value: record[rule.field],
+                    product_id: record.product_id,
+                    sku_id: record.sku_id,
+                    product_name: record.product_name,
+                    brand: record.brand,
+                    price: record.price,
+                    original_price: record.original_price,
+                    availability: record.availability,
+                    location_label: record.location_label,
+                    search_query: record.search_query,
+                    product_url: record.product_url,
+                    triggered_at: new Date().toISOString(),
+                };
+                state.count++;
+                log.info(`Alert "${rule.name}": ${record.product_name} (${rule.field} = ${alert.value})`);
+
+                if (digest) {
+                    digestAlerts.push(alert);
+                } else {
+                    await dataset.pushData(await deliver([alert]));
+                }
+            }
+        }
+    };
+
+    const flush = async () => {
+        if (digest && digestAlerts.length > 0) {
+            await dataset.pushData(await deliver(digestAlerts));
+            // A restart after the digest went out does not send it again
+            digestAlerts.length = 0;
+        }
+        return state.count;
+    };
+
+    return { evaluate, flush };
+};
@@ -0,0 +1,94 @@
+// Block detection - recognizes Blinkit's bot protection (blocked status codes, challenge pages, captcha
+// widgets and challenge requests) so blocked requests are retried on a new session instead of counting
+// as empty listings
+import { SessionError } from 'crawlee';
+
+// Status codes Blinkit and its CDN answer blocked clients with
+export const BLOCK_STATUS_CODES = [403, 429, 503];
+
+// Elements only challenge and captcha pages have
+export const BLOCK_SELECTORS = [
+    'iframe[src*="captcha"]',
+    'iframe[src*="challenges.cloudflare.com"]',
+    '.g-recaptcha',
+    '.h-captcha',
+    '#px-captcha',
+    '#challenge-form',
+    '#cf-challenge-running',
+    'form[action*="captcha"]',
+];
+
+// Challenge page titles, matched at the start of the title so a search title ("Robot Vacuum Cleaner",
+// "Blocked Drain Cleaner") cannot trigger them
+const TITLE_MARKERS = new RegExp('^\\s*(?:access denied|attention required|just a moment|are you a robot'
+    + '|verify you are (?:a )?human|human verification|captcha|request blocked|you have been blocked'
+    + '|sorry, you have been blocked)(?![a-z])', 'i');
+
+// Checked on short pages only, so product names and descriptions cannot trigger it
+const TEXT_MARKERS = /access denied|verify you are (?:a )?human|are you a robot|unusual traffic|request blocked/i;
+const SHORT_PAGE_LENGTH = 2000;
+
+// Hosts that serve nothing but bot challenges
+const CHALLENGE_HOSTS = ['challenges.cloudflare.com', 'captcha.px-cdn.net', 'captcha.perimeterx.net'];
+// Challenge endpoints on the site itself
+const CHALLENGE_PATH = /captcha|\/cdn-cgi\/challenge|_incapsula_resource/i;
+const PAGE_RESOURCE_TYPES = ['document', 'xhr', 'fetch'];
+
+const isOnHost = (hostname, host) => hostname === host || hostname.endsWith(`.${host}`);
+
+/**
+ * Thrown for a blocked request. Crawlee retires the session on a `SessionError`, which closes its browser
+ * and picks a new proxy and fingerprint for the retry.
+ */
+export class BlockedError extends SessionError {
+    constructor(reason) {
+        super(`Blocked by Blinkit: ${reason}`);
+        this.name = 'BlockedError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Block signal of one response seen while the page loaded, or null. Counts any request to a challenge
+ * host, and challenge endpoints or blocked status codes of documents and API calls on the site itself.
+ * Captcha scripts and beacons of other hosts (a reCAPTCHA widget, analytics) are not blocks.
+ */
+export const matchBlockedResponse = ({ url, status, resourceType }, { siteHost = 'blinkit.com' } = {}) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    if (CHALLENGE_HOSTS.some((host) => isOnHost(parsed.hostname, host))) return `challenge request ${url}`;
+    if (!isOnHost(parsed.hostname, siteHost) || !PAGE_RESOURCE_TYPES.includes(resourceType)) return null;
+    if (CHALLENGE_PATH.test(parsed.pathname)) return `challenge request ${url}`;
+    if (BLOCK_STATUS_CODES.includes(status)) return `status ${status} for ${url}`;
+    return null;
+};
+
+/**
+ * Why a page or response looks blocked, or null when it does not. Takes the response `status`, page
+ * `title`, the `BLOCK_SELECTORS` found on the page (`domMarkers`), the page `text` and the block signals
+ * of its network traffic (`networkHits`).
+ */
+export const detectBlock = ({ status, title = '', domMarkers = [], text = '', networkHits = [] } = {}) => {
+    if (BLOCK_STATUS_CODES.includes(status)) return `status ${status}`;
+    if (TITLE_MARKERS.test(title)) return `page title "${title}"`;
+    if (domMarkers.length > 0) return `challenge element ${domMarkers[0]}`;
+    const trimmed = text.trim();
+    if (trimmed.length < SHORT_PAGE_LENGTH && TEXT_MARKERS.test(trimmed)) {
+        return `page text "${trimmed.slice(0, 80)}"`;
+    }
+    if (networkHits.length > 0) return networkHits[0];
+    return null;
+};
+
+/**
+ * Delay before retrying a blocked request: doubles from `baseMs` with each retry up to `maxMs`, plus up to
+ * 50% jitter so parallel retries spread out.
+ */
+export const getBackoffMs = (retryCount, { baseMs = 5000, maxMs = 60_000, random = Math.random } = {}) => {
+    const delay = Math.min(maxMs, baseMs * 2 ** Math.max(0, retryCount));
+    return Math.round(delay * (1 + random() * 0.5));
+};
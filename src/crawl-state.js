@@ -0,0 +1,111 @@
+// Crawl state - the run's progress kept with Actor.useState, which writes it to the default key-value
+// store on every persistState event (migrations included), so a migrated or restarted run resumes where
+// it stopped instead of pushing the same products again
+import { Actor } from 'apify';
+
+/**
+ * Key-value store record of the crawl state. Everything in it is plain JSON: the run's collectors (stats,
+ * coverage, variant groups, share of shelf, alerts) each get their part of it as a plain object and fill in
+ * their defaults, so a restarted process picks up the saved object where the last one stopped. Lists that
+ * are searched often are persisted as arrays and read through a Set built over them.
+ */
+export const CRAWL_STATE_KEY = 'CRAWL_STATE';
+
+/**
+ * Progress and dedup of the search targets kept in a crawl `state` object. `query(queryKey)` returns the
+ * progress of one search target (`scraped`, `exhausted`, `pagination`) and `claim(queryKey, key)` records a
+ * dedup key, returning false when the target already had it. `claimListing(queryKey, products, keyOf)`
+ * ranks a batch of listing products and returns `{ claimed, duplicates, commit }`: the new products, in
+ * batch order, with `search_rank` set to their position in the whole listing of the target. Their keys are
+ * recorded by `commit()`, called once the products are saved, so a process that stops in between finds
+ * them again after the restart instead of skipping them.
+ */
+export const trackQueries = (state) => {
+    const query = (queryKey) => {
+        if (!state.queries[queryKey]) {
+            state.queries[queryKey] = {
+                scraped: 0,
+                filtered: 0,
+                exhausted: false,
+                pagination: null,
+                seenProductKeys: [],
+            };
+        }
+        return state.queries[queryKey];
+    };
+
+    const seenKeys = new Map();
+    const seenOf = (queryKey) => {
+        if (!seenKeys.has(queryKey)) seenKeys.set(queryKey, new Set(query(queryKey).seenProductKeys));
+        return seenKeys.get(queryKey);
+    };
+
+    const claim = (queryKey, productKey) => {
+        const seen = seenOf(queryKey);
+        if (seen.has(productKey)) return false;
+        seen.add(productKey);
+        query(queryKey).seenProductKeys.push(productKey);
+        return true;
+    };
+
+    // Sources rank their own batch from 1 (a page of the JSON endpoint, the Redux listing, ...). Batches
+    // arrive in listing order and every listing position is claimed once, filtered-out products included,
+    // so the count of claimed keys is the running rank: page 2 continues where page 1 stopped, and restarts
+    // continue from the persisted keys.
+    const claimListing = (queryKey, products, keyOf) => {
+        const seen = seenOf(queryKey);
+        const claimedBefore = query(queryKey).seenProductKeys.length;
+        const keys = new Set();
+        const claimed = [];
+        let duplicates = 0;
+        for (const product of products) {
+            const key = keyOf(product);
+            if (!key) continue;
+            if (seen.has(key) || keys.has(key)) {
+                duplicates++;
+                continue;
+            }
+            keys.add(key);
+            claimed.push({ ...product, search_rank: claimedBefore + keys.size });
+        }
+        const commit = () => {
+            for (const key of keys) claim(queryKey, key);
+        };
+        return { claimed, duplicates, commit };
+    };
+
+    return { query, claim, claimListing };
+};
+
+/**
+ * Opens the persisted crawl state. `state` is the plain object that gets saved, with the target helpers of
+ * `trackQueries` on top. `resumed` tells whether an earlier process of the same run left state behind.
+ */
+export const createCrawlState = async ({ key = CRAWL_STATE_KEY } = {}) => {
+    const state = await Actor.useState(key, {
+        starts: 0,
+        totalScraped: 0,
+        queries: {},
+        suggestions: { finished: [], queued: [], saved: 0, searches: 0 },
+        details: { queued: 0, pending: {} },
+        changes: { snapshot: {}, events: [] },
+        blocks: { detected: 0, retried: 0, failed: [] },
+        stats: {
+            sources: {},
+            labels: {},
+            duplicates: 0,
+            filtered: {},
+            scrollAttempts: 0,
+            paginationCalls: 0,
+            phases: {},
+        },
+        coverage: { records: 0, fields: {} },
+        captures: {},
+        variants: { aliases: {}, groups: {} },
+        shelf: { queries: {}, brands: [] },
+        alerts: { fired: [], digest: [], count: 0 },
+    });
+    state.starts += 1;
+
+    return { state, ...trackQueries(state), resumed: state.starts > 1 };
+};
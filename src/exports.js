@@ -0,0 +1,131 @@
+// File exports - writes the run's dataset as prices.csv, prices.xlsx and prices.sqlite to the default
+// key-value store, with columns in the order of the matching dataset view
+import { readFile } from 'node:fs/promises';
+
+import { Actor, log } from 'apify';
+import ExcelJS from 'exceljs';
+import initSqlJs from 'sql.js';
+
+export const EXPORT_FORMATS = {
+    csv: { key: 'prices.csv', contentType: 'text/csv; charset=utf-8' },
+    xlsx: { key: 'prices.xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    sqlite: { key: 'prices.sqlite', contentType: 'application/vnd.sqlite3' },
+};
+
+const DATASET_SCHEMA_URL = new URL('../.actor/dataset_schema.json', import.meta.url);
+
+const readViewFields = async (view) => {
+    try {
+        const schema = JSON.parse(await readFile(DATASET_SCHEMA_URL, 'utf8'));
+        return schema.views?.[view]?.transformation?.fields ?? [];
+    } catch (error) {
+        log.warning(`Could not read dataset view "${view}" for export columns: ${error.message}`);
+        return [];
+    }
+};
+
+// Arrays and objects are written as JSON text, so every cell holds a scalar
+const toCell = (value) => {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+};
+
+/**
+ * Builds the export table. Without `columns`, the view fields that occur in the items come first, then any
+ * other item fields in first-seen order. `columnNames` maps a field to its header. Returns
+ * `{ fields, headers, rows }` with one array of scalar cells per item.
+ */
+export const buildTable = (items, { columns = [], columnNames = {}, viewFields = [] } = {}) => {
+    let fields = columns;
+    if (fields.length === 0) {
+        const present = new Set(items.flatMap((item) => Object.keys(item)));
+        // An empty dataset still gets the view's header row
+        fields = present.size > 0 ? viewFields.filter((field) => present.has(field)) : [...viewFields];
+        for (const field of present) if (!fields.includes(field)) fields.push(field);
+    }
+
+    const headers = fields.map((field) => columnNames[field] ?? field);
+    const duplicate = headers.find((header, index) => headers.indexOf(header) !== index);
+    if (duplicate) throw new Error(`export_column_names gives two columns the same name: ${duplicate}`);
+
+    return {
+        fields,
+        headers,
+        rows: items.map((item) => fields.map((field) => toCell(item[field]))),
+    };
+};
+
+const csvEscape = (value) => {
+    if (value === null) return '';
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * RFC 4180 CSV text with a UTF-8 byte order mark so Excel shows ₹ and Hindi names correctly.
+ */
+export const toCsv = ({ headers, rows }) => `\uFEFF${[headers, ...rows]
+    .map((row) => row.map(csvEscape).join(','))
+    .join('\r\n')}\r\n`;
+
+const toXlsx = async ({ headers, rows }) => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('prices');
+    sheet.addRow(headers).font = { bold: true };
+    sheet.addRows(rows);
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+const sqlType = (rows, index) => {
+    const values = rows.map((row) => row[index]).filter((value) => value !== null);
+    if (values.length === 0) return 'TEXT';
+    if (values.every((value) => typeof value === 'boolean' || Number.isInteger(value))) return 'INTEGER';
+    if (values.every((value) => typeof value === 'number')) return 'REAL';
+    return 'TEXT';
+};
+
+/**
+ * SQLite database file holding the table as `prices`.
+ */
+export const toSqlite = async ({ headers, rows }) => {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    try {
+        const quote = (name) => `"${String(name).replace(/"/g, '""')}"`;
+        const columns = headers.map((header, index) => `${quote(header)} ${sqlType(rows, index)}`);
+        db.run(`CREATE TABLE prices (${columns.join(', ')})`);
+
+        const insert = db.prepare(`INSERT INTO prices VALUES (${headers.map(() => '?').join(', ')})`);
+        db.run('BEGIN');
+        for (const row of rows) {
+            insert.run(row.map((value) => (typeof value === 'boolean' ? Number(value) : value)));
+        }
+        db.run('COMMIT');
+        insert.free();
+        return Buffer.from(db.export());
+    } finally {
+        db.close();
+    }
+};
+
+const WRITERS = { csv: async (table) => toCsv(table), xlsx: toXlsx, sqlite: toSqlite };
+
+/**
+ * Reads the default dataset and saves it in each of `formats` to the default key-value store.
+ */
+export const exportDataset = async ({ formats, columns = [], columnNames = {}, view = 'overview' }) => {
+    const dataset = await Actor.openDataset();
+    const items = [];
+    await dataset.forEach((item) => {
+        items.push(item);
+    });
+    const table = buildTable(items, { columns, columnNames, viewFields: await readViewFields(view) });
+
+    for (const format of formats) {
+        const { key, contentType } = EXPORT_FORMATS[format];
+        await Actor.setValue(key, await WRITERS[format](table), { contentType });
+        log.info(`Exported ${table.rows.length} rows to ${key}`);
+    }
+};
@@ -0,0 +1,856 @@
+// Payload extraction pipeline - turns Blinkit Redux snippets, `__NEXT_DATA__` blobs and API JSON into
+// normalized product records. Side-effect free: no Actor / crawler code runs on import, so the module can
+// be used on payloads captured elsewhere.
+
+/**
+ * Field -> payload key aliases, checked in order. The first alias present on an object supplies the field.
+ */
+export const PRODUCT_KEYS = {
+    name: ['name', 'product_name', 'title', 'productName', 'display_name', 'displayName', 'item_name'],
+    price: ['price', 'selling_price', 'offer_price', 'discounted_price', 'final_price', 'sp', 'sale_price', 'unit_price'],
+    originalPrice: ['mrp', 'original_price', 'list_price', 'mrp_price'],
+    discount: ['discount', 'discount_text', 'discount_percentage', 'discountPercent', 'offer_text'],
+    image: ['image', 'image_url', 'imageUrl', 'thumbnail', 'img', 'picture', 'product_image'],
+    availability: ['in_stock', 'available', 'availability', 'stock'],
+    delivery: ['eta', 'delivery_time', 'deliveryTime'],
+    url: ['product_url', 'productUrl', 'url', 'slug'],
+    id: ['product_id', 'productId', 'id', 'sku', 'sku_id', 'item_id', 'variant_id'],
+    skuId: ['sku_id', 'skuId', 'variant_id', 'variantId', 'item_id', 'itemId'],
+    brand: ['brand', 'brand_name', 'brandName', 'brand_title', 'manufacturer', 'company'],
+    quantity: ['quantity', 'qty', 'pack_size', 'packSize', 'net_quantity', 'netQuantity', 'weight', 'volume', 'size'],
+    unit: ['unit', 'uom', 'unitOfMeasure', 'unit_of_measure', 'measurement_unit'],
+    rating: ['rating', 'avg_rating', 'average_rating', 'product_rating', 'productRating'],
+    ratingsCount: ['rating_count', 'ratings_count', 'reviews_count', 'review_count', 'ratingCount', 'ratingsCount'],
+    inventory: ['inventory', 'inventory_count', 'available_quantity', 'availableQuantity', 'stock_count', 'stockCount'],
+    category: ['l0_category', 'category_name', 'categoryName', 'l0_category_name'],
+    subcategory: ['l1_category', 'subcategory_name', 'sub_category_name', 'subCategoryName', 'l1_category_name'],
+    groupId: ['group_id', 'groupId', 'product_group_id', 'productGroupId', 'parent_product_id', 'parentProductId'],
+    soldOut: ['is_sold_out', 'isSoldOut', 'sold_out', 'soldOut', 'out_of_stock', 'outOfStock'],
+    unserviceable: ['is_unserviceable', 'isUnserviceable', 'unserviceable', 'not_serviceable', 'notServiceable'],
+    maxOrderableQty: [
+        'max_allowed_quantity',
+        'maxAllowedQuantity',
+        'max_orderable_quantity',
+        'max_order_quantity',
+        'max_quantity',
+        'maxQuantity',
+        'max_qty',
+        'max_cart_quantity',
+    ],
+};
+
+/**
+ * Record field -> `PRODUCT_KEYS` entry it is read from. Stock fields are derived from several entries.
+ */
+export const RECORD_FIELD_KEYS = {
+    product_name: 'name',
+    price: 'price',
+    original_price: 'originalPrice',
+    discount_percentage: 'discount',
+    discount_label: 'discount',
+    product_image: 'image',
+    delivery_time: 'delivery',
+    product_url: 'url',
+    product_id: 'id',
+    sku_id: 'skuId',
+    brand: 'brand',
+    quantity: 'quantity',
+    unit: 'unit',
+    rating: 'rating',
+    ratings_count: 'ratingsCount',
+    inventory: 'inventory',
+    max_orderable_qty: 'maxOrderableQty',
+    category_name: 'category',
+    subcategory_name: 'subcategory',
+    group_id: 'groupId',
+};
+
+/**
+ * Record field -> payload keys it is read from with the aliases in `keys`, in the order they are checked.
+ * `field_sources` names the key that supplied each field.
+ */
+export const getFieldAliases = (keys = PRODUCT_KEYS) => {
+    const stock = [...keys.unserviceable, ...keys.soldOut, ...keys.availability, ...keys.inventory];
+    return {
+        ...Object.fromEntries(Object.entries(RECORD_FIELD_KEYS).map(([field, key]) => [field, keys[key]])),
+        product_image: [...keys.image, 'images', 'image_urls', 'imageUrls'],
+        availability: stock,
+        in_stock: stock,
+        stock_status: stock,
+    };
+};
+
+/**
+ * `getFieldAliases` for the built-in `PRODUCT_KEYS`.
+ */
+export const FIELD_ALIASES = getFieldAliases();
+
+// Snippet fields read from fixed card paths when no alias supplied them
+const SNIPPET_FIELD_PATHS = {
+    product_name: 'data.name.text',
+    price: 'data.price.text',
+    original_price: 'data.mrp.text',
+    product_image: 'data.image.url',
+    discount_label: 'data.discount.text',
+    delivery_time: 'data.eta_tag.text',
+};
+
+/**
+ * Values of the `stock_status` field.
+ */
+export const STOCK_STATUSES = ['available', 'sold_out', 'limited', 'unavailable_at_location', 'unknown'];
+
+// In-stock products with this many units or fewer left are reported as `limited`
+const LIMITED_STOCK_THRESHOLD = 5;
+
+// Where a product card lists the other pack sizes of the same product
+const VARIANT_LIST_KEYS = ['variant_list', 'variantList', 'variants', 'variant_info', 'product_variants'];
+
+// Ad markers on product cards and their tracking data
+const AD_FLAG_KEYS = ['is_ad', 'isAd', 'is_sponsored', 'isSponsored', 'sponsored', 'is_promoted', 'ad_flag'];
+const AD_ID_KEYS = ['ad_id', 'adId', 'ads_campaign_id', 'ad_campaign_id', 'adCampaignId', 'ads_meta', 'ad_meta'];
+const AD_LABEL_KEYS = ['ad_tag', 'ad_label', 'adLabel', 'sponsored_tag', 'sponsored_label', 'promoted_tag'];
+const AD_TEXT = /^(?:ad|ads|sponsored|promoted)$/i;
+
+// Page section of products listed before any section header
+const DEFAULT_SECTION = 'results';
+
+/**
+ * Returns the value of the first key in `keys` that is set (not null / undefined) on `obj`, or null.
+ */
+export const pickFirst = (obj, keys) => {
+    if (!obj || typeof obj !== 'object') return null;
+    for (const key of keys) {
+        if (Object.prototype.hasOwnProperty.call(obj, key) && obj[key] !== undefined && obj[key] !== null) {
+            return obj[key];
+        }
+    }
+    return null;
+};
+
+const findFirstKey = (obj, keys) => {
+    if (!obj || typeof obj !== 'object') return null;
+    return keys.find((key) => Object.prototype.hasOwnProperty.call(obj, key)
+        && obj[key] !== undefined && obj[key] !== null) ?? null;
+};
+
+// `field_sources` of a record: for every field it has, the first alias found on `sources` (`[object,
+// path prefix]` pairs in the order they are read)
+const describeFieldSources = (record, sources, fieldAliases = FIELD_ALIASES) => {
+    const fieldSources = {};
+    for (const [field, aliases] of Object.entries(fieldAliases)) {
+        if (record[field] === undefined) continue;
+        for (const [obj, prefix] of sources) {
+            const key = findFirstKey(obj, aliases);
+            if (key) {
+                fieldSources[field] = `${prefix}${key}`;
+                break;
+            }
+        }
+    }
+    return fieldSources;
+};
+
+/**
+ * Parses numbers out of values such as `51`, `"51"` or `"₹51"`. Returns null when there is no number.
+ */
+export const toNumber = (value) => {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    const str = String(value).trim();
+    if (!str) return null;
+    const cleaned = str.replace(/[^\d.]/g, '');
+    if (!cleaned) return null;
+    const num = Number.parseFloat(cleaned);
+    return Number.isFinite(num) ? num : null;
+};
+
+/**
+ * Drops null / undefined, non-finite numbers, blank strings and empty arrays / objects from a record.
+ */
+export const compactObject = (obj) => {
+    if (!obj || typeof obj !== 'object') return obj;
+    return Object.fromEntries(
+        Object.entries(obj).filter(([, value]) => {
+            if (value === null || value === undefined) return false;
+            if (typeof value === 'number') return Number.isFinite(value);
+            if (typeof value === 'string') return value.trim().length > 0;
+            if (Array.isArray(value)) return value.length > 0;
+            if (typeof value === 'object') return Object.keys(value).length > 0;
+            return true;
+        })
+    );
+};
+
+const extractImage = (obj, keys = PRODUCT_KEYS) => {
+    const direct = pickFirst(obj, keys.image);
+    if (typeof direct === 'string') return direct;
+    if (direct && typeof direct === 'object') {
+        const nested = pickFirst(direct, ['url', 'src', 'image', 'imageUrl']);
+        if (typeof nested === 'string') return nested;
+    }
+    const images = obj?.images || obj?.image_urls || obj?.imageUrls;
+    if (Array.isArray(images) && images.length > 0) {
+        const first = images[0];
+        if (typeof first === 'string') return first;
+        if (first && typeof first === 'object') {
+            const nested = pickFirst(first, ['url', 'src', 'image', 'imageUrl']);
+            if (typeof nested === 'string') return nested;
+        }
+    }
+    return null;
+};
+
+const extractProductId = (obj, keys = PRODUCT_KEYS) => {
+    const value = pickFirst(obj, keys.id);
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    const str = String(value).trim();
+    return str || null;
+};
+
+const extractPrice = (obj, keys = PRODUCT_KEYS) => {
+    let value = pickFirst(obj, keys.price);
+    if (value && typeof value === 'object') {
+        value = pickFirst(value, ['selling_price', 'offer_price', 'price', 'final_price', 'mrp', 'list_price']);
+    }
+    return toNumber(value);
+};
+
+const extractOriginalPrice = (obj, keys = PRODUCT_KEYS) => {
+    let value = pickFirst(obj, keys.originalPrice);
+    if (value && typeof value === 'object') {
+        value = pickFirst(value, ['mrp', 'list_price', 'original_price']);
+    }
+    return toNumber(value);
+};
+
+const extractName = (obj, keys = PRODUCT_KEYS) => {
+    const value = pickFirst(obj, keys.name);
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'string') return value.trim();
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    if (typeof value === 'object') {
+        const nested = pickFirst(value, ['text', 'name', 'title', 'display_name', 'displayName']);
+        if (nested === null || nested === undefined) return null;
+        if (typeof nested === 'string') return nested.trim() || null;
+        if (typeof nested === 'number' && Number.isFinite(nested)) return String(nested);
+        return null;
+    }
+    return null;
+};
+
+// Stock text is matched as whole phrases; "unavailable at your location" is checked before "unavailable"
+const LOCATION_TEXT = /location|unserviceable|not serviceable|not deliverable|does ?n[o']t deliver|your area/;
+const SOLD_OUT_TEXT = /out[\s_-]*of[\s_-]*stock|sold[\s_-]*out|unavailable|not[\s_-]*available|no[\s_-]*stock/;
+const IN_STOCK_TEXT = /^(?:in[\s_-]*stock|instock|available|yes|true)$/;
+
+// Payload stock signal: 'available', 'sold_out', 'unavailable_at_location' or null
+const extractStockSignal = (obj, keys = PRODUCT_KEYS) => {
+    if (pickFirst(obj, keys.unserviceable) === true) return 'unavailable_at_location';
+    const soldOut = pickFirst(obj, keys.soldOut);
+    if (soldOut === true) return 'sold_out';
+
+    const value = pickFirst(obj, keys.availability);
+    if (typeof value === 'boolean') return value ? 'available' : 'sold_out';
+    if (typeof value === 'string') {
+        const lowered = value.trim().toLowerCase();
+        if (LOCATION_TEXT.test(lowered)) return 'unavailable_at_location';
+        if (SOLD_OUT_TEXT.test(lowered)) return 'sold_out';
+        if (IN_STOCK_TEXT.test(lowered)) return 'available';
+    }
+    return soldOut === false ? 'available' : null;
+};
+
+const toStockFields = (signal, inventory) => {
+    let status = 'unknown';
+    if (signal === 'unavailable_at_location' || signal === 'sold_out') status = signal;
+    else if (inventory === 0) status = 'sold_out';
+    else if (inventory > 0 && inventory <= LIMITED_STOCK_THRESHOLD) status = 'limited';
+    else if (signal === 'available' || inventory > 0) status = 'available';
+
+    const inStock = { available: true, limited: true, sold_out: false, unavailable_at_location: false }[status];
+    return {
+        availability: { true: 'In Stock', false: 'Out of Stock' }[inStock] ?? 'Unknown',
+        in_stock: inStock,
+        stock_status: status,
+    };
+};
+
+const extractMaxOrderableQty = (obj, keys = PRODUCT_KEYS) => {
+    const num = toNumber(pickFirst(obj, keys.maxOrderableQty));
+    return num === null || num <= 0 ? null : Math.round(num);
+};
+
+/**
+ * Parses delivery ETA text such as "8 MINS", "10 minutes" or "1 hr 15 min" into minutes. Returns null
+ * for text without a duration (e.g. "Tomorrow").
+ */
+export const parseEtaMinutes = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+    if (typeof value !== 'string') return null;
+    const str = value.toLowerCase();
+    const hours = str.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)\b/);
+    const minutes = str.match(/(\d+(?:\.\d+)?)\s*(?:m|min|mins|minute|minutes)\b/);
+    if (!hours && !minutes) return /^\s*\d+\s*$/.test(str) ? Number.parseInt(str, 10) : null;
+    return Math.round((hours ? Number.parseFloat(hours[1]) * 60 : 0) + (minutes ? Number.parseFloat(minutes[1]) : 0));
+};
+
+const extractDelivery = (obj, keys = PRODUCT_KEYS) => {
+    const value = pickFirst(obj, keys.delivery);
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'string') return value.trim();
+    return String(value).trim();
+};
+
+const extractDiscount = (obj, keys = PRODUCT_KEYS) => {
+    const value = pickFirst(obj, keys.discount);
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'string') return value.trim();
+    if (typeof value === 'number') return `${value}%`;
+    return null;
+};
+
+const extractBrand = (obj, keys = PRODUCT_KEYS) => {
+    const value = pickFirst(obj, keys.brand);
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'string') return value.trim() || null;
+    if (typeof value === 'object') {
+        const nested = pickFirst(value, ['name', 'title', 'text', 'display_name', 'displayName']);
+        if (typeof nested === 'string') return nested.trim() || null;
+    }
+    return String(value).trim() || null;
+};
+
+const extractQuantity = (obj, keys = PRODUCT_KEYS) => {
+    const value = pickFirst(obj, keys.quantity);
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    if (typeof value === 'string') {
+        const str = value.trim();
+        if (!str) return null;
+        const num = toNumber(str);
+        return num ?? str;
+    }
+    if (typeof value === 'object') {
+        const nested = pickFirst(value, ['value', 'text', 'quantity', 'qty', 'amount']);
+        return extractQuantity({ quantity: nested }, keys);
+    }
+    return null;
+};
+
+const extractUnit = (obj, keys = PRODUCT_KEYS) => {
+    const value = pickFirst(obj, keys.unit);
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'string') return value.trim() || null;
+    if (typeof value === 'object') {
+        const nested = pickFirst(value, ['text', 'name', 'title', 'unit']);
+        if (typeof nested === 'string') return nested.trim() || null;
+    }
+    return String(value).trim() || null;
+};
+
+const extractRating = (obj, keys = PRODUCT_KEYS) => {
+    const value = pickFirst(obj, keys.rating);
+    const num = toNumber(value);
+    return num === null ? null : num;
+};
+
+const extractRatingsCount = (obj, keys = PRODUCT_KEYS) => {
+    const value = pickFirst(obj, keys.ratingsCount);
+    const num = toNumber(value);
+    return num === null ? null : Math.round(num);
+};
+
+const extractSkuId = (obj, keys = PRODUCT_KEYS) => {
+    const value = pickFirst(obj, keys.skuId);
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    const str = String(value).trim();
+    return str || null;
+};
+
+const extractInventory = (obj, keys = PRODUCT_KEYS) => {
+    const value = pickFirst(obj, keys.inventory);
+    const num = toNumber(value);
+    return num === null ? null : Math.round(num);
+};
+
+const toLabelText = (value) => {
+    const text = typeof value === 'object' && value !== null ? value.text ?? value.title ?? null : value;
+    return typeof text === 'string' && text.trim() ? text.trim() : null;
+};
+
+const isTruthyFlag = (value) => value === true || value === 1 || value === '1' || value === 'true';
+
+const hasAdId = (value) => {
+    if (value === null || value === undefined || value === '' || value === 0 || value === '0') return false;
+    return typeof value !== 'object' || Object.keys(value).length > 0;
+};
+
+// `{ is_sponsored, ad_label }` for a product card, its tracking impression map or any raw product object
+const extractSponsorship = (...objects) => {
+    let sponsored = false;
+    let label = null;
+    for (const obj of objects) {
+        if (!obj || typeof obj !== 'object') continue;
+        const impression = obj.tracking?.impression_map;
+        for (const source of [obj, obj.data, impression]) {
+            if (!source || typeof source !== 'object') continue;
+            if (isTruthyFlag(pickFirst(source, AD_FLAG_KEYS))) sponsored = true;
+            if (hasAdId(pickFirst(source, AD_ID_KEYS))) sponsored = true;
+            const adLabel = toLabelText(pickFirst(source, AD_LABEL_KEYS));
+            const tag = toLabelText(source.tag ?? source.badge);
+            if (!label) label = adLabel ?? (tag && AD_TEXT.test(tag) ? tag : null);
+        }
+        if (typeof obj.widget_type === 'string' && /(?:^|_)ads?(?:_|$)/.test(obj.widget_type)) sponsored = true;
+    }
+    return { is_sponsored: sponsored || label !== null, ad_label: label };
+};
+
+const extractSectionTitle = (snippet) => {
+    const data = snippet?.data;
+    if (!data || typeof data !== 'object') return null;
+    return toLabelText(data.title) ?? toLabelText(data.header?.title) ?? toLabelText(data.heading);
+};
+
+const extractGroupId = (obj, keys = PRODUCT_KEYS) => {
+    const value = pickFirst(obj, keys.groupId);
+    if (typeof value === 'number' && Number.isFinite(value) && value > 0) return String(value);
+    if (typeof value !== 'string') return null;
+    const str = value.trim();
+    return str && str !== '0' ? str : null;
+};
+
+const extractCategoryName = (obj, keys) => {
+    const value = pickFirst(obj, keys);
+    if (typeof value !== 'string') return null;
+    const str = value.trim();
+    // Numeric values are category ids, not names
+    return str && !/^\d+$/.test(str) ? str : null;
+};
+
+const scoreProduct = (obj) => {
+    let score = 0;
+    if (extractName(obj)) score += 2;
+    if (extractPrice(obj) !== null) score += 2;
+    if (extractOriginalPrice(obj) !== null) score += 1;
+    if (extractImage(obj)) score += 1;
+    if (extractStockSignal(obj)) score += 1;
+    if (extractProductId(obj)) score += 1;
+    return score;
+};
+
+/**
+ * Finds the array inside `root` that looks most like a product list (scored on name, price, MRP, image,
+ * availability and id fields). Returns the array or null.
+ */
+export const findProductArrays = (root) => {
+    const candidates = [];
+    const seen = new Set();
+
+    const walk = (node, depth = 0) => {
+        if (!node || typeof node !== 'object') return;
+        if (seen.has(node) || depth > 7) return;
+        seen.add(node);
+
+        if (Array.isArray(node)) {
+            if (node.length > 0 && node.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+                const sample = node.slice(0, Math.min(25, node.length));
+                const avgScore = sample.reduce((sum, item) => sum + scoreProduct(item), 0) / sample.length;
+                if (avgScore >= 3) {
+                    candidates.push({ items: node, score: avgScore, size: node.length });
+                }
+            }
+            for (const item of node) walk(item, depth + 1);
+            return;
+        }
+
+        for (const key of Object.keys(node)) {
+            walk(node[key], depth + 1);
+        }
+    };
+
+    walk(root, 0);
+    if (candidates.length === 0) return null;
+
+    candidates.sort((a, b) => {
+        if (b.score !== a.score) return b.score - a.score;
+        return b.size - a.size;
+    });
+
+    return candidates[0].items;
+};
+
+/**
+ * Maps one raw product object (any Blinkit payload shape; a nested `product` object is preferred) to a
+ * dataset record with `product_name`, `price`, `original_price`, `discount_percentage` and `discount_label`
+ * (both the payload's discount text), `product_image`, `availability` ("In Stock" / "Out of Stock" /
+ * "Unknown"), `in_stock`, `stock_status` (one of `STOCK_STATUSES`), `delivery_time`, `delivery_eta_minutes`,
+ * `product_url`, `product_id`, `sku_id`, `brand`, `quantity`, `unit`, `rating`, `ratings_count`, `inventory`,
+ * `max_orderable_qty`, `category_name`, `subcategory_name`, `group_id` (the payload's variant group id),
+ * `is_sponsored` and `ad_label`. Missing fields are omitted. With `fieldSources`, the record also gets
+ * `field_sources`: the payload key each field was read from (`product.`-prefixed for the nested object).
+ * `mappings` (see `createFieldMappings`) adds its aliases to `PRODUCT_KEYS` and its custom fields, read
+ * from `raw`, to the record.
+ */
+export const normalizeProduct = (raw, { fieldSources = false, mappings = null } = {}) => {
+    const base = raw && typeof raw === 'object' && raw.product && typeof raw.product === 'object'
+        ? raw.product
+        : raw;
+    const keys = mappings?.keys ?? PRODUCT_KEYS;
+
+    const productName = extractName(base, keys) || extractName(raw, keys);
+    const price = extractPrice(base, keys) ?? extractPrice(raw, keys);
+    const originalPrice = extractOriginalPrice(base, keys) ?? extractOriginalPrice(raw, keys);
+    const discount = extractDiscount(base, keys) ?? extractDiscount(raw, keys);
+    const image = extractImage(base, keys) ?? extractImage(raw, keys);
+    const stockSignal = extractStockSignal(base, keys) ?? extractStockSignal(raw, keys);
+    const delivery = extractDelivery(base, keys) ?? extractDelivery(raw, keys);
+    const productUrlRaw = pickFirst(base, keys.url) || pickFirst(raw, keys.url) || null;
+    const productId = extractProductId(base, keys) ?? extractProductId(raw, keys);
+    const skuId = extractSkuId(base, keys) ?? extractSkuId(raw, keys);
+    const brand = extractBrand(base, keys) ?? extractBrand(raw, keys);
+    const quantity = extractQuantity(base, keys) ?? extractQuantity(raw, keys);
+    const unit = extractUnit(base, keys) ?? extractUnit(raw, keys);
+    const rating = extractRating(base, keys) ?? extractRating(raw, keys);
+    const ratingsCount = extractRatingsCount(base, keys) ?? extractRatingsCount(raw, keys);
+    const inventory = extractInventory(base, keys) ?? extractInventory(raw, keys);
+    const maxOrderableQty = extractMaxOrderableQty(base, keys) ?? extractMaxOrderableQty(raw, keys);
+    const category = extractCategoryName(base, keys.category)
+        ?? extractCategoryName(raw, keys.category);
+    const subcategory = extractCategoryName(base, keys.subcategory)
+        ?? extractCategoryName(raw, keys.subcategory);
+    const groupId = extractGroupId(base, keys) ?? extractGroupId(raw, keys);
+    const sponsorship = extractSponsorship(base, raw);
+
+    let productUrl = null;
+    if (typeof productUrlRaw === 'string' && productUrlRaw.trim()) {
+        const trimmed = productUrlRaw.trim();
+        if (trimmed.startsWith('http')) {
+            productUrl = trimmed;
+        } else {
+            const path = trimmed.replace(/^\//, '');
+            if (path.startsWith('prn/') || path.includes('/prn/')) {
+                productUrl = `https://blinkit.com/${path}`;
+            } else if (productId) {
+                productUrl = `https://blinkit.com/prn/${path}/prid/${productId}`;
+            } else {
+                productUrl = `https://blinkit.com/${path}`;
+            }
+        }
+    } else if (productId && productName) {
+        const slug = productName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        productUrl = `https://blinkit.com/prn/${slug}/prid/${productId}`;
+    }
+
+    const record = compactObject({
+        product_name: productName,
+        price,
+        original_price: originalPrice,
+        discount_percentage: discount,
+        discount_label: discount,
+        product_image: image,
+        ...toStockFields(stockSignal, inventory),
+        delivery_time: delivery,
+        delivery_eta_minutes: parseEtaMinutes(delivery),
+        product_url: typeof productUrl === 'string' ? productUrl : null,
+        product_id: productId,
+        sku_id: skuId,
+        brand,
+        quantity,
+        unit,
+        rating,
+        ratings_count: ratingsCount,
+        inventory,
+        max_orderable_qty: maxOrderableQty,
+        category_name: category,
+        subcategory_name: subcategory,
+        group_id: groupId,
+        ...sponsorship,
+        ...mappings?.readFields?.(raw),
+    });
+    if (!fieldSources) return record;
+    const sources = base === raw ? [[raw, '']] : [[base, 'product.'], [raw, '']];
+    const fieldAliases = keys === PRODUCT_KEYS ? FIELD_ALIASES : getFieldAliases(keys);
+    return compactObject({
+        ...record,
+        field_sources: {
+            ...describeFieldSources(record, sources, fieldAliases),
+            ...mappings?.describeSources?.(raw, record),
+        },
+    });
+};
+
+/**
+ * Walks any JSON payloads (intercepted API responses, `__NEXT_DATA__`, ...) and returns the normalized,
+ * de-duplicated products found in them. Objects without a price or MRP and non-product widgets
+ * (banners, ads, category tiles) are skipped. `search_rank` is the order the products were found in.
+ * `fieldSources` and `mappings` are passed on to `normalizeProduct`.
+ */
+export const extractProductsFromPayloads = (payloads = [], { fieldSources = false, mappings = null } = {}) => {
+    const keys = mappings?.keys ?? PRODUCT_KEYS;
+    const rawProducts = [];
+    const seenObjects = new Set();
+    const nonProductPatterns = [
+        'ads_vertical_banner',
+        'ad_banner',
+        'Vegetables & Fruits',
+        'Dairy & Breakfast',
+        'Munchies',
+        'Cold Drinks',
+        'Instant & Frozen',
+        'Tea, Coffee',
+        'Bakery & Biscuits',
+        'Sweet Tooth',
+        'Atta, Rice & Dal',
+        'Dry Fruits, Masala',
+        'Sauces & Spreads',
+        'Chicken, Meat & Fish',
+        'Paan Corner',
+        'Organic & Premium',
+        'Baby Care',
+        'Pharma & Wellness',
+        'Personal Care',
+        'Home & Office',
+        'Pet Care',
+        'Cleaning Essentials',
+        'Home Furnishing & Decor',
+        'Beauty & Cosmetics',
+        'Magazines',
+        'Kitchen & Dining',
+        'Fashion & Accessories',
+    ];
+
+    const isLikelyProduct = (obj) => {
+        if (!obj || typeof obj !== 'object') return false;
+        const base = obj.product && typeof obj.product === 'object' ? obj.product : obj;
+        const name = extractName(base, keys) || extractName(obj, keys) || obj?.name?.text || obj?.name || null;
+        if (!name || typeof name !== 'string' || name.trim().length === 0) return false;
+        if (name === '[object Object]') return false;
+        const lowerName = name.toLowerCase();
+        if (nonProductPatterns.some(pattern => lowerName.includes(pattern.toLowerCase()))) return false;
+
+        const price = extractPrice(base, keys) ?? extractPrice(obj, keys);
+        const mrp = extractOriginalPrice(base, keys) ?? extractOriginalPrice(obj, keys);
+
+        // IMPORTANT: Product *must* have a real price signal.
+        // Categories/collections often have an id + title but no price, and should not be treated as products.
+        return price !== null || mrp !== null;
+    };
+
+    const pushProduct = (obj) => {
+        if (!obj || typeof obj !== 'object') return;
+        if (seenObjects.has(obj)) return;
+
+        // Filter out non-product widgets (ads, banners, categories, etc.)
+        if (obj.widget_type) {
+            // Only allow product card widgets
+            if (obj.widget_type !== 'product_card_snippet_type_2' &&
+                obj.widget_type !== 'product_card' &&
+                !obj.widget_type.includes('product')) {
+                return; // Skip ads, banners, categories, etc.
+            }
+        }
+
+        if (!isLikelyProduct(obj)) return;
+
+        seenObjects.add(obj);
+        rawProducts.push(obj);
+    };
+
+    const collectFromMap = (maybeMap) => {
+        if (!maybeMap || typeof maybeMap !== 'object') return;
+        if (Array.isArray(maybeMap)) {
+            maybeMap.forEach(pushProduct);
+            return;
+        }
+        Object.values(maybeMap).forEach(pushProduct);
+    };
+
+    const traverse = (node, depth = 0) => {
+        if (!node || typeof node !== 'object' || depth > 8) return;
+
+        if (Array.isArray(node)) {
+            if (node.length > 0 && node.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+                node.forEach(pushProduct);
+            }
+            node.forEach(child => traverse(child, depth + 1));
+            return;
+        }
+
+        // Blinkit-specific structures
+        if (node.entities && node.entities.products) collectFromMap(node.entities.products);
+        if (node.products) collectFromMap(node.products);
+        if (node.data && node.data.products) collectFromMap(node.data.products);
+        if (node.product_grid && node.product_grid.products) collectFromMap(node.product_grid.products);
+        if (node.widgets && Array.isArray(node.widgets)) node.widgets.forEach(pushProduct);
+        if (node.widget && typeof node.widget === 'object') pushProduct(node.widget);
+        if (node.items && Array.isArray(node.items)) node.items.forEach(pushProduct);
+
+        for (const key of Object.keys(node)) {
+            traverse(node[key], depth + 1);
+        }
+    };
+
+    for (const payload of payloads) {
+        if (!payload || typeof payload !== 'object') continue;
+        traverse(payload, 0);
+    }
+
+    // Normalize and dedupe
+    const seenKeys = new Set();
+    const normalized = [];
+    for (const [index, raw] of rawProducts.entries()) {
+        // Payloads have no page layout, so the rank is the discovery order
+        const n = { ...normalizeProduct(raw, { fieldSources, mappings }), search_rank: index + 1 };
+        if (!n.product_name) continue;
+        const key = `${n.product_name}|${n.price ?? ''}|${n.original_price ?? ''}|${n.product_image ?? ''}|${n.product_url ?? ''}`;
+        if (seenKeys.has(key)) continue;
+        seenKeys.add(key);
+        normalized.push(n);
+    }
+    return normalized;
+};
+
+/**
+ * Maps a Redux listing slice (`state.ui.search.searchProductBffData` on search pages, the PLP / listing
+ * slice on category pages) to product records. Only product card snippets with a name and price are kept.
+ * `targetType` is `'search'` (only `product_card_snippet_type_2` snippets) or `'category'` (any
+ * `product_card*` snippet). Cards that list other pack sizes carry them as normalized `variant_options`.
+ * Every record gets its `search_rank` (1-based position among product cards), `page_section` (title of the
+ * section header above it, or `'results'`), `is_sponsored` and the card's `ad_label`. `fieldSources` adds
+ * `field_sources` with the card path of every field, e.g. `tracking.impression_map.price`. The custom fields
+ * of `mappings` are read from the snippet, so their paths start at `data` or `tracking`.
+ */
+export const extractProductsFromSnippets = (
+    listingData,
+    { targetType = 'search', fieldSources = false, mappings = null } = {},
+) => {
+    if (!Array.isArray(listingData?.snippets)) return [];
+
+    const isProductCard = (s) => (targetType === 'category'
+        ? typeof s?.widget_type === 'string' && s.widget_type.includes('product_card')
+        : s?.widget_type === 'product_card_snippet_type_2');
+
+    // Rank counts every product card in page order (nameless ones too), so it does not shift when
+    // cards are filtered or deduplicated later. Other snippets with a title start a new page section.
+    const placements = [];
+    let rank = 0;
+    let section = DEFAULT_SECTION;
+    for (const snippet of listingData.snippets) {
+        if (!isProductCard(snippet)) {
+            section = extractSectionTitle(snippet) ?? section;
+            continue;
+        }
+        rank += 1;
+        const name = snippet.data?.name?.text || snippet.data?.name;
+        if (typeof name !== 'string' || name.trim().length === 0) continue;
+        placements.push({ snippet, rank, section });
+    }
+
+    return placements
+        .map(({ snippet, rank: searchRank, section: pageSection }) => {
+            const data = snippet.data || {};
+            const tracking = snippet.tracking || {};
+            const cartItem = data.atc_action?.add_to_cart?.cart_item || {};
+            const impression = tracking.impression_map || {};
+
+            const price = cartItem.price || impression.price || toNumber(data.price?.text) || null;
+            const mrp = cartItem.mrp || impression.mrp || toNumber(data.mrp?.text) || null;
+            const nameValue = data.name?.text ?? data.name ?? cartItem.product_name ?? impression.product_name ?? impression.name ?? null;
+            const name = typeof nameValue === 'string' ? nameValue.trim() : null;
+            const id = cartItem.product_id || impression.product_id || data.product_id || null;
+
+            const discountLabel = data.discount?.text || null;
+            let discount = discountLabel;
+            if (!discount && price && mrp && mrp > price) {
+                const off = Math.round(((mrp - price) / mrp) * 100);
+                if (off > 0) discount = `${off}% OFF`;
+            }
+
+            let productUrl = null;
+            if (id) {
+                const slug = name ? String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-') : 'product';
+                productUrl = `https://blinkit.com/prn/${slug}/prid/${id}`;
+            }
+
+            const deliveryTime = data.eta_tag?.text || data.delivery_time?.text || null;
+
+            const mergedRaw = {
+                ...data,
+                ...cartItem,
+                ...impression,
+                product_id: id,
+            };
+
+            // Aliases apply to the merged card object; custom paths are read from the snippet below
+            const aliasMappings = mappings ? { keys: mappings.keys } : null;
+            const normalized = normalizeProduct(mergedRaw, { fieldSources, mappings: aliasMappings });
+            const variantList = pickFirst(data, VARIANT_LIST_KEYS) ?? pickFirst(cartItem, VARIANT_LIST_KEYS);
+            const variantOptions = Array.isArray(variantList)
+                ? variantList
+                    .filter((variant) => variant && typeof variant === 'object')
+                    .map((variant) => normalizeProduct({
+                        ...variant,
+                        group_id: variant.group_id ?? normalized.group_id,
+                    }, { mappings: aliasMappings }))
+                    .filter((variant) => variant.product_name || variant.product_id)
+                : [];
+            const record = compactObject({
+                ...normalized,
+                product_name: normalized.product_name || name,
+                price: normalized.price ?? price,
+                original_price: normalized.original_price ?? mrp,
+                product_image: normalized.product_image ?? (data.image?.url || cartItem.image_url || null),
+                product_url: normalized.product_url ?? productUrl,
+                discount_percentage: normalized.discount_percentage ?? discount,
+                // Payload text only, so it can be checked against price and MRP
+                discount_label: normalized.discount_label ?? discountLabel,
+                delivery_time: normalized.delivery_time ?? deliveryTime,
+                delivery_eta_minutes: normalized.delivery_eta_minutes ?? parseEtaMinutes(deliveryTime),
+                search_rank: searchRank,
+                page_section: pageSection,
+                ...extractSponsorship(snippet, cartItem),
+                variant_options: variantOptions,
+                ...mappings?.readFields?.(snippet),
+            });
+            if (!fieldSources) return record;
+
+            // The merged card object takes keys from the impression map over the cart item over the card data
+            const origins = [
+                [impression, 'tracking.impression_map.'],
+                [cartItem, 'data.atc_action.add_to_cart.cart_item.'],
+                [data, 'data.'],
+            ];
+            const cardSources = {};
+            for (const [field, alias] of Object.entries(normalized.field_sources ?? {})) {
+                const key = alias.split('.')[0];
+                const origin = origins.find(([obj]) => obj[key] !== undefined && obj[key] !== null);
+                cardSources[field] = origin ? `${origin[1]}${alias}` : alias;
+            }
+            for (const [field, path] of Object.entries(SNIPPET_FIELD_PATHS)) {
+                if (record[field] !== undefined && !cardSources[field]) cardSources[field] = path;
+            }
+            Object.assign(cardSources, mappings?.describeSources?.(snippet, record));
+            return { ...record, field_sources: cardSources };
+        })
+        .filter((p) => {
+            if (typeof p.product_name !== 'string' || !p.product_name.trim() || p.product_name === '[object Object]') return false;
+            return p.price !== null && p.price !== undefined;
+        });
+};
+
+/**
+ * Dedup key of a product record (name, price, MRP, image and URL), or null for an empty record.
+ */
+export const makeProductKey = (product) => {
+    if (!product) return null;
+    const name = product.product_name || product.name || '';
+    const price = product.price ?? '';
+    const mrp = product.original_price ?? '';
+    const image = product.product_image ?? '';
+    const url = product.product_url ?? '';
+    const key = `${name}|${price}|${mrp}|${image}|${url}`.trim();
+    return key || null;
+};
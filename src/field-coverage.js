@@ -0,0 +1,82 @@
+// Field coverage - share of scraped records that have each field and the payload key that supplied it,
+// compared with a baseline so a field Blinkit renamed shows up as a coverage drop instead of quietly
+// disappearing from the dataset
+
+/**
+ * Expected coverage (percent of records) of the fields a working extraction always fills. Used when no
+ * `coverage_baseline` is given.
+ */
+export const DEFAULT_COVERAGE_BASELINE = {
+    product_name: 100,
+    price: 100,
+    original_price: 90,
+    product_image: 90,
+    product_id: 90,
+    product_url: 90,
+    in_stock: 80,
+    brand: 60,
+};
+
+// Values stock fields fall back to when the payload has no stock data
+const PLACEHOLDERS = { availability: 'Unknown', stock_status: 'unknown' };
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const isCovered = (field, value) => value !== undefined && value !== null && value !== PLACEHOLDERS[field];
+
+/**
+ * Counts records into `counts`: the number of records and, per field, how many had it and from which key.
+ * `add(records)` reads each record's `field_sources` and returns the records without it; `build()` returns
+ * `{ records, fields }` with `coverage_pct` and the count per supplying key (`derived` for computed fields)
+ * of every field.
+ */
+export const createFieldCoverage = (counts = {}) => {
+    counts.records ??= 0;
+    counts.fields ??= {};
+
+    const add = (records) => records.map(({ field_sources: fieldSources = {}, ...record }) => {
+        counts.records += 1;
+        for (const [field, value] of Object.entries(record)) {
+            if (!isCovered(field, value)) continue;
+            counts.fields[field] ??= { count: 0, aliases: {} };
+            const entry = counts.fields[field];
+            const alias = fieldSources[field] ?? 'derived';
+            entry.count += 1;
+            entry.aliases[alias] = (entry.aliases[alias] ?? 0) + 1;
+        }
+        return record;
+    });
+
+    const build = () => {
+        const fields = Object.entries(counts.fields)
+            .sort(([a, x], [b, y]) => y.count - x.count || a.localeCompare(b))
+            .map(([field, { count, aliases }]) => [field, {
+                coverage_pct: counts.records > 0 ? round1((count / counts.records) * 100) : 0,
+                count,
+                aliases: Object.fromEntries(Object.entries(aliases).sort(([, x], [, y]) => y - x)),
+            }]);
+        return { records: counts.records, fields: Object.fromEntries(fields) };
+    };
+
+    return { add, build };
+};
+
+/**
+ * Fields of a coverage report (`build()` output) that fell more than `maxDropPct` percentage points below
+ * their `baseline` coverage, as `{ field, coverage_pct, baseline_pct, drop_pct }`. A report without
+ * records has nothing to compare.
+ */
+export const findCoverageDrops = (report, baseline = DEFAULT_COVERAGE_BASELINE, { maxDropPct = 20 } = {}) => {
+    if (!report || report.records === 0) return [];
+    return Object.entries(baseline)
+        .map(([field, baselinePct]) => {
+            const coveragePct = report.fields[field]?.coverage_pct ?? 0;
+            return {
+                field,
+                coverage_pct: coveragePct,
+                baseline_pct: baselinePct,
+                drop_pct: round1(baselinePct - coveragePct),
+            };
+        })
+        .filter(({ drop_pct: dropPct }) => dropPct > maxDropPct);
+};
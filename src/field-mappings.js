@@ -0,0 +1,159 @@
+// Field mappings - payload key aliases for the built-in record fields and custom output fields read from
+// dotted paths, supplied in the input so a field Blinkit renamed or added is picked up without a code change
+import { FIELD_ALIASES, PRODUCT_KEYS, RECORD_FIELD_KEYS, toNumber } from './extraction.js';
+
+/**
+ * Types custom field values can be converted to. Without a type, values are kept as they are.
+ */
+export const FIELD_TYPES = ['number', 'string', 'boolean'];
+
+const PATH_PATTERN = /^[^.[\]\s]+(?:\.[^.[\]\s]+|\[\d+\])*$/;
+
+// `field_sources` entry of a custom field whose value was found but could not be converted
+const INVALID_SOURCE_PREFIX = 'invalid:';
+
+const TRUE_TEXT = /^(?:true|yes|1)$/i;
+const FALSE_TEXT = /^(?:false|no|0)$/i;
+
+/**
+ * Splits a path such as `data.tags[0].text` into its keys and array indexes (`['data', 'tags', 0, 'text']`).
+ * Null for a malformed path.
+ */
+export const parsePath = (path) => {
+    if (typeof path !== 'string' || !PATH_PATTERN.test(path.trim())) return null;
+    return path.trim().match(/[^.[\]]+|\[\d+\]/g)
+        .map((segment) => (segment.startsWith('[') ? Number(segment.slice(1, -1)) : segment));
+};
+
+/**
+ * Value at the parsed `segments` of `obj`, or undefined when any step is missing.
+ */
+export const readPath = (obj, segments) => segments.reduce((node, segment) => {
+    if (node === null || node === undefined || typeof node !== 'object') return undefined;
+    if (typeof segment === 'number' && !Array.isArray(node)) return undefined;
+    return node[segment];
+}, obj);
+
+/**
+ * Converts a mapped value to `type` (one of `FIELD_TYPES`). Blinkit text objects (`{ text }`) give their
+ * text; other values are kept as they are when there is no type. Undefined when the value cannot be
+ * converted.
+ */
+export const coerceValue = (value, type) => {
+    const text = value && typeof value === 'object' && !Array.isArray(value) ? value.text ?? value.title : value;
+    if (!type) return text ?? value;
+    if (type === 'number') return typeof text === 'boolean' ? undefined : toNumber(text) ?? undefined;
+    if (type === 'string') {
+        if (typeof text === 'string') return text.trim() || undefined;
+        return typeof text === 'number' || typeof text === 'boolean' ? String(text) : undefined;
+    }
+    if (typeof text === 'boolean') return text;
+    if (typeof text === 'number') return { 1: true, 0: false }[text];
+    if (typeof text === 'string' && TRUE_TEXT.test(text.trim())) return true;
+    if (typeof text === 'string' && FALSE_TEXT.test(text.trim())) return false;
+    return undefined;
+};
+
+const toAliasList = (value) => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Parses the `field_mappings` input: `aliases` maps record fields (`price`, `brand`, ...) or `PRODUCT_KEYS`
+ * names to extra payload keys, checked before the built-in ones; `fields` maps new output fields to a path,
+ * or to `{ path, type }`. Returns `{ keys, aliases, fields, errors, readFields, describeSources, count, report }`:
+ * `keys` are `PRODUCT_KEYS` with the extra `aliases` merged in, `readFields(source)` reads the custom fields
+ * of one raw object and `describeSources(source, record)` gives their `field_sources` entries: the path, or
+ * `invalid:<path>` for a value that could not be converted. `count(records)` tallies the custom fields of
+ * finished records from those entries and `report()` returns per custom field how many records were read,
+ * how often the field was found and how often its value could not be converted. Records are counted when
+ * they are saved, not on every extraction pass over the same payloads. Invalid entries are skipped and
+ * described in `errors`.
+ */
+export const createFieldMappings = (input) => {
+    const value = input ?? {};
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('field_mappings must be an object with "aliases" and / or "fields"');
+    }
+
+    const errors = [];
+    for (const key of Object.keys(value)) {
+        if (key !== 'aliases' && key !== 'fields') errors.push(`unknown entry "${key}" (use "aliases" or "fields")`);
+    }
+
+    const extraKeys = {};
+    for (const [field, aliases] of Object.entries(value.aliases ?? {})) {
+        const keyName = RECORD_FIELD_KEYS[field] ?? (PRODUCT_KEYS[field] ? field : null);
+        if (!keyName) {
+            errors.push(`aliases.${field}: unknown field`);
+            continue;
+        }
+        for (const alias of toAliasList(aliases)) {
+            if (typeof alias !== 'string' || !alias.trim()) {
+                errors.push(`aliases.${field}: aliases must be non-empty strings`);
+                continue;
+            }
+            extraKeys[keyName] = [...(extraKeys[keyName] ?? []), alias.trim()];
+        }
+    }
+    const keys = Object.keys(extraKeys).length === 0 ? PRODUCT_KEYS : Object.fromEntries(
+        Object.entries(PRODUCT_KEYS).map(([keyName, builtIn]) => {
+            const extra = extraKeys[keyName] ?? [];
+            return [keyName, [...new Set([...extra, ...builtIn])]];
+        }),
+    );
+
+    const fields = [];
+    for (const [name, mapping] of Object.entries(value.fields ?? {})) {
+        const { path, type } = typeof mapping === 'string' ? { path: mapping } : mapping ?? {};
+        const segments = parsePath(path);
+        if (FIELD_ALIASES[name]) errors.push(`fields.${name}: built-in field, add an alias for it instead`);
+        else if (!segments) errors.push(`fields.${name}: invalid path ${JSON.stringify(path ?? null)}`);
+        else if (type !== undefined && !FIELD_TYPES.includes(type)) {
+            errors.push(`fields.${name}: type must be one of ${FIELD_TYPES.join(', ')}`);
+        } else {
+            fields.push({ name, path: path.trim(), type, segments, read: 0, found: 0, invalid: 0 });
+        }
+    }
+
+    const readFields = (source) => {
+        const values = {};
+        for (const field of fields) {
+            const raw = readPath(source, field.segments);
+            if (raw === undefined || raw === null) continue;
+            const coerced = coerceValue(raw, field.type);
+            if (coerced !== undefined) values[field.name] = coerced;
+        }
+        return values;
+    };
+
+    const describeSources = (source, record) => {
+        const sources = {};
+        for (const { name, path, segments } of fields) {
+            if (record[name] !== undefined) sources[name] = path;
+            else if ((readPath(source, segments) ?? null) !== null) sources[name] = `${INVALID_SOURCE_PREFIX}${path}`;
+        }
+        return sources;
+    };
+
+    const count = (records) => {
+        for (const record of records) {
+            for (const field of fields) {
+                field.read += 1;
+                const source = record.field_sources?.[field.name];
+                if (!source) continue;
+                field.found += 1;
+                if (source.startsWith(INVALID_SOURCE_PREFIX)) field.invalid += 1;
+            }
+        }
+    };
+
+    const report = () => fields.map(({ name, path, type, read, found, invalid }) => ({
+        name,
+        path,
+        type,
+        read,
+        found,
+        invalid,
+    }));
+
+    return { keys, aliases: extraKeys, fields, errors, readFields, describeSources, count, report };
+};
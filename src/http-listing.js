@@ -0,0 +1,96 @@
+// HTTP listing - URL and header helpers for paging through a Blinkit JSON listing endpoint directly,
+// without the browser, once a browser visit has shown which endpoint the page uses
+
+// Params that carry the search text of a search endpoint
+const QUERY_PARAMS = ['q', 'query', 'search', 'keyword', 'search_query'];
+
+// Params that count items rather than pages, stepped by the page size
+const OFFSET_PARAMS = ['offset', 'from', 'start', 'skip'];
+
+// Request headers the HTTP client sets itself, or that belong to one particular request
+const SKIPPED_HEADERS = /^(?::|host$|cookie$|content-length$|accept-encoding$|connection$)/i;
+
+const DEFAULT_PAGE_SIZE = 24;
+
+const pageSizeOf = (params) => {
+    const limitLike = params.get('limit') ?? params.get('size') ?? params.get('count');
+    const parsed = Number.parseInt(String(limitLike || ''), 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_PAGE_SIZE;
+};
+
+/**
+ * URL of the page after `url`: `page` goes up by one, an offset-style param by the page size. Null when
+ * the URL has no pagination param to step.
+ */
+export const nextPageUrl = (url) => {
+    const u = new URL(url);
+    const bump = (key, delta) => {
+        const current = Number.parseInt(u.searchParams.get(key) || '0', 10);
+        u.searchParams.set(key, String(Number.isFinite(current) ? current + delta : delta));
+    };
+
+    if (u.searchParams.has('page')) bump('page', 1);
+    else {
+        const offsetParam = OFFSET_PARAMS.find((key) => u.searchParams.has(key));
+        if (!offsetParam) return null;
+        bump(offsetParam, pageSizeOf(u.searchParams));
+    }
+    return u.toString();
+};
+
+/**
+ * First page of `query` on the endpoint `templateUrl` was captured from: the search text is swapped in and
+ * pagination starts over (`page` at 1, or 0 when the template counts from 0; offsets at 0). Null when the
+ * template has no search text param, since it cannot serve another query then.
+ */
+export const firstPageUrl = (templateUrl, query) => {
+    const u = new URL(templateUrl);
+    const queryParam = QUERY_PARAMS.find((key) => u.searchParams.has(key));
+    if (!queryParam) return null;
+    u.searchParams.set(queryParam, query);
+    if (u.searchParams.has('page')) u.searchParams.set('page', u.searchParams.get('page') === '0' ? '0' : '1');
+    for (const key of OFFSET_PARAMS) {
+        if (u.searchParams.has(key)) u.searchParams.set(key, '0');
+    }
+    return u.toString();
+};
+
+/**
+ * Pages through a listing endpoint from `url` on, at most `maxPages` pages. `fetchPage(url)` resolves to the
+ * products of a page, or null when the request failed; `push(products, url, pageNumber)` to `{ done, added }`,
+ * whether results_wanted is reached and how many products were new. `pageSize` is the length of a full page
+ * when it is known up front.
+ *
+ * Resolves to `{ done, ended, failed }`. `ended` is only set when the end of the listing was seen: an empty
+ * page, or one shorter than a full page. A failed request, the page cap, a URL that cannot be stepped or a
+ * page of repeats (an endpoint ignoring the pagination param) stop it without, since the listing may go on.
+ */
+export const walkListingPages = async (url, { fetchPage, push, maxPages, pageSize = 0 }) => {
+    let fullPage = pageSize;
+    let pageUrl = url;
+    for (let pageNumber = 1; pageUrl && pageNumber <= maxPages; pageNumber++) {
+        const products = await fetchPage(pageUrl);
+        if (products === null) return { done: false, ended: false, failed: true };
+        if (products.length === 0) return { done: false, ended: true, failed: false };
+
+        const { done, added } = await push(products, pageUrl, pageNumber);
+        if (done) return { done: true, ended: false, failed: false };
+        if (products.length < fullPage) return { done: false, ended: true, failed: false };
+        if (added === 0) break;
+        fullPage = Math.max(fullPage, products.length);
+        pageUrl = nextPageUrl(pageUrl);
+    }
+    return { done: false, ended: false, failed: false };
+};
+
+/**
+ * Headers of a captured browser request that can be sent again from the HTTP client.
+ */
+export const toReplayHeaders = (headers = {}) => Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !SKIPPED_HEADERS.test(name)),
+);
+
+/**
+ * `Cookie` header value for browser cookies (`{ name, value }` objects).
+ */
+export const toCookieHeader = (cookies = []) => cookies.map(({ name, value }) => `${name}=${value}`).join('; ');
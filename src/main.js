@@ -1,624 +1,778 @@
 // Blinkit Price Scraper - Extract product prices, names, and availability from Blinkit
-import { PlaywrightCrawler, Dataset } from 'crawlee';
 import { Actor, log } from 'apify';
+import { Dataset, PlaywrightCrawler, RequestQueue } from 'crawlee';
+
+import { createAlertEngine, getAlertsDatasetName } from './alerts.js';
+import {
+    BLOCK_SELECTORS,
+    BlockedError,
+    detectBlock,
+    getBackoffMs,
+    matchBlockedResponse,
+} from './block-detection.js';
+import { createCrawlState } from './crawl-state.js';
+import { EXPORT_FORMATS, exportDataset } from './exports.js';
+import {
+    compactObject,
+    extractProductsFromPayloads,
+    extractProductsFromSnippets,
+    makeProductKey,
+    normalizeProduct,
+} from './extraction.js';
+import { createFieldCoverage, DEFAULT_COVERAGE_BASELINE, findCoverageDrops } from './field-coverage.js';
+import { createFieldMappings } from './field-mappings.js';
+import { firstPageUrl, nextPageUrl, toCookieHeader, toReplayHeaders, walkListingPages } from './http-listing.js';
+import { getUnitPricing } from './pack-size.js';
+import {
+    CAPTURE_INDEX_KEY,
+    createCapture,
+    getCaptureKey,
+    loadCapture,
+    replayCapture,
+    splitCapture,
+} from './payload-capture.js';
+import { assertInsideIndia, resolveDeliveryArea } from './pincodes.js';
+import { getPriceChecks } from './price-checks.js';
+import { createPriceTracker, makeScopeKey } from './price-history.js';
+import { extractProductDetails } from './product-details.js';
+import { createResultFilter } from './result-filters.js';
+import { createRunStats } from './run-summary.js';
+import { createShareOfShelf, renderShareOfShelfHtml } from './share-of-shelf.js';
+import {
+    extractSuggestions,
+    getSuggestQuery,
+    getTypedPrefixes,
+    SUGGESTION_URL_PATTERN,
+} from './suggestions.js';
+import { createVariantGrouper } from './variants.js';
 
 await Actor.init();
 
-const PRODUCT_KEYS = {
-    name: ['name', 'product_name', 'title', 'productName', 'display_name', 'displayName', 'item_name'],
-    price: ['price', 'selling_price', 'offer_price', 'discounted_price', 'final_price', 'sp', 'sale_price', 'unit_price'],
-    originalPrice: ['mrp', 'original_price', 'list_price', 'mrp_price'],
-    discount: ['discount', 'discount_text', 'discount_percentage', 'discountPercent', 'offer_text'],
-    image: ['image', 'image_url', 'imageUrl', 'thumbnail', 'img', 'picture', 'product_image'],
-    availability: ['in_stock', 'available', 'availability', 'stock'],
-    delivery: ['eta', 'delivery_time', 'deliveryTime'],
-    url: ['product_url', 'productUrl', 'url', 'slug'],
-    id: ['product_id', 'productId', 'id', 'sku', 'sku_id', 'item_id', 'variant_id'],
-    skuId: ['sku_id', 'skuId', 'variant_id', 'variantId', 'item_id', 'itemId'],
-    brand: ['brand', 'brand_name', 'brandName', 'brand_title', 'manufacturer', 'company'],
-    quantity: ['quantity', 'qty', 'pack_size', 'packSize', 'net_quantity', 'netQuantity', 'weight', 'volume', 'size'],
-    unit: ['unit', 'uom', 'unitOfMeasure', 'unit_of_measure', 'measurement_unit'],
-    rating: ['rating', 'avg_rating', 'average_rating', 'product_rating', 'productRating'],
-    ratingsCount: ['rating_count', 'ratings_count', 'reviews_count', 'review_count', 'ratingCount', 'ratingsCount'],
-    inventory: ['inventory', 'inventory_count', 'available_quantity', 'availableQuantity', 'stock_count', 'stockCount'],
-};
+// The BLINKIT_ORIGIN environment variable points the crawler at another site, such as the mock Blinkit
+// site the end-to-end tests run against
+const BLINKIT_ORIGIN = (process.env.BLINKIT_ORIGIN || 'https://blinkit.com').replace(/\/+$/, '');
+const SITE_HOST = new URL(BLINKIT_ORIGIN).hostname;
 
-const pickFirst = (obj, keys) => {
-    if (!obj || typeof obj !== 'object') return null;
-    for (const key of keys) {
-        if (Object.prototype.hasOwnProperty.call(obj, key) && obj[key] !== undefined && obj[key] !== null) {
-            return obj[key];
-        }
-    }
-    return null;
-};
+// Pages fetched per query in HTTP mode when results_wanted does not stop it earlier
+const HTTP_MAX_PAGES = 50;
 
-const toNumber = (value) => {
-    if (value === null || value === undefined) return null;
-    if (typeof value === 'number' && Number.isFinite(value)) return value;
-    const str = String(value).trim();
-    if (!str) return null;
-    const cleaned = str.replace(/[^\d.]/g, '');
-    if (!cleaned) return null;
-    const num = Number.parseFloat(cleaned);
-    return Number.isFinite(num) ? num : null;
+const parseCoordinate = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const parsed = Number.parseFloat(String(value));
+    return Number.isFinite(parsed) ? parsed : null;
 };
 
-const compactObject = (obj) => {
-    if (!obj || typeof obj !== 'object') return obj;
-    return Object.fromEntries(
-        Object.entries(obj).filter(([, value]) => {
-            if (value === null || value === undefined) return false;
-            if (typeof value === 'number') return Number.isFinite(value);
-            if (typeof value === 'string') return value.trim().length > 0;
-            if (Array.isArray(value)) return value.length > 0;
-            if (typeof value === 'object') return Object.keys(value).length > 0;
-            return true;
-        })
-    );
-};
-
-const extractImage = (obj) => {
-    const direct = pickFirst(obj, PRODUCT_KEYS.image);
-    if (typeof direct === 'string') return direct;
-    if (direct && typeof direct === 'object') {
-        const nested = pickFirst(direct, ['url', 'src', 'image', 'imageUrl']);
-        if (typeof nested === 'string') return nested;
-    }
-    const images = obj?.images || obj?.image_urls || obj?.imageUrls;
-    if (Array.isArray(images) && images.length > 0) {
-        const first = images[0];
-        if (typeof first === 'string') return first;
-        if (first && typeof first === 'object') {
-            const nested = pickFirst(first, ['url', 'src', 'image', 'imageUrl']);
-            if (typeof nested === 'string') return nested;
-        }
+// Malformed percent-encoding (a truncated "%E0%A4") keeps the slug as it is
+const decodeSlug = (slug) => {
+    try {
+        return decodeURIComponent(slug);
+    } catch {
+        return slug;
     }
-    return null;
 };
 
-const extractProductId = (obj) => {
-    const value = pickFirst(obj, PRODUCT_KEYS.id);
-    if (value === null || value === undefined) return null;
-    if (typeof value === 'number' && Number.isFinite(value)) return value;
-    const str = String(value).trim();
-    return str ? str : null;
-};
-
-const extractPrice = (obj) => {
-    let value = pickFirst(obj, PRODUCT_KEYS.price);
-    if (value && typeof value === 'object') {
-        value = pickFirst(value, ['selling_price', 'offer_price', 'price', 'final_price', 'mrp', 'list_price']);
-    }
-    return toNumber(value);
+const humanizeSlug = (slug) => decodeSlug(slug)
+    .split(/[-_]+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+// Category listings live under /cn/<slug>/cid/<category id>[/<subcategory id>]
+const parseCategoryPath = (pathname) => {
+    const match = pathname.match(/^\/cn\/(?:[^/]+\/)*?([^/]+)\/cid\/(\d+)(?:\/(\d+))?/i);
+    if (!match) return null;
+    const [, slug, categoryId, subcategoryId] = match;
+    return {
+        slug,
+        name: humanizeSlug(slug),
+        categoryId,
+        subcategoryId: subcategoryId ?? null,
+    };
 };
 
-const extractOriginalPrice = (obj) => {
-    let value = pickFirst(obj, PRODUCT_KEYS.originalPrice);
-    if (value && typeof value === 'object') {
-        value = pickFirst(value, ['mrp', 'list_price', 'original_price']);
+const parseSearchUrl = (value, inputName = 'search_url') => {
+    let u;
+    try {
+        u = new URL(value, BLINKIT_ORIGIN);
+    } catch {
+        throw new Error(`${inputName} must be a valid URL: ${value}`);
     }
-    return toNumber(value);
-};
 
-const extractName = (obj) => {
-    const value = pickFirst(obj, PRODUCT_KEYS.name);
-    if (value === null || value === undefined) return null;
-    if (typeof value === 'string') return value.trim();
-    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
-    if (typeof value === 'object') {
-        const nested = pickFirst(value, ['text', 'name', 'title', 'display_name', 'displayName']);
-        if (nested === null || nested === undefined) return null;
-        if (typeof nested === 'string') return nested.trim() || null;
-        if (typeof nested === 'number' && Number.isFinite(nested)) return String(nested);
-        return null;
+    if (u.hostname !== SITE_HOST && !u.hostname.endsWith(`.${SITE_HOST}`)) {
+        throw new Error(`${inputName} must be a ${SITE_HOST} URL: ${value}`);
     }
-    return null;
-};
 
-const extractAvailability = (obj) => {
-    const value = pickFirst(obj, PRODUCT_KEYS.availability);
-    if (typeof value === 'boolean') return value ? 'In Stock' : 'Out of Stock';
-    if (typeof value === 'string') {
-        const lowered = value.toLowerCase();
-        if (lowered.includes('out')) return 'Out of Stock';
-        if (lowered.includes('in')) return 'In Stock';
+    const category = parseCategoryPath(u.pathname);
+    if (!category && !/^\/s\/?$/.test(u.pathname)) {
+        throw new Error(`${inputName} must be a Blinkit search (/s/?q=...) or category (/cn/.../cid/...) URL: ${value}`);
     }
-    return null;
-};
 
-const extractDelivery = (obj) => {
-    const value = pickFirst(obj, PRODUCT_KEYS.delivery);
-    if (value === null || value === undefined) return null;
-    if (typeof value === 'string') return value.trim();
-    return String(value).trim();
-};
-
-const extractDiscount = (obj) => {
-    const value = pickFirst(obj, PRODUCT_KEYS.discount);
-    if (value === null || value === undefined) return null;
-    if (typeof value === 'string') return value.trim();
-    if (typeof value === 'number') return `${value}%`;
-    return null;
+    const q = u.searchParams.get('q');
+    return {
+        type: category ? 'category' : 'search',
+        url: u.toString(),
+        query: q && q.trim() ? q.trim() : '',
+        category,
+        latitude: parseCoordinate(u.searchParams.get('lat') ?? u.searchParams.get('latitude')),
+        longitude: parseCoordinate(u.searchParams.get('lng') ?? u.searchParams.get('longitude')),
+    };
 };
 
-const extractBrand = (obj) => {
-    const value = pickFirst(obj, PRODUCT_KEYS.brand);
-    if (value === null || value === undefined) return null;
-    if (typeof value === 'string') return value.trim() || null;
-    if (typeof value === 'object') {
-        const nested = pickFirst(value, ['name', 'title', 'text', 'display_name', 'displayName']);
-        if (typeof nested === 'string') return nested.trim() || null;
-    }
-    return String(value).trim() || null;
-};
+const makeQueryTarget = (query) => ({
+    type: 'search',
+    url: `${BLINKIT_ORIGIN}/s/?q=${encodeURIComponent(query)}`,
+    query,
+    category: null,
+    latitude: null,
+    longitude: null,
+});
 
-const extractQuantity = (obj) => {
-    const value = pickFirst(obj, PRODUCT_KEYS.quantity);
-    if (value === null || value === undefined) return null;
-    if (typeof value === 'number' && Number.isFinite(value)) return value;
-    if (typeof value === 'string') {
-        const str = value.trim();
-        if (!str) return null;
-        const num = toNumber(str);
-        return num ?? str;
-    }
-    if (typeof value === 'object') {
-        const nested = pickFirst(value, ['value', 'text', 'quantity', 'qty', 'amount']);
-        return extractQuantity({ quantity: nested });
-    }
-    return null;
+const toStringList = (value) => {
+    const list = Array.isArray(value) ? value : [value];
+    return list.map((item) => (typeof item === 'string' ? item.trim() : '')).filter(Boolean);
 };
 
-const extractUnit = (obj) => {
-    const value = pickFirst(obj, PRODUCT_KEYS.unit);
-    if (value === null || value === undefined) return null;
-    if (typeof value === 'string') return value.trim() || null;
-    if (typeof value === 'object') {
-        const nested = pickFirst(value, ['text', 'name', 'title', 'unit']);
-        if (typeof nested === 'string') return nested.trim() || null;
+// Every search URL / query becomes one crawl target. The single `search_query` has a schema default,
+// so it is only used when no other search input was provided.
+const buildSearchTargets = (input) => {
+    const urls = [...toStringList(input.search_url), ...toStringList(input.search_urls)];
+    const categoryUrls = toStringList(input.category_urls);
+    const queries = toStringList(input.search_queries);
+    if (urls.length === 0 && categoryUrls.length === 0 && queries.length === 0) {
+        queries.push(...toStringList(input.search_query));
     }
-    return String(value).trim() || null;
-};
-
-const extractRating = (obj) => {
-    const value = pickFirst(obj, PRODUCT_KEYS.rating);
-    const num = toNumber(value);
-    return num === null ? null : num;
-};
-
-const extractRatingsCount = (obj) => {
-    const value = pickFirst(obj, PRODUCT_KEYS.ratingsCount);
-    const num = toNumber(value);
-    return num === null ? null : Math.round(num);
-};
-
-const extractSkuId = (obj) => {
-    const value = pickFirst(obj, PRODUCT_KEYS.skuId);
-    if (value === null || value === undefined) return null;
-    if (typeof value === 'number' && Number.isFinite(value)) return value;
-    const str = String(value).trim();
-    return str ? str : null;
-};
-
-const extractInventory = (obj) => {
-    const value = pickFirst(obj, PRODUCT_KEYS.inventory);
-    const num = toNumber(value);
-    return num === null ? null : Math.round(num);
-};
-
-const scoreProduct = (obj) => {
-    let score = 0;
-    if (extractName(obj)) score += 2;
-    if (extractPrice(obj) !== null) score += 2;
-    if (extractOriginalPrice(obj) !== null) score += 1;
-    if (extractImage(obj)) score += 1;
-    if (extractAvailability(obj)) score += 1;
-    if (extractProductId(obj)) score += 1;
-    return score;
-};
 
-const findProductArrays = (root) => {
-    const candidates = [];
-    const seen = new Set();
-
-    const walk = (node, depth = 0) => {
-        if (!node || typeof node !== 'object') return;
-        if (seen.has(node) || depth > 7) return;
-        seen.add(node);
-
-        if (Array.isArray(node)) {
-            if (node.length > 0 && node.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
-                const sample = node.slice(0, Math.min(25, node.length));
-                const avgScore = sample.reduce((sum, item) => sum + scoreProduct(item), 0) / sample.length;
-                if (avgScore >= 3) {
-                    candidates.push({ items: node, score: avgScore, size: node.length });
-                }
-            }
-            for (const item of node) walk(item, depth + 1);
-            return;
-        }
-
-        for (const key of Object.keys(node)) {
-            walk(node[key], depth + 1);
-        }
+    const targets = [];
+    const seenUrls = new Set();
+    const addTarget = (target) => {
+        if (seenUrls.has(target.url)) return;
+        seenUrls.add(target.url);
+        targets.push(target);
     };
 
-    walk(root, 0);
-    if (candidates.length === 0) return null;
-
-    candidates.sort((a, b) => {
-        if (b.score !== a.score) return b.score - a.score;
-        return b.size - a.size;
-    });
-
-    return candidates[0].items;
-};
-
-const normalizeProduct = (raw) => {
-    const base = raw && typeof raw === 'object' && raw.product && typeof raw.product === 'object'
-        ? raw.product
-        : raw;
-
-    const productName = extractName(base) || extractName(raw);
-    const price = extractPrice(base) ?? extractPrice(raw);
-    const originalPrice = extractOriginalPrice(base) ?? extractOriginalPrice(raw);
-    const discount = extractDiscount(base) ?? extractDiscount(raw);
-    const image = extractImage(base) ?? extractImage(raw);
-    const availability = extractAvailability(base) ?? extractAvailability(raw);
-    const delivery = extractDelivery(base) ?? extractDelivery(raw);
-    const productUrlRaw = pickFirst(base, PRODUCT_KEYS.url) || pickFirst(raw, PRODUCT_KEYS.url) || null;
-    const productId = extractProductId(base) ?? extractProductId(raw);
-    const skuId = extractSkuId(base) ?? extractSkuId(raw);
-    const brand = extractBrand(base) ?? extractBrand(raw);
-    const quantity = extractQuantity(base) ?? extractQuantity(raw);
-    const unit = extractUnit(base) ?? extractUnit(raw);
-    const rating = extractRating(base) ?? extractRating(raw);
-    const ratingsCount = extractRatingsCount(base) ?? extractRatingsCount(raw);
-    const inventory = extractInventory(base) ?? extractInventory(raw);
-
-    let productUrl = null;
-    if (typeof productUrlRaw === 'string' && productUrlRaw.trim()) {
-        const trimmed = productUrlRaw.trim();
-        if (trimmed.startsWith('http')) {
-            productUrl = trimmed;
-        } else {
-            const path = trimmed.replace(/^\//, '');
-            if (path.startsWith('prn/') || path.includes('/prn/')) {
-                productUrl = `https://blinkit.com/${path}`;
-            } else if (productId) {
-                productUrl = `https://blinkit.com/prn/${path}/prid/${productId}`;
-            } else {
-                productUrl = `https://blinkit.com/${path}`;
-            }
-        }
-    } else if (productId && productName) {
-        const slug = productName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
-        productUrl = `https://blinkit.com/prn/${slug}/prid/${productId}`;
+    for (const url of urls) addTarget(parseSearchUrl(url));
+    for (const url of categoryUrls) {
+        const target = parseSearchUrl(url, 'category_urls');
+        if (target.type !== 'category') throw new Error(`category_urls must contain /cn/.../cid/... URLs: ${url}`);
+        addTarget(target);
     }
-
-    return compactObject({
-        product_name: productName,
-        price,
-        original_price: originalPrice,
-        discount_percentage: discount,
-        product_image: image,
-        availability: availability || 'Unknown',
-        delivery_time: delivery,
-        product_url: typeof productUrl === 'string' ? productUrl : null,
-        product_id: productId,
-        sku_id: skuId,
-        brand,
-        quantity,
-        unit,
-        rating,
-        ratings_count: ratingsCount,
-        inventory,
-    });
+    for (const query of queries) addTarget(makeQueryTarget(query));
+    return targets;
 };
 
-const extractProductsFromPayloads = (payloads = []) => {
-    const rawProducts = [];
-    const seenObjects = new Set();
-    const nonProductPatterns = [
-        'ads_vertical_banner',
-        'ad_banner',
-        'Vegetables & Fruits',
-        'Dairy & Breakfast',
-        'Munchies',
-        'Cold Drinks',
-        'Instant & Frozen',
-        'Tea, Coffee',
-        'Bakery & Biscuits',
-        'Sweet Tooth',
-        'Atta, Rice & Dal',
-        'Dry Fruits, Masala',
-        'Sauces & Spreads',
-        'Chicken, Meat & Fish',
-        'Paan Corner',
-        'Organic & Premium',
-        'Baby Care',
-        'Pharma & Wellness',
-        'Personal Care',
-        'Home & Office',
-        'Pet Care',
-        'Cleaning Essentials',
-        'Home Furnishing & Decor',
-        'Beauty & Cosmetics',
-        'Magazines',
-        'Kitchen & Dining',
-        'Fashion & Accessories',
-    ];
-
-    const isLikelyProduct = (obj) => {
-        if (!obj || typeof obj !== 'object') return false;
-        const base = obj.product && typeof obj.product === 'object' ? obj.product : obj;
-        const name = extractName(base) || extractName(obj) || obj?.name?.text || obj?.name || null;
-        if (!name || typeof name !== 'string' || name.trim().length === 0) return false;
-        if (name === '[object Object]') return false;
-        const lowerName = name.toLowerCase();
-        if (nonProductPatterns.some(pattern => lowerName.includes(pattern.toLowerCase()))) return false;
-
-        const price = extractPrice(base) ?? extractPrice(obj);
-        const mrp = extractOriginalPrice(base) ?? extractOriginalPrice(obj);
-
-        // IMPORTANT: Product *must* have a real price signal.
-        // Categories/collections often have an id + title but no price, and should not be treated as products.
-        return price !== null || mrp !== null;
-    };
-
-    const pushProduct = (obj) => {
-        if (!obj || typeof obj !== 'object') return;
-        if (seenObjects.has(obj)) return;
-
-        // Filter out non-product widgets (ads, banners, categories, etc.)
-        if (obj.widget_type) {
-            // Only allow product card widgets
-            if (obj.widget_type !== 'product_card_snippet_type_2' &&
-                obj.widget_type !== 'product_card' &&
-                !obj.widget_type.includes('product')) {
-                return; // Skip ads, banners, categories, etc.
-            }
-        }
-
-        if (!isLikelyProduct(obj)) return;
-
-        seenObjects.add(obj);
-        rawProducts.push(obj);
-    };
-
-    const collectFromMap = (maybeMap) => {
-        if (!maybeMap || typeof maybeMap !== 'object') return;
-        if (Array.isArray(maybeMap)) {
-            maybeMap.forEach(pushProduct);
-            return;
-        }
-        Object.values(maybeMap).forEach(pushProduct);
-    };
-
-    const traverse = (node, depth = 0) => {
-        if (!node || typeof node !== 'object' || depth > 8) return;
+// Each location is a delivery area the same searches are repeated for. An entry gives either
+// latitude/longitude or a pincode / locality resolved through the bundled pincode table.
+const parseLocations = (value) => {
+    if (value === null || value === undefined) return [];
+    if (!Array.isArray(value)) {
+        throw new Error('locations must be an array of { label, latitude, longitude } or { label, pincode } objects');
+    }
 
-        if (Array.isArray(node)) {
-            if (node.length > 0 && node.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
-                node.forEach(pushProduct);
-            }
-            node.forEach(child => traverse(child, depth + 1));
-            return;
+    const seenLabels = new Set();
+    return value.map((entry, index) => {
+        let area;
+        try {
+            area = resolveDeliveryArea({ pincode: entry?.pincode, locality: entry?.locality });
+        } catch (error) {
+            throw new Error(`locations[${index}]: ${error.message}`);
         }
 
-        // Blinkit-specific structures
-        if (node.entities && node.entities.products) collectFromMap(node.entities.products);
-        if (node.products) collectFromMap(node.products);
-        if (node.data && node.data.products) collectFromMap(node.data.products);
-        if (node.product_grid && node.product_grid.products) collectFromMap(node.product_grid.products);
-        if (node.widgets && Array.isArray(node.widgets)) node.widgets.forEach(pushProduct);
-        if (node.widget && typeof node.widget === 'object') pushProduct(node.widget);
-        if (node.items && Array.isArray(node.items)) node.items.forEach(pushProduct);
-
-        for (const key of Object.keys(node)) {
-            traverse(node[key], depth + 1);
+        const latitude = area?.latitude ?? parseCoordinate(entry?.latitude ?? entry?.lat);
+        const longitude = area?.longitude ?? parseCoordinate(entry?.longitude ?? entry?.lng);
+        if (latitude === null || longitude === null) {
+            throw new Error(`locations[${index}] must have numeric latitude and longitude, or a pincode / locality`);
         }
-    };
+        assertInsideIndia(latitude, longitude, `locations[${index}]`);
 
-    for (const payload of payloads) {
-        if (!payload || typeof payload !== 'object') continue;
-        traverse(payload, 0);
-    }
+        const rawLabel = typeof entry.label === 'string' ? entry.label.trim() : '';
+        const label = rawLabel || area?.locality || area?.pincode || `${latitude},${longitude}`;
+        if (seenLabels.has(label)) throw new Error(`locations[${index}] has a duplicate label: ${label}`);
+        seenLabels.add(label);
 
-    // Normalize and dedupe
-    const seenKeys = new Set();
-    const normalized = [];
-    for (const raw of rawProducts) {
-        const n = normalizeProduct(raw);
-        if (!n.product_name) continue;
-        // Only keep items with a real price signal.
-        // This prevents category widgets from leaking into the dataset.
-        if (n.price === null && n.original_price === null) continue;
-        const key = `${n.product_name}|${n.price ?? ''}|${n.original_price ?? ''}|${n.product_image ?? ''}|${n.product_url ?? ''}`;
-        if (seenKeys.has(key)) continue;
-        seenKeys.add(key);
-        normalized.push(n);
-    }
-    return normalized;
+        return { label, pincode: area?.pincode ?? null, latitude, longitude };
+    });
 };
 
 async function main() {
+    const runStartedAt = Date.now();
     try {
         const input = (await Actor.getInput()) || {};
         const {
-            search_query = '',
-            search_url = '',
             results_wanted: RESULTS_WANTED_RAW = 20,
             proxyConfiguration: proxyConfig,
             latitude,
             longitude,
             setGeolocation = true,
+            fetch_details: fetchDetails = false,
+            details_max_concurrency: DETAILS_MAX_CONCURRENCY_RAW = 3,
+            details_max_results: DETAILS_MAX_RESULTS_RAW = 100,
+            track_changes: trackChangesInput = false,
+            output_mode: outputMode = 'listing',
+            snapshot_store_name: snapshotStoreName = 'blinkit-price-snapshots',
+            alerts: alertRules = [],
+            alerts_webhook_url: alertsWebhookUrl = '',
+            alerts_digest: alertsDigest = false,
+            export_formats: exportFormats = [],
+            export_columns: exportColumns = [],
+            export_column_names: exportColumnNames = {},
+            share_of_shelf: shareOfShelfEnabled = false,
+            share_of_shelf_top_n: SHARE_OF_SHELF_TOP_N_RAW = 10,
+            suggestions: harvestSuggestionsEnabled = false,
+            suggestions_prefixes: suggestionPrefixes = false,
+            suggestions_as_searches: suggestionsAsSearches = false,
+            suggestions_max_searches: SUGGESTIONS_MAX_SEARCHES_RAW = 20,
+            mode = 'browser',
+            fail_on_block: failOnBlock = false,
+            coverage_baseline: coverageBaselineInput = {},
+            coverage_max_drop: COVERAGE_MAX_DROP_RAW = 20,
+            fail_on_coverage_drop: failOnCoverageDrop = false,
+            field_mappings: fieldMappingsInput = {},
+            capture_payloads: capturePayloadsInput = false,
+            replay_store: replayStoreName = '',
         } = input;
 
         const RESULTS_WANTED = Number.isFinite(+RESULTS_WANTED_RAW) && +RESULTS_WANTED_RAW > 0
             ? +RESULTS_WANTED_RAW
-            : 0; // 0 means unlimited
-
-        const searchUrlInput = typeof search_url === 'string' ? search_url.trim() : '';
+            : 0; // 0 means unlimited, applied per query
+        const DETAILS_MAX_CONCURRENCY = Math.max(1, Math.floor(+DETAILS_MAX_CONCURRENCY_RAW) || 1);
+        const DETAILS_MAX_RESULTS = Number.isFinite(+DETAILS_MAX_RESULTS_RAW) && +DETAILS_MAX_RESULTS_RAW > 0
+            ? +DETAILS_MAX_RESULTS_RAW
+            : 0; // 0 means every scraped product
+        const SUGGESTIONS_MAX_SEARCHES = Math.max(0, Math.floor(+SUGGESTIONS_MAX_SEARCHES_RAW) || 0); // 0 means all
+        const COVERAGE_MAX_DROP = Math.max(0, +COVERAGE_MAX_DROP_RAW || 0);
+
+        if (!coverageBaselineInput || typeof coverageBaselineInput !== 'object' || Array.isArray(coverageBaselineInput)
+            || Object.values(coverageBaselineInput).some((pct) => typeof pct !== 'number' || pct < 0 || pct > 100)) {
+            throw new Error('coverage_baseline must be an object mapping field names to percentages (0-100)');
+        }
+        const coverageBaseline = Object.keys(coverageBaselineInput).length > 0
+            ? coverageBaselineInput
+            : DEFAULT_COVERAGE_BASELINE;
+
+        const resultFilter = createResultFilter(input);
+
+        // Extra payload aliases and custom fields apply to every extraction path; invalid entries are skipped
+        const fieldMappings = createFieldMappings(fieldMappingsInput);
+        for (const error of fieldMappings.errors) log.warning(`field_mappings: ${error}`);
+        const aliasedKeys = Object.keys(fieldMappings.aliases);
+        if (aliasedKeys.length > 0 || fieldMappings.fields.length > 0) {
+            const fieldNames = fieldMappings.fields.map(({ name }) => name);
+            log.info(`Field mappings: extra aliases for ${aliasedKeys.join(', ') || 'none'}; `
+                + `custom fields ${fieldNames.join(', ') || 'none'}`);
+        }
+        // Records carry their field sources until the coverage report has counted them
+        const extractOptions = { fieldSources: true, mappings: fieldMappings };
 
-        let searchQueryInput = typeof search_query === 'string' ? search_query.trim() : '';
-        let searchUrl;
-        let urlLatitude = null;
-        let urlLongitude = null;
+        if (!['browser', 'http', 'replay'].includes(mode)) {
+            throw new Error(`mode must be "browser", "http" or "replay", got "${mode}"`);
+        }
+        const httpMode = mode === 'http';
+        // Replay mode runs the pipeline on a previous run's captures; there is nothing to capture or crawl
+        const replayMode = mode === 'replay';
+        const capturePayloads = capturePayloadsInput && !replayMode;
+
+        const targets = replayMode ? [] : buildSearchTargets(input);
+        if (targets.length === 0 && !replayMode) {
+            throw new Error('Provide at least one of search_query, search_queries, search_url, search_urls or category_urls');
+        }
 
-        if (searchUrlInput) {
-            let u;
-            try {
-                u = new URL(searchUrlInput, 'https://blinkit.com');
-            } catch {
-                throw new Error('search_url must be a valid URL');
+        // A pincode / locality takes the place of the latitude/longitude inputs.
+        const deliveryArea = resolveDeliveryArea({ pincode: input.pincode, locality: input.locality });
+        if (deliveryArea) {
+            const localityNote = deliveryArea.locality ? `${deliveryArea.locality}, ` : '';
+            log.info(`Resolved pincode ${deliveryArea.pincode} to ${localityNote}${deliveryArea.city} `
+                + `(${deliveryArea.latitude}, ${deliveryArea.longitude})`);
+        }
+        const defaultLatitude = deliveryArea?.latitude ?? parseCoordinate(latitude);
+        const defaultLongitude = deliveryArea?.longitude ?? parseCoordinate(longitude);
+        const locations = parseLocations(input.locations);
+        const applyGeolocation = setGeolocation || locations.length > 0;
+
+        const makeCrawlRequest = (target, location) => {
+            if (applyGeolocation && location.latitude !== null && location.longitude !== null) {
+                assertInsideIndia(location.latitude, location.longitude, `Geolocation for ${target.url}`);
             }
+            const queryKey = location.label ? `${target.url}#${location.label}` : target.url;
+            return {
+                url: target.url,
+                uniqueKey: queryKey,
+                // HTTP mode opens the page itself, and only when no JSON endpoint is known for its location yet
+                skipNavigation: httpMode && target.type === 'search',
+                userData: {
+                    queryKey,
+                    targetType: target.type,
+                    searchQuery: target.query,
+                    category: target.category,
+                    location,
+                },
+            };
+        };
 
-            if (!/(^|\.)blinkit\.com$/i.test(u.hostname)) {
-                throw new Error('search_url must be a blinkit.com URL');
+        // One request per search target and location. Without `locations`, the URL lat/lng or the
+        // latitude/longitude inputs form a single unlabelled location.
+        const crawlRequests = [];
+        const suggestionRequests = [];
+        for (const target of targets) {
+            const targetLocations = locations.length > 0
+                ? locations
+                : [{
+                    label: null,
+                    pincode: deliveryArea?.pincode ?? null,
+                    latitude: target.latitude ?? defaultLatitude,
+                    longitude: target.longitude ?? defaultLongitude,
+                }];
+            for (const location of targetLocations) {
+                const crawlRequest = makeCrawlRequest(target, location);
+                crawlRequests.push(crawlRequest);
+
+                // Suggestions are typed into the search box of an empty search page
+                if (harvestSuggestionsEnabled && target.type === 'search' && target.query) {
+                    suggestionRequests.push({
+                        url: `${BLINKIT_ORIGIN}/s/`,
+                        uniqueKey: `suggestions:${crawlRequest.uniqueKey}`,
+                        label: 'SUGGESTIONS',
+                        userData: { seedQuery: target.query, location },
+                    });
+                }
             }
+        }
 
-            const q = u.searchParams.get('q');
-            if (q && q.trim()) searchQueryInput = q.trim();
-
-            const latParam = u.searchParams.get('lat') ?? u.searchParams.get('latitude');
-            const lngParam = u.searchParams.get('lng') ?? u.searchParams.get('longitude');
-            if (latParam !== null) {
-                const parsed = Number.parseFloat(String(latParam));
-                if (Number.isFinite(parsed)) urlLatitude = parsed;
+        // Replay mode takes its targets from the captured requests, in the order they were captured
+        const captures = [];
+        if (replayMode) {
+            const replayStore = await Actor.openKeyValueStore(replayStoreName.trim() || undefined);
+            for (const { key } of (await replayStore.getValue(CAPTURE_INDEX_KEY)) ?? []) {
+                const capture = await loadCapture(key, (recordKey) => replayStore.getValue(recordKey));
+                if (!capture) {
+                    log.warning(`Capture ${key} is listed in ${CAPTURE_INDEX_KEY} but missing from the store`);
+                    continue;
+                }
+                captures.push(capture);
+                crawlRequests.push(capture.request);
             }
-            if (lngParam !== null) {
-                const parsed = Number.parseFloat(String(lngParam));
-                if (Number.isFinite(parsed)) urlLongitude = parsed;
+            if (captures.length === 0) {
+                const storeNote = replayStoreName.trim() ? `store "${replayStoreName.trim()}"` : 'the default store';
+                throw new Error(`No captures found in ${storeNote}; run with capture_payloads first`);
             }
-
-            searchUrl = u.toString();
-        } else {
-            if (!searchQueryInput) {
-                throw new Error('Either search_query or search_url is required and cannot be empty');
+            if (fetchDetails || harvestSuggestionsEnabled) {
+                log.warning('fetch_details and suggestions need Blinkit itself and are skipped in replay mode');
             }
-            searchUrl = `https://blinkit.com/s/?q=${encodeURIComponent(searchQueryInput)}`;
         }
 
-        const geoLatitude = urlLatitude ?? (Number.isFinite(+latitude) ? Number(latitude) : null);
-        const geoLongitude = urlLongitude ?? (Number.isFinite(+longitude) ? Number(longitude) : null);
+        // A migrated or restarted run carries on with the progress the previous process persisted,
+        // searches queued from suggestions included
+        const crawlState = await createCrawlState();
+        const runState = crawlState.state;
+        const runStats = createRunStats(runState.stats);
+        const fieldCoverage = createFieldCoverage(runState.coverage);
+        const endSetup = runStats.startPhase('setup', runStartedAt);
+        if (crawlState.resumed) {
+            log.info(`Resuming the run: ${runState.totalScraped} products were scraped before the restart`);
+        }
+        crawlRequests.push(...runState.suggestions.queued);
+        const queuedKeys = new Set(crawlRequests.map(({ uniqueKey }) => uniqueKey));
 
-        log.info(`Starting Blinkit scraper for query: "${searchQueryInput}"`);
-        log.info(`Target results: ${RESULTS_WANTED === 0 ? 'unlimited' : RESULTS_WANTED}`);
-        log.info(`Search URL: ${searchUrl}`);
+        if (replayMode) {
+            log.info(`Replaying ${captures.length} captured listing(s) without a browser`);
+        } else {
+            log.info(`Starting Blinkit scraper for ${targets.length} search / category target(s)`);
+        }
+        log.info(`Target results per query: ${RESULTS_WANTED === 0 ? 'unlimited' : RESULTS_WANTED}`);
+        if (httpMode) {
+            log.info('HTTP mode: search pages come from the JSON endpoint found on one browser visit per location');
+        }
+        if (capturePayloads) log.info(`Capturing page payloads to the key-value store (index: ${CAPTURE_INDEX_KEY})`);
+        for (const target of targets) log.info(`${target.type === 'category' ? 'Category' : 'Search'} URL: ${target.url}`);
+        if (locations.length > 0) {
+            log.info(`Locations: ${locations.map((l) => `${l.label} (${l.latitude}, ${l.longitude})`).join(', ')}`);
+        }
+        if (resultFilter.active) log.info('Result filters are on: only matching products count toward the limit');
+        if (suggestionRequests.length > 0) {
+            log.info(`Harvesting autocomplete suggestions for ${suggestionRequests.length} seed query / location pairs`);
+        }
 
-        // Create proxy configuration (residential recommended for Blinkit)
-        const proxyConfiguration = await Actor.createProxyConfiguration(proxyConfig || {
+        // Create proxy configuration (residential recommended for Blinkit); replay mode makes no requests
+        const proxyConfiguration = replayMode ? undefined : await Actor.createProxyConfiguration(proxyConfig || {
             useApifyProxy: true,
             apifyProxyGroups: ['RESIDENTIAL'],
         });
 
-        let totalScraped = 0;
-        const seenProductKeys = new Set();
-
-        const makeProductKey = (product) => {
-            if (!product) return null;
-            const name = product.product_name || product.name || '';
-            const price = product.price ?? '';
-            const mrp = product.original_price ?? '';
-            const image = product.product_image ?? '';
-            const url = product.product_url ?? '';
-            const key = `${name}|${price}|${mrp}|${image}|${url}`.trim();
-            return key || null;
+        if (!['listing', 'changes', 'grouped'].includes(outputMode)) {
+            throw new Error(`output_mode must be "listing", "changes" or "grouped", got "${outputMode}"`);
+        }
+        const trackChanges = trackChangesInput || outputMode === 'changes';
+        const priceTracker = trackChanges
+            ? await createPriceTracker({ storeName: snapshotStoreName, current: runState.changes.snapshot })
+            : null;
+        if (priceTracker) {
+            log.info(`Tracking changes against ${priceTracker.previousCount} products from store "${snapshotStoreName}"`);
+        }
+        const changeEvents = runState.changes.events;
+
+        if (!Array.isArray(exportFormats) || exportFormats.some((format) => !EXPORT_FORMATS[format])) {
+            throw new Error(`export_formats must be a list of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+        if (!exportColumnNames || typeof exportColumnNames !== 'object' || Array.isArray(exportColumnNames)) {
+            throw new Error('export_column_names must be an object mapping field names to column names');
+        }
+
+        if (!Array.isArray(alertRules)) throw new Error('alerts must be an array of rules');
+        const alertEngine = alertRules.length > 0
+            ? createAlertEngine({
+                rules: alertRules,
+                webhookUrl: typeof alertsWebhookUrl === 'string' ? alertsWebhookUrl.trim() : '',
+                digest: alertsDigest,
+                dataset: await Actor.openDataset(getAlertsDatasetName()),
+                state: runState.alerts,
+            })
+            : null;
+        if (alertEngine) {
+            log.info(`Evaluating ${alertRules.length} alert rule(s)${alertsWebhookUrl ? '' : ' (no webhook URL, dataset only)'}`);
+        }
+
+        // Groups, shelf records and fired alerts are part of the crawl state, so a resumed run keeps them
+        const variantGrouper = createVariantGrouper(runState.variants);
+        const shareOfShelf = shareOfShelfEnabled
+            ? createShareOfShelf({
+                topN: Math.max(1, Math.floor(+SHARE_OF_SHELF_TOP_N_RAW) || 10),
+                state: runState.shelf,
+            })
+            : null;
+
+        // Every finished record goes through here: it is compared with the previous run's snapshot, and
+        // the dataset receives either the listing itself or only its change events. Grouped output is
+        // written once at the end of the run.
+        const saveRecords = async (records) => {
+            if (records.length === 0) return;
+            if (alertEngine) await alertEngine.evaluate(records);
+            const changes = priceTracker ? priceTracker.observe(records) : [];
+            changeEvents.push(...changes);
+            if (outputMode === 'grouped') return;
+            const output = outputMode === 'changes' ? changes : records;
+            if (output.length > 0) await Dataset.pushData(output);
         };
 
-        const getReduxProducts = async (page) => {
-            try {
-                const reduxStoreData = await page.evaluate(() => {
-                    try {
-                        const state = window.__reduxStore__?.getState?.();
-                        if (state?.ui?.search?.searchProductBffData) return state.ui.search.searchProductBffData;
-                    } catch (e) {
-                        console.log('Redux store extraction failed:', e);
-                    }
-                    return null;
+        const locationFieldsFor = (location) => (applyGeolocation
+            ? {
+                location_label: location.label,
+                pincode: location.pincode,
+                latitude: location.latitude,
+                longitude: location.longitude,
+            }
+            : {});
+
+        // Products picked for detail enrichment wait here (keyed by product URL + location) until the
+        // detail crawler has visited their product page. Repeats across queries share one page visit.
+        const detailQueue = fetchDetails && !replayMode
+            ? await RequestQueue.open(`product-details-${Actor.getEnv().actorRunId ?? 'local'}`)
+            : null;
+        const pendingDetails = runState.details.pending;
+
+        // Limits and dedup are tracked per search target so one query cannot starve the others.
+        const getQueryState = (queryKey) => crawlState.query(queryKey);
+
+        // Extraction results of one listing request end up here: grouped into variants, deduplicated,
+        // enriched, filtered and cut to results_wanted, then saved or queued for their product page. The
+        // returned function resolves to true once the request has all the products it wants.
+        const createResultPusher = (request) => {
+            const { queryKey, searchQuery, category, location } = request.userData;
+            const queryLabel = searchQuery || category?.name || request.url;
+            const locationFields = locationFieldsFor(location);
+            const queryState = getQueryState(queryKey);
+
+            return async (rawProducts, label) => {
+                if (!rawProducts || rawProducts.length === 0) return false;
+                // A product shown both as an ad and organically keeps both placements. The listing is claimed
+                // once its records are saved, so a restart in between reads them again instead of skipping them.
+                const { claimed: deduped, duplicates, commit } = crawlState.claimListing(queryKey, rawProducts, (p) => {
+                    const productKey = makeProductKey(p);
+                    if (!productKey) return null;
+                    return p.is_sponsored ? `${productKey}|ad` : productKey;
+                });
+                const recordStats = (saved) => runStats.recordExtraction(label, {
+                    extracted: rawProducts.length,
+                    duplicates,
+                    products: saved,
                 });
+                if (deduped.length === 0) {
+                    recordStats(0);
+                    return false;
+                }
+                const remaining = RESULTS_WANTED > 0 ? RESULTS_WANTED - queryState.scraped : deduped.length;
+                if (remaining <= 0) {
+                    recordStats(0);
+                    return RESULTS_WANTED > 0;
+                }
 
-                if (!reduxStoreData?.snippets) return [];
+                const candidates = deduped
+                    .map((p) => compactObject({
+                        ...p,
+                        ...getUnitPricing(p),
+                        ...getPriceChecks(p),
+                        search_query: searchQuery,
+                        ...locationFields,
+                        // Listing-level names from the /cn/ URL fill in when the payload has none
+                        ...(category ? {
+                            category_name: p.category_name ?? (category.subcategoryId ? null : category.name),
+                            subcategory_name: p.subcategory_name ?? (category.subcategoryId ? category.name : null),
+                            category_id: category.categoryId,
+                            subcategory_id: category.subcategoryId,
+                        } : {}),
+                        url: request.url,
+                        scrapedAt: new Date().toISOString(),
+                    }))
+                    .filter((p) => p.product_name);
+
+                // The shelf is the listing as shoppers see it, so the result filters do not shape it
+                shareOfShelf?.add(candidates);
+
+                // Filters run before the limit, so results_wanted only counts records that pass them
+                const { kept, rejected, dropped } = resultFilter.apply(candidates);
+                const filteredCount = rejected.length;
+                // Still listed, so not delisted, but kept out of the change events like the rest of the output
+                priceTracker?.remember(rejected);
+                if (filteredCount > 0) {
+                    queryState.filtered = (queryState.filtered ?? 0) + filteredCount;
+                    runStats.countFiltered(dropped);
+                    const reasons = Object.entries(dropped).map(([reason, count]) => `${reason} ${count}`);
+                    log.info(`Filtered out ${filteredCount} of ${candidates.length} products from ${label} `
+                        + `(${reasons.join(', ')})`);
+                }
 
-                const snippets = reduxStoreData.snippets.filter((s) => {
-                    if (s?.widget_type !== 'product_card_snippet_type_2') return false;
-                    if (!s?.data?.name) return false;
-                    const name = s.data.name?.text || s.data.name;
-                    return typeof name === 'string' && name.trim().length > 0;
-                });
+                const limited = RESULTS_WANTED > 0 ? kept.slice(0, remaining) : kept;
+                // Only saved records join variant groups, so groups and variant_count hold no dropped products
+                const grouped = variantGrouper.assign(limited, location.label ?? '');
+                // Mapping stats and coverage count the finished records once, then their field sources are dropped
+                fieldMappings.count(grouped);
+                const enriched = fieldCoverage.add(grouped);
+
+                recordStats(enriched.length);
+                if (enriched.length === 0) {
+                    commit();
+                    return false;
+                }
 
-                return snippets
-                    .map((snippet) => {
-                        const data = snippet.data || {};
-                        const tracking = snippet.tracking || {};
-                        const cartItem = data.atc_action?.add_to_cart?.cart_item || {};
-                        const impression = tracking.impression_map || {};
-
-                        const price = cartItem.price || impression.price || toNumber(data.price?.text) || null;
-                        const mrp = cartItem.mrp || impression.mrp || toNumber(data.mrp?.text) || null;
-                        const nameValue = data.name?.text ?? data.name ?? cartItem.product_name ?? impression.product_name ?? impression.name ?? null;
-                        const name = typeof nameValue === 'string' ? nameValue.trim() : null;
-                        const id = cartItem.product_id || impression.product_id || data.product_id || null;
-
-                        let discount = data.discount?.text || null;
-                        if (!discount && price && mrp && mrp > price) {
-                            const off = Math.round(((mrp - price) / mrp) * 100);
-                            if (off > 0) discount = `${off}% OFF`;
+                let toPush = enriched;
+                if (detailQueue) {
+                    toPush = [];
+                    for (const record of enriched) {
+                        const detailKey = `${record.product_url}#${location.label ?? ''}`;
+                        if (record.product_url && pendingDetails[detailKey]) {
+                            pendingDetails[detailKey].push(record);
+                        } else if (record.product_url
+                            && (DETAILS_MAX_RESULTS === 0 || runState.details.queued < DETAILS_MAX_RESULTS)) {
+                            pendingDetails[detailKey] = [record];
+                            runState.details.queued++;
+                            await detailQueue.addRequest({
+                                url: record.product_url,
+                                uniqueKey: detailKey,
+                                userData: { detailKey, location },
+                            });
+                        } else {
+                            toPush.push(record);
                         }
+                    }
+                }
+                await saveRecords(toPush);
+                commit();
+                queryState.scraped += enriched.length;
+                runState.totalScraped += enriched.length;
+                const locationNote = location.label ? ` @ ${location.label}` : '';
+                log.info(`Extracted ${enriched.length} products from ${label} for "${queryLabel}"${locationNote}`);
+                return RESULTS_WANTED > 0 ? queryState.scraped >= RESULTS_WANTED : false;
+            };
+        };
 
-                        let productUrl = null;
-                        if (id) {
-                            const slug = name ? String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-') : 'product';
-                            productUrl = `https://blinkit.com/prn/${slug}/prid/${id}`;
-                        }
+        // Captures are saved per target, replacing the capture of an earlier attempt at the same target. Each
+        // payload body is a record of its own, so a long listing does not outgrow the record size limit.
+        const saveCapture = async (capture) => {
+            const { queryKey } = capture.request.userData;
+            const key = getCaptureKey(queryKey);
+            const { records, skipped } = splitCapture(capture, key);
+            for (const { part, url, bytes } of skipped) {
+                log.warning(`Left ${part} (${Math.round(bytes / 1024)} KB${url ? `, ${url}` : ''}) out of the capture `
+                    + `of ${capture.request.url}: too big for a key-value store record`);
+            }
+            for (const [recordKey, value] of records) await Actor.setValue(recordKey, value);
+            runState.captures[queryKey] = {
+                key,
+                url: capture.request.url,
+                query_key: queryKey,
+                captured_at: capture.captured_at,
+            };
+            await Actor.setValue(CAPTURE_INDEX_KEY, Object.values(runState.captures));
+        };
 
-                        const isSoldOut = data.is_sold_out || false;
-                        const inventory = cartItem.inventory ?? impression.inventory ?? 0;
-                        const availability = (!isSoldOut && inventory > 0) ? 'In Stock' : 'Out of Stock';
-                        const deliveryTime = data.eta_tag?.text || data.delivery_time?.text || null;
+        // With a capture, the Redux listing read last is kept in it
+        const getReduxProducts = async (page, targetType = 'search', capture = null) => {
+            try {
+                const reduxStoreData = await page.evaluate((type) => {
+                    try {
+                        const state = window.__reduxStore__?.getState?.();
+                        if (type !== 'category') {
+                            if (state?.ui?.search?.searchProductBffData) return state.ui.search.searchProductBffData;
+                            return null;
+                        }
 
-                        const mergedRaw = {
-                            ...data,
-                            ...cartItem,
-                            ...impression,
-                            product_id: id,
+                        // Category (/cn/) pages keep their listing in a PLP / listing slice instead of ui.search.
+                        // Pick the slice (or its direct child) holding the most snippets.
+                        let best = null;
+                        const consider = (node) => {
+                            if (!Array.isArray(node?.snippets)) return;
+                            if (!best || node.snippets.length > best.snippets.length) best = node;
                         };
+                        for (const [key, slice] of Object.entries(state?.ui || {})) {
+                            if (!/plp|listing|category|collection/i.test(key) || !slice || typeof slice !== 'object') continue;
+                            consider(slice);
+                            for (const child of Object.values(slice)) {
+                                if (child && typeof child === 'object') consider(child);
+                            }
+                        }
+                        return best;
+                    } catch (e) {
+                        console.log('Redux store extraction failed:', e);
+                    }
+                    return null;
+                }, targetType);
 
-                        const normalized = normalizeProduct(mergedRaw);
-                        return compactObject({
-                            ...normalized,
-                            product_name: normalized.product_name || name,
-                            price: normalized.price ?? price,
-                            original_price: normalized.original_price ?? mrp,
-                            product_image: normalized.product_image ?? (data.image?.url || cartItem.image_url || null),
-                            availability,
-                            product_url: normalized.product_url ?? productUrl,
-                            discount_percentage: normalized.discount_percentage ?? discount,
-                            delivery_time: normalized.delivery_time ?? deliveryTime,
-                            inventory: normalized.inventory ?? (Number.isFinite(inventory) ? inventory : null),
-                        });
-                    })
-                    .filter((p) => {
-                        if (typeof p.product_name !== 'string' || !p.product_name.trim() || p.product_name === '[object Object]') return false;
-                        return p.price !== null && p.price !== undefined;
-                    });
+                if (capture && reduxStoreData) capture.redux = reduxStoreData;
+                return extractProductsFromSnippets(reduxStoreData, { targetType, ...extractOptions });
             } catch {
                 return [];
             }
         };
 
-        // Create Playwright crawler
-        const crawler = new PlaywrightCrawler({
+        // Block signals of each page's network traffic, collected from before navigation
+        const blockSignals = new WeakMap();
+
+        // Throws a BlockedError (saving the page as `blocked-page`) when the loaded page or its traffic shows
+        // Blinkit's bot protection
+        const assertNotBlocked = async (page, response) => {
+            const [title, domMarkers, text] = await Promise.all([
+                page.title(),
+                page.evaluate((selectors) => selectors.filter((s) => document.querySelector(s)), BLOCK_SELECTORS),
+                page.evaluate(() => (document.body?.innerText ?? '').slice(0, 5000)),
+            ]);
+            const reason = detectBlock({
+                status: response?.status(),
+                title,
+                domMarkers,
+                text,
+                networkHits: blockSignals.get(page) ?? [],
+            });
+            if (!reason) return;
+            runState.blocks.detected++;
+            await Actor.setValue('blocked-page', await page.content(), { contentType: 'text/html' });
+            throw new BlockedError(reason);
+        };
+
+        // Called once a request has no retries left
+        const handleBlockFailure = async (request, error) => {
+            if (!(error instanceof BlockedError)) return;
+            runState.blocks.failed.push(request.url);
+            if (failOnBlock) {
+                await Actor.fail(
+                    `Blinkit kept blocking ${request.url} after ${request.retryCount} retries: ${error.reason}`,
+                );
+            }
+        };
+
+        // Named datasets are shared by the whole account, so the run id keeps runs from mixing their suggestions
+        const suggestionsDatasetName = `suggestions-${Actor.getEnv().actorRunId ?? 'local'}`;
+        const suggestionsDataset = suggestionRequests.length > 0
+            ? await Actor.openDataset(suggestionsDatasetName)
+            : null;
+
+        // Types the seed query (or each of its prefixes) into the search box and saves the suggestions
+        // Blinkit shows for it. With `suggestions_as_searches`, they are queued as searches of their own.
+        const harvestSuggestions = async ({ page, request, response, crawler: activeCrawler }) => {
+            const { seedQuery, location } = request.userData;
+            if (runState.suggestions.finished.includes(request.uniqueKey)) return;
+            const suggestResponses = [];
+            page.on('response', async (res) => {
+                if (!SUGGESTION_URL_PATTERN.test(res.url())) return;
+                if (!(res.headers()['content-type'] || '').includes('json')) return;
+                try {
+                    const typed = getSuggestQuery(res.url(), res.request().postData());
+                    suggestResponses.push({ typed, json: await res.json() });
+                } catch {
+                    // Ignore non-JSON or unreadable responses
+                }
+            });
+
+            await page.waitForLoadState('domcontentloaded');
+            await assertNotBlocked(page, response);
+
+            const searchBox = page.locator('input[type="search"], input[placeholder*="Search" i]').first();
+            await searchBox.waitFor({ state: 'visible', timeout: 30_000 });
+
+            const records = [];
+            for (const prefix of getTypedPrefixes(seedQuery, { prefixes: suggestionPrefixes })) {
+                suggestResponses.length = 0;
+                await searchBox.fill('');
+                await searchBox.pressSequentially(prefix, { delay: 80 + Math.random() * 80 });
+                await page
+                    .waitForResponse((res) => SUGGESTION_URL_PATTERN.test(res.url()), { timeout: 10_000 })
+                    .catch(() => { });
+                // Debounced keystrokes can answer late; wait for them and keep the ones for this prefix
+                await page.waitForTimeout(1500);
+
+                const forPrefix = suggestResponses.filter(({ typed }) => typed === null
+                    || typed.trim().toLowerCase() === prefix.toLowerCase());
+                const suggestions = extractSuggestions(forPrefix.map(({ json }) => json));
+                if (suggestions.length === 0) log.warning(`No suggestions captured for "${prefix}"`);
+                const scrapedAt = new Date().toISOString();
+                records.push(...suggestions.map((suggestion) => compactObject({
+                    seed_query: seedQuery,
+                    typed_prefix: prefix,
+                    ...suggestion,
+                    ...locationFieldsFor(location),
+                    scrapedAt,
+                })));
+            }
+
+            if (records.length > 0) await suggestionsDataset.pushData(records);
+            runState.suggestions.saved += records.length;
+            const locationNote = location.label ? ` @ ${location.label}` : '';
+            log.info(`Saved ${records.length} suggestions for "${seedQuery}"${locationNote}`);
+
+            const newRequests = [];
+            for (const { suggestion } of suggestionsAsSearches ? records : []) {
+                if (SUGGESTIONS_MAX_SEARCHES > 0 && runState.suggestions.searches >= SUGGESTIONS_MAX_SEARCHES) break;
+                const crawlRequest = makeCrawlRequest(makeQueryTarget(suggestion), location);
+                if (queuedKeys.has(crawlRequest.uniqueKey)) continue;
+                queuedKeys.add(crawlRequest.uniqueKey);
+                crawlRequests.push(crawlRequest);
+                newRequests.push(crawlRequest);
+                runState.suggestions.queued.push(crawlRequest);
+                runState.suggestions.searches++;
+            }
+            if (newRequests.length > 0) {
+                await activeCrawler.addRequests(newRequests);
+                log.info(`Queued ${newRequests.length} suggestions from "${seedQuery}" as new searches`);
+            }
+            runState.suggestions.finished.push(request.uniqueKey);
+        };
+
+        // HTTP mode: the paged JSON endpoint a browser visit discovered, with the request headers and cookies
+        // to call it again, per proxy and location (cookies carry the delivery area). Not per session: with
+        // several locations every request runs in a fresh session and would never find an earlier profile.
+        const httpProfiles = new Map();
+
+        // Browser, session and stealth setup shared by the listing crawler and the product detail crawler
+        const sharedCrawlerOptions = {
             proxyConfiguration,
-            maxRequestRetries: 5,
-            maxConcurrency: 1, // Reduced to 1 to minimize blocking risk
-            requestHandlerTimeoutSecs: 300, // Increased for safety
-            navigationTimeoutSecs: 120, // Increased to handle slow proxies
             useSessionPool: true,
+            // With several locations, every request gets a fresh browser context and no carried-over
+            // cookies so the delivery area picked for one location cannot leak into another.
+            persistCookiesPerSession: locations.length === 0,
+            launchContext: {
+                useIncognitoPages: locations.length > 0,
+            },
             sessionPoolOptions: {
                 maxPoolSize: 50,
+                // Blocked status codes reach the request handler, where block detection handles them
+                blockedStatusCodes: [],
                 sessionOptions: {
                     maxUsageCount: 10,
                     maxErrorScore: 3,
@@ -637,10 +791,34 @@ async function main() {
                 },
             },
 
+            // A blocked request goes out again on a new session (new proxy, browser and fingerprint), waiting
+            // longer with every retry
+            async errorHandler({ request }, error) {
+                if (!(error instanceof BlockedError)) return;
+                runState.blocks.retried++;
+                const delay = getBackoffMs(request.retryCount);
+                log.warning(`${error.message}. Retrying on a new session in ${Math.round(delay / 1000)} s`);
+                await new Promise((resolve) => { setTimeout(resolve, delay); });
+            },
+
             // Pre-navigation hooks for stealth
             preNavigationHooks: [
                 async ({ page, request }) => {
-                    if (setGeolocation) {
+                    const signals = [];
+                    blockSignals.set(page, signals);
+                    page.on('response', (response) => {
+                        const signal = matchBlockedResponse({
+                            url: response.url(),
+                            status: response.status(),
+                            resourceType: response.request().resourceType(),
+                        }, { siteHost: SITE_HOST });
+                        if (signal) signals.push(signal);
+                    });
+
+                    const { location } = request.userData;
+                    const geoLatitude = location.latitude;
+                    const geoLongitude = location.longitude;
+                    if (applyGeolocation) {
                         try {
                             if (Number.isFinite(geoLatitude) && Number.isFinite(geoLongitude)) {
                                 await page.context().grantPermissions(['geolocation']);
@@ -727,42 +905,53 @@ async function main() {
                     });
                 },
             ],
+        };
+
+        // Create Playwright crawler
+        const crawler = new PlaywrightCrawler({
+            ...sharedCrawlerOptions,
+            maxRequestRetries: 5,
+            maxConcurrency: 1, // Reduced to 1 to minimize blocking risk
+            requestHandlerTimeoutSecs: 300, // Increased for safety
+            navigationTimeoutSecs: 120, // Increased to handle slow proxies
+
+            async requestHandler({
+                page,
+                request,
+                response: pageResponse,
+                proxyInfo,
+                sendRequest,
+                crawler: activeCrawler,
+            }) {
+                if (request.label === 'SUGGESTIONS') {
+                    await harvestSuggestions({ page, request, response: pageResponse, crawler: activeCrawler });
+                    return;
+                }
 
-            async requestHandler({ page, request }) {
                 log.info(`Processing: ${request.url}`);
+                const { targetType, searchQuery, category, location } = request.userData;
+                const queryLabel = searchQuery || category?.name || request.url;
+                const queryState = getQueryState(request.userData.queryKey);
+                const proxyEndpoint = proxyInfo ? `${proxyInfo.hostname}:${proxyInfo.port}` : '';
+                const profileKey = `${proxyEndpoint}#${location.label ?? ''}`;
+                // After a restart, targets the previous process completed are not crawled again
+                if (queryState.exhausted || (RESULTS_WANTED > 0 && queryState.scraped >= RESULTS_WANTED)) {
+                    log.info(`Already completed before the restart: ${request.url}`);
+                    return;
+                }
+
+                const capture = capturePayloads
+                    ? createCapture({
+                        url: request.url,
+                        uniqueKey: request.uniqueKey,
+                        userData: { queryKey: request.userData.queryKey, targetType, searchQuery, category, location },
+                    })
+                    : null;
 
                 try {
                     const responsePayloads = [];
                     const responseUrls = new Set();
-                    const pushResults = async (products, label) => {
-                        if (!products || products.length === 0) return false;
-                        const deduped = products.filter((p) => {
-                            const key = makeProductKey(p);
-                            if (!key) return false;
-                            if (seenProductKeys.has(key)) return false;
-                            seenProductKeys.add(key);
-                            return true;
-                        });
-                        if (deduped.length === 0) return false;
-                        const remaining = RESULTS_WANTED > 0 ? RESULTS_WANTED - totalScraped : deduped.length;
-                        if (remaining <= 0) return RESULTS_WANTED > 0;
-
-                        const limited = RESULTS_WANTED > 0 ? deduped.slice(0, remaining) : deduped;
-                        const enriched = limited
-                            .map((p) => compactObject({
-                                ...p,
-                                search_query: searchQueryInput,
-                                url: request.url,
-                                scrapedAt: new Date().toISOString(),
-                            }))
-                            .filter((p) => p.product_name);
-
-                        if (enriched.length === 0) return false;
-                        await Dataset.pushData(enriched);
-                        totalScraped += enriched.length;
-                        log.info(`Extracted ${enriched.length} products from ${label}`);
-                        return RESULTS_WANTED > 0 ? totalScraped >= RESULTS_WANTED : false;
-                    };
+                    const pushResults = createResultPusher(request);
 
                     const paginationCandidateParams = ['page', 'offset', 'from', 'start', 'cursor', 'skip'];
                     let bestPagedApi = null;
@@ -785,7 +974,7 @@ async function main() {
                         const url = response.url();
                         const contentType = response.headers()['content-type'] || '';
                         if (!contentType.includes('application/json') && !contentType.includes('text/json')) return;
-                        if (!/search|catalog|product|listing|plp|collection|browse|autocomplete|autosuggest|items|v\\d+/i.test(url)) {
+                        if (!/search|catalog|product|listing|layout|plp|collection|category|browse|autocomplete|autosuggest|items|v\\d+/i.test(url)) {
                             return;
                         }
                         if (responseUrls.has(url)) return;
@@ -793,13 +982,21 @@ async function main() {
                             const json = await response.json();
                             responsePayloads.push(json);
                             responseUrls.add(url);
+                            if (capture) capture.network.push({ url, body: json });
 
                             // Track a strong candidate for direct pagination (if it yields many products)
-                            const products = extractProductsFromPayloads([json]);
+                            const products = extractProductsFromPayloads([json], { mappings: fieldMappings });
                             if (products.length >= 10) {
                                 const score = scoreApiCandidate(url, products.length);
                                 if (!bestPagedApi || score > bestPagedApi.score) {
                                     bestPagedApi = { url, score, sampleCount: products.length };
+                                    if (httpMode) {
+                                        httpProfiles.set(profileKey, {
+                                            url,
+                                            headers: toReplayHeaders(await response.request().allHeaders()),
+                                            cookieHeader: toCookieHeader(await page.context().cookies(url)),
+                                        });
+                                    }
                                 }
                             }
                         } catch {
@@ -807,31 +1004,121 @@ async function main() {
                         }
                     };
 
+                    // One page of a paged endpoint; it becomes the cursor a restarted run continues after.
+                    // A page of filtered-out products is still progress, so new products are counted before
+                    // the filters.
+                    const pushPage = async (products, url, label) => {
+                        const seenBefore = queryState.seenProductKeys.length;
+                        const done = await pushResults(products, label);
+                        const pages = (queryState.pagination?.pages ?? 0) + 1;
+                        queryState.pagination = { url, pages };
+                        return { done, added: queryState.seenProductKeys.length - seenBefore };
+                    };
+
+                    // HTTP mode: pages through the JSON endpoint already known for this location, without the browser.
+                    // Returns false when there is none for the target, when HTTP got blocked or when its pages
+                    // brought nothing new, and the browser has to take over. Tried once per request.
+                    let httpAttempted = false;
+                    const fetchListingOverHttp = async () => {
+                        if (httpAttempted || targetType !== 'search') return false;
+                        const profile = httpProfiles.get(profileKey);
+                        if (!profile) {
+                            const locationNote = location.label ? ` for ${location.label}` : '';
+                            log.info(`HTTP mode has no JSON endpoint${locationNote} yet, loading "${queryLabel}" `
+                                + 'in the browser');
+                            return false;
+                        }
+                        httpAttempted = true;
+                        // Pages already read (by a restarted run, or by the browser on this page) are not fetched
+                        // again: their products are claimed, so a repeat would look like the end of the listing
+                        const readUrl = queryState.pagination?.url ?? bestPagedApi?.url;
+                        const url = readUrl ? nextPageUrl(readUrl) : firstPageUrl(profile.url, searchQuery);
+                        if (!url) return false;
+                        const claimedBefore = queryState.seenProductKeys.length;
+                        log.info(`Fetching "${queryLabel}" over HTTP: ${url}`);
+
+                        const { done, failed, ended } = await walkListingPages(url, {
+                            maxPages: HTTP_MAX_PAGES,
+                            fetchPage: async (pageUrl) => {
+                                runStats.countPaginationCall();
+                                let json;
+                                try {
+                                    const httpResponse = await sendRequest({
+                                        url: pageUrl,
+                                        method: 'GET',
+                                        headers: profile.headers,
+                                        // The browser's cookies for this location instead of the session's cookie jar
+                                        cookieJar: {
+                                            getCookieString: async () => profile.cookieHeader,
+                                            setCookie: async () => { },
+                                        },
+                                        throwHttpErrors: false,
+                                        timeout: { request: 60_000 },
+                                    });
+                                    const contentType = httpResponse.headers['content-type'] || '';
+                                    const blockReason = detectBlock({
+                                        status: httpResponse.statusCode,
+                                        text: contentType.includes('json') ? '' : httpResponse.body,
+                                    });
+                                    // A blocked session goes back to the browser on a new session via the retry
+                                    if (blockReason) {
+                                        runState.blocks.detected++;
+                                        httpProfiles.delete(profileKey);
+                                        throw new BlockedError(`${blockReason} (HTTP)`);
+                                    }
+                                    if (httpResponse.statusCode >= 400 || !contentType.includes('json')) {
+                                        const received = contentType || 'no content type';
+                                        throw new Error(`status ${httpResponse.statusCode}, ${received}`);
+                                    }
+                                    json = JSON.parse(httpResponse.body);
+                                } catch (error) {
+                                    if (error instanceof BlockedError) throw error;
+                                    log.warning(
+                                        `HTTP request failed (${error.message}), using the browser: ${pageUrl}`,
+                                    );
+                                    httpProfiles.delete(profileKey);
+                                    return null;
+                                }
+                                if (capture) capture.pages.push({ source: 'http', url: pageUrl, body: json });
+                                return extractProductsFromPayloads([json], extractOptions);
+                            },
+                            push: (products, pageUrl, pageNumber) => pushPage(
+                                products,
+                                pageUrl,
+                                `HTTP JSON (#${pageNumber})`,
+                            ),
+                        });
+                        if (failed) return false;
+                        if (ended) queryState.exhausted = true;
+                        return ended || done || queryState.seenProductKeys.length > claimedBefore;
+                    };
+
                     page.on('response', responseListener);
 
+                    let navigationResponse = pageResponse;
+                    if (request.skipNavigation) {
+                        if (await fetchListingOverHttp()) return;
+                        // First visit for this location (or HTTP failed): open the page like the crawler would
+                        for (const hook of sharedCrawlerOptions.preNavigationHooks) await hook({ page, request });
+                        navigationResponse = await page.goto(request.url, {
+                            timeout: 120_000,
+                            waitUntil: 'domcontentloaded',
+                        });
+                    }
+
                     // Wait for page to load
                     await page.waitForLoadState('domcontentloaded');
                     await page.waitForLoadState('networkidle').catch(() => { });
 
-                    // Check for blocking
-                    const title = await page.title();
-                    log.info(`Page title: ${title}`);
-
-                    if (title.includes('Access Denied') ||
-                        title.includes('Captcha') ||
-                        title.includes('Robot') ||
-                        title.includes('Blocked')) {
-                        log.error('Page blocked! Need better proxies or stealth');
-                        await Actor.setValue('blocked-page', await page.content(), { contentType: 'text/html' });
-                        return;
-                    }
+                    log.info(`Page title: ${await page.title()}`);
+                    await assertNotBlocked(page, navigationResponse);
 
                     // Wait for dynamic content with timeout
                     await page.waitForTimeout(3000);
 
                     // PRIORITY 0: Extract from Redux store (Blinkit client state)
                     log.info('Checking Redux store (JSON state)...');
-                    const reduxProductsInitial = await getReduxProducts(page);
+                    const reduxProductsInitial = await getReduxProducts(page, targetType, capture);
                     if (reduxProductsInitial.length > 0) {
                         const done = await pushResults(reduxProductsInitial, 'Redux Store');
                         if (done) return;
@@ -853,44 +1140,73 @@ async function main() {
                     });
 
                     if (nextDataProducts) {
-                        const extracted = extractProductsFromPayloads([nextDataProducts]);
+                        if (capture) capture.next_data = nextDataProducts;
+                        const extracted = extractProductsFromPayloads([nextDataProducts], extractOptions);
                         if (extracted.length > 0) {
                             const done = await pushResults(extracted, '__NEXT_DATA__');
                             if (done) return;
                         }
                     }
 
+                    // HTTP mode skips scrolling once the page has shown its paged JSON endpoint. The pages the
+                    // page fetched itself are saved first, HTTP continues after them.
+                    if (httpMode && httpProfiles.has(profileKey)) {
+                        const networkProducts = extractProductsFromPayloads(responsePayloads, extractOptions);
+                        if (networkProducts.length > 0 && await pushResults(networkProducts, 'network JSON')) return;
+                        if (await fetchListingOverHttp()) return;
+                    }
+
                     // PRIORITY 2: Scroll to trigger more JSON pagination requests (no DOM parsing)
                     log.info('Scrolling to trigger more JSON pagination...');
-                    let previousHeight = await page.evaluate(() => document.body.scrollHeight);
+                    // Category pages lazy-load inside their own scrollable product pane rather than the window,
+                    // so scroll and measure every scrollable container as well.
+                    const scrollToBottom = () => page.evaluate(() => {
+                        window.scrollTo(0, document.body.scrollHeight);
+                        for (const el of document.querySelectorAll('div, main, section')) {
+                            if (el.scrollHeight <= el.clientHeight + 50) continue;
+                            const { overflowY } = window.getComputedStyle(el);
+                            if (overflowY === 'auto' || overflowY === 'scroll') el.scrollTop = el.scrollHeight;
+                        }
+                    });
+                    const measureScrollHeight = () => page.evaluate(() => {
+                        let height = document.body.scrollHeight;
+                        for (const el of document.querySelectorAll('div, main, section')) {
+                            if (el.scrollHeight <= el.clientHeight + 50) continue;
+                            const { overflowY } = window.getComputedStyle(el);
+                            if (overflowY === 'auto' || overflowY === 'scroll') height += el.scrollHeight;
+                        }
+                        return height;
+                    });
+
+                    let previousHeight = await measureScrollHeight();
                     let previousReduxCount = reduxProductsInitial.length;
                     let previousResponseCount = responseUrls.size;
                     let scrollAttempts = 0;
                     let stableRounds = 0;
-                    const maxScrollAttempts = 40;
+                    // Filters drop part of every batch, so a filtered run scrolls further to fill results_wanted
+                    const maxScrollAttempts = resultFilter.active ? 80 : 40;
                     const maxStableRounds = 3;
 
                     while (scrollAttempts < maxScrollAttempts && stableRounds < maxStableRounds) {
-                        if (RESULTS_WANTED > 0 && totalScraped >= RESULTS_WANTED) break;
+                        if (RESULTS_WANTED > 0 && queryState.scraped >= RESULTS_WANTED) break;
 
-                        await page.evaluate(() => {
-                            window.scrollTo(0, document.body.scrollHeight);
-                        });
+                        await scrollToBottom();
                         await page.waitForTimeout(1200 + Math.random() * 1200);
 
-                        const reduxProducts = await getReduxProducts(page);
+                        const reduxProducts = await getReduxProducts(page, targetType, capture);
                         if (reduxProducts.length > 0) {
                             const done = await pushResults(reduxProducts, 'Redux Store (scroll)');
                             if (done) return;
                         }
 
-                        const networkProducts = extractProductsFromPayloads(responsePayloads);
+                        const networkProducts = extractProductsFromPayloads(responsePayloads, extractOptions);
                         if (networkProducts.length > 0) {
                             const done = await pushResults(networkProducts, 'network JSON');
                             if (done) return;
                         }
+                        if (httpMode && await fetchListingOverHttp()) return;
 
-                        const currentHeight = await page.evaluate(() => document.body.scrollHeight);
+                        const currentHeight = await measureScrollHeight();
                         const currentReduxCount = reduxProducts.length;
                         const currentResponseCount = responseUrls.size;
 
@@ -906,20 +1222,23 @@ async function main() {
                         previousReduxCount = currentReduxCount;
                         previousResponseCount = currentResponseCount;
                         scrollAttempts++;
+                        runStats.countScrollAttempt();
                     }
 
-                    if (stableRounds >= maxStableRounds) {
+                    // The listing ended when scrolling stopped loading anything, not when it ran out of attempts
+                    let listingEnded = stableRounds >= maxStableRounds;
+                    if (listingEnded) {
                         log.info('Reached end of page or no new products loaded');
                     }
 
                     // Final attempt: prefer JSON sources only
-                    const reduxFinal = await getReduxProducts(page);
+                    const reduxFinal = await getReduxProducts(page, targetType, capture);
                     if (reduxFinal.length > 0) {
                         const done = await pushResults(reduxFinal, 'Redux Store (final)');
                         if (done) return;
                     }
 
-                    const networkFinal = extractProductsFromPayloads(responsePayloads);
+                    const networkFinal = extractProductsFromPayloads(responsePayloads, extractOptions);
                     if (networkFinal.length > 0) {
                         const done = await pushResults(networkFinal, 'network JSON (final)');
                         if (done) return;
@@ -927,86 +1246,71 @@ async function main() {
 
                     // PRIORITY 3: If we saw a paginatable internal JSON endpoint, try fetching it directly
                     // using the current browser session (avoids relying purely on lazy-load scrolling).
-                    if (RESULTS_WANTED > 0 && totalScraped < RESULTS_WANTED && bestPagedApi?.url) {
+                    // Each page follows the last one fetched; a restarted run continues from the saved cursor
+                    const directStartUrl = bestPagedApi?.url
+                        ? nextPageUrl(queryState.pagination?.url ?? bestPagedApi.url)
+                        : null;
+                    if ((RESULTS_WANTED === 0 || queryState.scraped < RESULTS_WANTED) && directStartUrl) {
                         log.info(`Attempting direct pagination via internal JSON endpoint (sample ${bestPagedApi.sampleCount} items): ${bestPagedApi.url}`);
 
-                        const fetchNext = async (baseUrl, iteration) => {
-                            const u = new URL(baseUrl);
-
-                            const detectStep = () => {
-                                const limitLike = u.searchParams.get('limit') ?? u.searchParams.get('size') ?? u.searchParams.get('count');
-                                const parsed = Number.parseInt(String(limitLike || ''), 10);
-                                return Number.isFinite(parsed) && parsed > 0 ? parsed : 24;
-                            };
-
-                            // Heuristics: try incrementing a known pagination param if present.
-                            const bumpParam = (key, delta) => {
-                                const current = Number.parseInt(u.searchParams.get(key) || '0', 10);
-                                const next = Number.isFinite(current) ? current + delta : delta;
-                                u.searchParams.set(key, String(next));
-                                return true;
-                            };
-
-                            if (u.searchParams.has('page')) bumpParam('page', 1);
-                            else if (u.searchParams.has('offset')) bumpParam('offset', detectStep());
-                            else if (u.searchParams.has('from')) bumpParam('from', detectStep());
-                            else if (u.searchParams.has('start')) bumpParam('start', detectStep());
-                            else if (u.searchParams.has('skip')) bumpParam('skip', detectStep());
-                            else {
-                                // If there is no obvious pagination param, we can't safely iterate.
-                                return null;
-                            }
-                            return u.toString();
-                        };
-
-                        let lastAdded = totalScraped;
-                        for (let i = 0; i < 15 && totalScraped < RESULTS_WANTED; i++) {
-                            const nextUrl = await fetchNext(bestPagedApi.url, i + 1);
-                            if (!nextUrl) break;
-
-                            try {
-                                const apiRes = await page.request.fetch(nextUrl, {
-                                    headers: {
-                                        accept: 'application/json, text/plain, */*',
-                                        'app_client': 'web',
-                                    },
-                                    timeout: 60_000,
-                                });
-
-                                if (!apiRes.ok()) {
-                                    log.warning(`Direct pagination request failed: ${apiRes.status()} ${nextUrl}`);
-                                    break;
+                        const { done, ended } = await walkListingPages(directStartUrl, {
+                            maxPages: resultFilter.active ? 50 : 15,
+                            pageSize: bestPagedApi.sampleCount,
+                            fetchPage: async (url) => {
+                                runStats.countPaginationCall();
+                                try {
+                                    const apiRes = await page.request.fetch(url, {
+                                        headers: {
+                                            accept: 'application/json, text/plain, */*',
+                                            'app_client': 'web',
+                                        },
+                                        timeout: 60_000,
+                                    });
+
+                                    if (!apiRes.ok()) {
+                                        log.warning(`Direct pagination request failed: ${apiRes.status()} ${url}`);
+                                        return null;
+                                    }
+
+                                    const json = await apiRes.json();
+                                    if (capture) capture.pages.push({ source: 'direct', url, body: json });
+                                    return extractProductsFromPayloads([json], extractOptions);
+                                } catch (e) {
+                                    log.warning('Direct pagination attempt failed; stopping.');
+                                    return null;
                                 }
+                            },
+                            push: (products, url, pageNumber) => pushPage(
+                                products,
+                                url,
+                                `direct paged JSON (#${pageNumber})`,
+                            ),
+                        });
+                        if (done) return;
+                        // Whatever scrolling saw, the pages say whether the listing goes on
+                        listingEnded = ended;
+                        log.info(ended
+                            ? 'Direct pagination reached the end of the listing.'
+                            : 'Direct pagination stopped before the end of the listing.');
+                    }
 
-                                const json = await apiRes.json();
-                                const products = extractProductsFromPayloads([json]);
-                                if (products.length === 0) {
-                                    log.info('Direct pagination returned 0 products; stopping.');
-                                    break;
-                                }
+                    // A listing endpoint blocked while scrolling cut the listing short; retry it on a new session
+                    await assertNotBlocked(page, navigationResponse);
 
-                                const done = await pushResults(products, `direct paged JSON (#${i + 1})`);
-                                if (done) return;
-
-                                if (totalScraped === lastAdded) {
-                                    log.info('Direct pagination did not add new products; stopping.');
-                                    break;
-                                }
-                                lastAdded = totalScraped;
-                            } catch (e) {
-                                log.warning('Direct pagination attempt failed; stopping.');
-                                break;
-                            }
-                        }
-                    }
+                    // Only a listing read to its end says that products missing from it are really gone; a cut-off
+                    // one (scroll attempts or the page cap used up, a failed page) must not report delistings
+                    if (listingEnded) queryState.exhausted = true;
+                    else log.info(`The listing of "${queryLabel}" was not read to its end; skipping its delistings`);
 
                     log.warning('No products extracted from JSON sources. Saving debug artifacts...');
                     log.warning('If results are empty, Blinkit may require a delivery location. Consider enabling setGeolocation with latitude/longitude.');
                     await Actor.setValue('debug-no-products', await page.content(), { contentType: 'text/html' });
                     await Actor.setValue('debug-response-urls', JSON.stringify(Array.from(responseUrls), null, 2), { contentType: 'application/json' });
-                    return;
+                    
 
                 } catch (error) {
+                    // Blocked pages are saved as `blocked-page` and retried by the errorHandler
+                    if (error instanceof BlockedError) throw error;
                     log.exception(error, `Error processing ${request.url}`);
                     // Save error page for debugging
                     try {
@@ -1015,14 +1319,251 @@ async function main() {
                         log.warning('Failed to save error page');
                     }
                     throw error;
+                } finally {
+                    // Saved whichever way the request ended, so a capture of a failing page can be replayed too
+                    if (capture) {
+                        capture.exhausted = queryState.exhausted;
+                        // A failed save must not replace the error of the request, which decides its retry
+                        try {
+                            await saveCapture(capture);
+                        } catch (saveError) {
+                            log.warning(`Failed to save the capture of ${request.url}: ${saveError.message}`);
+                        }
+                    }
                 }
             },
+
+            async failedRequestHandler({ request }, error) {
+                await handleBlockFailure(request, error);
+            },
         });
 
         // Run crawler
-        await crawler.run([{ url: searchUrl }]);
+        endSetup();
+        const endListing = runStats.startPhase('listing');
+        if (replayMode) {
+            for (const capture of captures) {
+                const queryState = getQueryState(capture.request.userData.queryKey);
+                if (queryState.exhausted || (RESULTS_WANTED > 0 && queryState.scraped >= RESULTS_WANTED)) continue;
+                log.info(`Replaying the capture of ${capture.request.url} from ${capture.captured_at}`);
+                const push = createResultPusher(capture.request);
+                const done = await replayCapture(capture, { extractOptions, push });
+                // A listing the capturing run read to the end is complete in the replay too
+                if (!done) queryState.exhausted = capture.exhausted === true;
+            }
+        } else {
+            await crawler.run([...suggestionRequests, ...crawlRequests]);
+        }
+        endListing();
+
+        const pendingDetailCount = Object.keys(pendingDetails).length;
+        if (detailQueue && pendingDetailCount > 0) {
+            log.info(`Fetching product details for ${pendingDetailCount} products...`);
+
+            // Intercepted JSON per page, collected from before navigation so the product API call is not missed
+            const detailPayloads = new WeakMap();
+            const pushWithDetails = async (detailKey, details) => {
+                const records = pendingDetails[detailKey] ?? [];
+                delete pendingDetails[detailKey];
+                if (records.length === 0) return;
+                await saveRecords(records.map((record) => compactObject({ ...record, ...details })));
+            };
+
+            const detailCrawler = new PlaywrightCrawler({
+                ...sharedCrawlerOptions,
+                requestQueue: detailQueue,
+                maxRequestRetries: 3,
+                maxConcurrency: DETAILS_MAX_CONCURRENCY,
+                requestHandlerTimeoutSecs: 120,
+                navigationTimeoutSecs: 120,
+                preNavigationHooks: [
+                    ...sharedCrawlerOptions.preNavigationHooks,
+                    async ({ page }) => {
+                        const payloads = [];
+                        detailPayloads.set(page, payloads);
+                        page.on('response', async (response) => {
+                            const contentType = response.headers()['content-type'] || '';
+                            if (!contentType.includes('json')) return;
+                            try {
+                                payloads.push(await response.json());
+                            } catch {
+                                // Ignore non-JSON or unreadable responses
+                            }
+                        });
+                    },
+                ],
+
+                async requestHandler({ page, request, response }) {
+                    await page.waitForLoadState('domcontentloaded');
+                    await page.waitForLoadState('networkidle').catch(() => { });
+                    await assertNotBlocked(page, response);
+
+                    const pageSources = await page.evaluate(() => {
+                        const sources = [];
+                        try {
+                            // eslint-disable-next-line no-underscore-dangle
+                            const state = window.__reduxStore__?.getState?.();
+                            if (state?.ui) sources.push(JSON.parse(JSON.stringify(state.ui)));
+                        } catch {
+                            // No readable Redux store on this page
+                        }
+                        const nextDataScript = document.getElementById('__NEXT_DATA__');
+                        const scripts = [
+                            ...(nextDataScript ? [nextDataScript] : []),
+                            ...document.querySelectorAll('script[type="application/ld+json"]'),
+                        ];
+                        for (const script of scripts) {
+                            try {
+                                sources.push(JSON.parse(script.textContent));
+                            } catch {
+                                // Ignore malformed JSON blocks
+                            }
+                        }
+                        return sources;
+                    });
+
+                    const details = extractProductDetails(
+                        [...pageSources, ...(detailPayloads.get(page) ?? [])],
+                        { normalizeVariant: (raw) => normalizeProduct(raw, { mappings: fieldMappings }) },
+                    );
+                    await pushWithDetails(request.userData.detailKey, {
+                        ...details,
+                        details_scraped_at: new Date().toISOString(),
+                    });
+                    log.info(`Fetched details for ${request.url}`);
+                },
 
-        log.info(`✅ Scraping completed! Total products scraped: ${totalScraped}`);
+                // Never lose a listing record because its product page failed
+                async failedRequestHandler({ request }, error) {
+                    log.warning(`Product details failed for ${request.url}: ${error.message}`);
+                    await pushWithDetails(request.userData.detailKey, { details_error: error.message });
+                    await handleBlockFailure(request, error);
+                },
+            });
+
+            const endDetails = runStats.startPhase('details');
+            await detailCrawler.run();
+
+            // Anything the detail crawler did not get to still belongs in the dataset
+            for (const [detailKey, records] of Object.entries(pendingDetails)) {
+                delete pendingDetails[detailKey];
+                await saveRecords(records);
+            }
+            endDetails();
+        }
+        if (detailQueue) await detailQueue.drop();
+
+        const endFinalize = runStats.startPhase('finalize');
+
+        if (priceTracker) {
+            const completeScopes = crawlRequests
+                .filter(({ userData }) => getQueryState(userData.queryKey).exhausted)
+                .map(({ url, userData }) => makeScopeKey(url, applyGeolocation ? userData.location.label : null));
+            const delisted = await priceTracker.finish(completeScopes);
+            changeEvents.push(...delisted);
+            if (outputMode === 'changes' && delisted.length > 0) await Dataset.pushData(delisted);
+            await Actor.setValue('CHANGES', changeEvents);
+
+            const countsByType = {};
+            for (const event of changeEvents) countsByType[event.event_type] = (countsByType[event.event_type] ?? 0) + 1;
+            log.info(`Change events: ${JSON.stringify(countsByType)}`);
+        }
+
+        if (outputMode === 'grouped') {
+            const groups = variantGrouper.groups().map(compactObject);
+            if (groups.length > 0) await Dataset.pushData(groups);
+            log.info(`Variant groups: ${groups.length}`);
+        }
+
+        if (alertEngine) {
+            const alertCount = await alertEngine.flush();
+            log.info(`Alerts triggered: ${alertCount}`);
+        }
+
+        if (shareOfShelf) {
+            const report = shareOfShelf.build();
+            await Actor.setValue('SHARE_OF_SHELF', report);
+            await Actor.setValue('SHARE_OF_SHELF_HTML', renderShareOfShelfHtml(report), { contentType: 'text/html' });
+            log.info(`Share of shelf saved for ${report.queries.length} queries (top ${report.top_n})`);
+        }
+
+        if (suggestionsDataset) {
+            log.info(`Suggestions saved to the "${suggestionsDatasetName}" dataset: ${runState.suggestions.saved}`);
+        }
+
+        if (exportFormats.length > 0) {
+            await exportDataset({
+                formats: [...new Set(exportFormats)],
+                columns: toStringList(exportColumns),
+                columnNames: exportColumnNames,
+                view: { listing: 'overview', changes: 'changes', grouped: 'variants' }[outputMode],
+            });
+        }
+
+        const { blocks } = runState;
+        if (blocks.detected > 0) {
+            log.info(`Blocked pages detected: ${blocks.detected}, retried on a new session: ${blocks.retried}`);
+        }
+        if (blocks.failed.length > 0) {
+            log.warning(`Still blocked after all retries (fail_on_block fails the run): ${blocks.failed.join(', ')}`);
+        }
+
+        endFinalize();
+        const summary = runStats.build({
+            total_products: runState.totalScraped,
+            restarts: runState.starts - 1,
+            blocks: { detected: blocks.detected, retried: blocks.retried, failed_urls: blocks.failed },
+            queries: crawlRequests.map(({ url, userData }) => ({
+                query: userData.searchQuery || userData.category?.name || url,
+                location_label: userData.location.label,
+                url,
+                products: getQueryState(userData.queryKey).scraped,
+                filtered_out: getQueryState(userData.queryKey).filtered,
+                exhausted: getQueryState(userData.queryKey).exhausted,
+            })),
+            finished_at: new Date().toISOString(),
+        });
+        await Actor.setValue('RUN_SUMMARY', summary);
+
+        // Key fields whose coverage fell well below the baseline point at a field Blinkit renamed
+        const coverage = fieldCoverage.build();
+        const coverageDrops = findCoverageDrops(coverage, coverageBaseline, { maxDropPct: COVERAGE_MAX_DROP });
+        await Actor.setValue('FIELD_COVERAGE', {
+            ...coverage,
+            baseline: coverageBaseline,
+            max_drop_pct: COVERAGE_MAX_DROP,
+            drops: coverageDrops,
+        });
+        for (const field of fieldMappings.report()) {
+            if (field.read > 0 && field.found === 0) {
+                log.warning(`field_mappings.fields.${field.name}: path ${field.path} was not found on any product`);
+            } else if (field.invalid > 0) {
+                log.warning(`field_mappings.fields.${field.name}: ${field.invalid} of ${field.found} values at `
+                    + `${field.path} could not be converted to ${field.type}`);
+            }
+        }
+        for (const drop of coverageDrops) {
+            log.warning(`Field coverage of ${drop.field} is ${drop.coverage_pct}% (baseline ${drop.baseline_pct}%); `
+                + 'Blinkit may have renamed it, see FIELD_COVERAGE');
+        }
+        const bySource = Object.entries(summary.sources).map(([source, { products }]) => `${source} ${products}`);
+        log.info(`Products by source: ${bySource.join(', ') || 'none'}; duplicates dropped: `
+            + `${summary.duplicates_dropped}, scroll attempts: ${summary.scroll_attempts}, `
+            + `pagination calls: ${summary.pagination_calls} (details in RUN_SUMMARY)`);
+
+        log.info(`✅ Scraping completed! Total products scraped: ${runState.totalScraped}`);
+        for (const { url, userData } of crawlRequests) {
+            const locationNote = userData.location.label ? ` @ ${userData.location.label}` : '';
+            const targetLabel = userData.searchQuery || userData.category?.name || url;
+            const { scraped, filtered } = getQueryState(userData.queryKey);
+            const filteredNote = filtered > 0 ? ` (${filtered} filtered out)` : '';
+            log.info(`  ${targetLabel}${locationNote}: ${scraped} products${filteredNote}`);
+        }
+
+        if (failOnCoverageDrop && coverageDrops.length > 0) {
+            const fields = coverageDrops.map(({ field }) => field).join(', ');
+            await Actor.fail(`Field coverage dropped below the baseline: ${fields}`);
+        }
 
     } catch (error) {
         log.exception(error, 'Actor failed');
@@ -0,0 +1,173 @@
+// Pack size parsing - turns labels like "500 ml", "6 x 200 g", "1 kg", "2 pieces" or "500 ग्राम" into a
+// canonical net quantity (g / ml / piece) and derives comparable unit prices
+
+// Unit spellings (English and Hindi) -> canonical unit and multiplier
+const UNIT_ALIASES = [
+    {
+        unit: 'g',
+        factor: 1000,
+        names: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms', 'किलो', 'किग्रा', 'किलोग्राम'],
+    },
+    {
+        unit: 'g',
+        factor: 0.001,
+        names: ['mg', 'milligram', 'milligrams', 'मिलीग्राम'],
+    },
+    {
+        unit: 'g',
+        factor: 1,
+        names: ['g', 'gm', 'gms', 'gr', 'gram', 'grams', 'gramme', 'grammes', 'ग्राम', 'ग्रा'],
+    },
+    {
+        unit: 'ml',
+        factor: 1000,
+        names: ['l', 'lt', 'ltr', 'ltrs', 'litre', 'litres', 'liter', 'liters', 'लीटर', 'ली'],
+    },
+    {
+        unit: 'ml',
+        factor: 1,
+        names: ['ml', 'mls', 'millilitre', 'millilitres', 'milliliter', 'milliliters', 'मिली', 'मि.ली.'],
+    },
+    {
+        unit: 'piece',
+        factor: 1,
+        names: ['pc', 'pcs', 'piece', 'pieces', 'unit', 'units', 'nos', 'no', 'count', 'ct', 'पीस', 'नग'],
+    },
+];
+
+const UNIT_LOOKUP = new Map(UNIT_ALIASES.flatMap((alias) => alias.names.map((name) => [name, alias])));
+
+// Longest spelling first so "kg" wins over "g" and "ml" over "l"
+const UNIT_PATTERN = Array.from(UNIT_LOOKUP.keys())
+    .sort((a, b) => b.length - a.length)
+    .map((name) => name.replace(/\./g, '\\.'))
+    .join('|');
+
+const NUM = '(\\d+(?:\\.\\d+)?)';
+// Unit must not run into another letter ("g" in "green"); \b does not work for Devanagari
+const UNIT = `(${UNIT_PATTERN})(?![a-z\\u0900-\\u097F])`;
+const MULTIPLY = '\\s*[x×*]\\s*';
+
+const MULTIPACK_COUNT_FIRST = new RegExp(`(\\d+)${MULTIPLY}${NUM}\\s*${UNIT}`);
+const MULTIPACK_COUNT_LAST = new RegExp(`${NUM}\\s*${UNIT}${MULTIPLY}(\\d+)(?!\\s*(?:\\d|${UNIT_PATTERN}))`);
+const RANGE_SEPARATOR = '\\s*(?:-|–|to|से)\\s*';
+const RANGE = new RegExp(`${NUM}${RANGE_SEPARATOR}${NUM}\\s*${UNIT}`);
+// "200 g - 250 g", "900 g - 1.1 kg": a unit on both sides
+const RANGE_BOTH_UNITS = new RegExp(`${NUM}\\s*${UNIT}${RANGE_SEPARATOR}${NUM}\\s*${UNIT}`);
+const SINGLE = new RegExp(`${NUM}\\s*${UNIT}`, 'g');
+const PACK_OF = /(?:pack|set|combo|box)\s+of\s+(\d+)/;
+
+const DEVANAGARI_DIGITS = '०१२३४५६७८९';
+
+const normalizeLabel = (label) => String(label)
+    .toLowerCase()
+    .replace(/[०-९]/g, (digit) => String(DEVANAGARI_DIGITS.indexOf(digit)))
+    .replace(/(\d),(\d{3})/g, '$1$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const toCanonical = (value, unitName) => {
+    const alias = UNIT_LOOKUP.get(unitName);
+    return { value: Number.parseFloat(value) * alias.factor, unit: alias.unit };
+};
+
+const midpoint = (low, high) => ({ value: (low.value + high.value) / 2, unit: low.unit });
+
+// `{ quantity, packCount }` of a normalized label, quantity being the size of one pack
+const readQuantity = (str) => {
+    let match = str.match(MULTIPACK_COUNT_FIRST);
+    if (match) return { packCount: Number.parseInt(match[1], 10), quantity: toCanonical(match[2], match[3]) };
+
+    match = str.match(MULTIPACK_COUNT_LAST);
+    if (match) return { packCount: Number.parseInt(match[3], 10), quantity: toCanonical(match[1], match[2]) };
+
+    match = str.match(RANGE_BOTH_UNITS);
+    if (match && UNIT_LOOKUP.get(match[2]).unit === UNIT_LOOKUP.get(match[4]).unit) {
+        return { packCount: 1, quantity: midpoint(toCanonical(match[1], match[2]), toCanonical(match[3], match[4])) };
+    }
+
+    match = str.match(RANGE);
+    if (match) {
+        return { packCount: 1, quantity: midpoint(toCanonical(match[1], match[3]), toCanonical(match[2], match[3])) };
+    }
+
+    const candidates = Array.from(str.matchAll(SINGLE)).map((m) => toCanonical(m[1], m[2]));
+    const quantity = candidates.find((candidate) => candidate.unit !== 'piece') ?? candidates[0] ?? null;
+    const packOf = str.match(PACK_OF);
+    const packCount = packOf && quantity && quantity.unit !== 'piece' ? Number.parseInt(packOf[1], 10) : 1;
+    return { packCount, quantity };
+};
+
+/**
+ * Parses a pack size label. Returns `{ net_quantity_value, net_quantity_unit, pack_count }` where the
+ * value is the total for the whole pack (6 x 200 g -> 1200 g, pack_count 6), ranges use their midpoint
+ * ("200-250 g" and "200 g - 250 g" -> 225 g), and weight / volume win over piece counts
+ * ("4 pcs (500-600 g)" -> 550 g). Returns null when no quantity is found.
+ */
+export const parsePackSize = (label) => {
+    if (label === null || label === undefined) return null;
+    const str = normalizeLabel(label);
+    if (!str) return null;
+
+    const { quantity, packCount } = readQuantity(str);
+    if (!quantity || !Number.isFinite(quantity.value) || quantity.value <= 0 || packCount <= 0) return null;
+
+    return {
+        net_quantity_value: Number((quantity.value * packCount).toFixed(3)),
+        net_quantity_unit: quantity.unit,
+        pack_count: packCount,
+    };
+};
+
+// A pack size written inside a product name: "(500 ml)", "6 x 200 g", "1 kg x 2", "500-600 g", "200 g - 250 g",
+// "pack of 2"
+const SIZE_IN_NAME = new RegExp(
+    `\\(?\\s*(?:\\d+${MULTIPLY})?${NUM}(?:(?:\\s*${UNIT})?\\s*(?:-|–|to)\\s*${NUM})?\\s*${UNIT}(?:${MULTIPLY}\\d+)?`
+    + '\\s*\\)?'
+    + '|\\(?\\s*(?:pack|set|combo|box) of \\d+\\s*\\)?',
+    'gi',
+);
+
+/**
+ * Splits a product name into the name without its pack size and the pack size text:
+ * "Amul Gold Full Cream Milk (500 ml)" -> { base: 'Amul Gold Full Cream Milk', size: '500 ml' }.
+ * `size` is null when the name has no pack size.
+ */
+export const splitPackSize = (name) => {
+    const str = String(name ?? '');
+    const sizes = [];
+    const base = str
+        .replace(SIZE_IN_NAME, (match) => {
+            sizes.push(match.replace(/[()]/g, '').trim());
+            return ' ';
+        })
+        .replace(/\s*[-,|/]\s*$/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return { base: base || str.trim(), size: sizes.length > 0 ? sizes.join(' ') : null };
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Pack size and unit price fields for a product record. The label is taken from `unit`, then a text
+ * `quantity`, then the product name (names often end in "(500 ml)").
+ */
+export const getUnitPricing = (record) => {
+    const labels = [record.unit, typeof record.quantity === 'string' ? record.quantity : null, record.product_name];
+    let pack = null;
+    for (const label of labels) {
+        pack = parsePackSize(label);
+        if (pack) break;
+    }
+    if (!pack) return {};
+
+    const price = Number.isFinite(record.price) && record.price > 0 ? record.price : null;
+    const { net_quantity_value: value, net_quantity_unit: unit } = pack;
+    return {
+        ...pack,
+        price_per_100g: price && unit === 'g' ? round2((price / value) * 100) : null,
+        price_per_100ml: price && unit === 'ml' ? round2((price / value) * 100) : null,
+        price_per_piece: price && unit === 'piece' ? round2(price / value) : null,
+    };
+};
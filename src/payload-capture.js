@@ -0,0 +1,145 @@
+// Payload capture - the raw Redux listing, __NEXT_DATA__ and JSON bodies a listing page produced, saved per
+// search target so the extraction, dedup and output pipeline can be replayed on them later without a
+// browser or network access
+import { createHash } from 'node:crypto';
+
+import { extractProductsFromPayloads, extractProductsFromSnippets } from './extraction.js';
+
+/**
+ * Key-value store record listing the captures of a run, as `{ key, url, query_key, captured_at }` entries.
+ */
+export const CAPTURE_INDEX_KEY = 'CAPTURES';
+
+/**
+ * Format version of a capture record. Replay refuses captures of another version.
+ */
+export const CAPTURE_VERSION = 2;
+
+/**
+ * Largest payload body a capture keeps, in bytes of JSON. Key-value store records are limited to 9 MB, so
+ * bigger bodies are left out of the capture.
+ */
+export const MAX_CAPTURE_BODY_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Key-value store key of the capture of one search target: `capture-` and a hash of its query key, which
+ * would not fit the allowed key characters itself.
+ */
+export const getCaptureKey = (queryKey) => `capture-${createHash('sha1').update(String(queryKey)).digest('hex')
+    .slice(0, 16)}`;
+
+/**
+ * Empty capture of a listing request. The request handler fills it in: `redux` holds the latest Redux
+ * listing read, `next_data` the `__NEXT_DATA__` JSON, `network` every intercepted JSON response as
+ * `{ url, body }` and `pages` the pages fetched from the paged endpoint as `{ source, url, body }`, with
+ * `source` "direct" (browser session) or "http" (HTTP mode).
+ */
+export const createCapture = ({ url, uniqueKey, userData }) => ({
+    version: CAPTURE_VERSION,
+    captured_at: new Date().toISOString(),
+    request: { url, uniqueKey, userData },
+    redux: null,
+    next_data: null,
+    network: [],
+    pages: [],
+    exhausted: false,
+});
+
+/**
+ * Splits a capture into key-value store records so long listings stay under the record size limit: every
+ * payload body gets its own record (`<key>-redux`, `<key>-next-data`, `<key>-network-<n>`, `<key>-page-<n>`)
+ * and the record at `key` lists them by `body_key`. Returns `{ records, skipped }`: `[recordKey, value]`
+ * pairs with the capture record last, and the bodies over `maxBodyBytes` that were left out, as
+ * `{ part, url, bytes }`.
+ */
+export const splitCapture = (capture, key, { maxBodyBytes = MAX_CAPTURE_BODY_BYTES } = {}) => {
+    const records = [];
+    const skipped = [];
+    const addBody = (part, url, body) => {
+        if (body === null || body === undefined) return null;
+        const bytes = Buffer.byteLength(JSON.stringify(body));
+        if (bytes > maxBodyBytes) {
+            skipped.push({ part, url, bytes });
+            return null;
+        }
+        const bodyKey = `${key}-${part}`;
+        records.push([bodyKey, body]);
+        return bodyKey;
+    };
+
+    const { redux, next_data: nextData, network, pages, ...rest } = capture;
+    const index = {
+        ...rest,
+        redux_key: addBody('redux', null, redux),
+        next_data_key: addBody('next-data', null, nextData),
+        network: network.map(({ url, body }, i) => ({ url, body_key: addBody(`network-${i + 1}`, url, body) }))
+            .filter(({ body_key: bodyKey }) => bodyKey),
+        pages: pages.map(({ source, url, body }, i) => ({ source, url, body_key: addBody(`page-${i + 1}`, url, body) }))
+            .filter(({ body_key: bodyKey }) => bodyKey),
+        skipped,
+    };
+    records.push([key, index]);
+    return { records, skipped };
+};
+
+/**
+ * Reads a capture saved with `splitCapture` back into one object with its bodies. `getValue(key)` reads a
+ * record of the store. Resolves to null when the capture record is missing; a capture of another version
+ * is returned as it is, for `replayCapture` to refuse.
+ */
+export const loadCapture = async (key, getValue) => {
+    const index = await getValue(key);
+    if (!index || index.version !== CAPTURE_VERSION) return index ?? null;
+    const readBody = async (bodyKey) => {
+        if (!bodyKey) return null;
+        const body = await getValue(bodyKey);
+        if (body === null || body === undefined) throw new Error(`Capture ${key} is incomplete: ${bodyKey} is missing`);
+        return body;
+    };
+
+    const { redux_key: reduxKey, next_data_key: nextDataKey, network, pages, ...rest } = index;
+    return {
+        ...rest,
+        redux: await readBody(reduxKey),
+        next_data: await readBody(nextDataKey),
+        network: await Promise.all(network.map(async ({ url, body_key: bodyKey }) => ({
+            url,
+            body: await readBody(bodyKey),
+        }))),
+        pages: await Promise.all(pages.map(async ({ source, url, body_key: bodyKey }) => ({
+            source,
+            url,
+            body: await readBody(bodyKey),
+        }))),
+    };
+};
+
+/**
+ * Feeds a capture to `push(products, label)` in the order a live run reads its sources - Redux store,
+ * `__NEXT_DATA__`, intercepted network JSON, then the fetched pages - under the labels the live run uses.
+ * Stops once `push` resolves to true and returns whether it did.
+ */
+export const replayCapture = async (capture, { push, extractOptions = {} }) => {
+    if (capture?.version !== CAPTURE_VERSION) {
+        throw new Error(`Unsupported capture version ${capture?.version} (expected ${CAPTURE_VERSION})`);
+    }
+    const { targetType = 'search' } = capture.request?.userData ?? {};
+
+    const steps = [
+        ['Redux Store', () => extractProductsFromSnippets(capture.redux, { targetType, ...extractOptions })],
+        ['__NEXT_DATA__', () => extractProductsFromPayloads([capture.next_data].filter(Boolean), extractOptions)],
+        ['network JSON', () => extractProductsFromPayloads(capture.network.map(({ body }) => body), extractOptions)],
+    ];
+    const pageCounts = {};
+    for (const { source, body } of capture.pages) {
+        pageCounts[source] = (pageCounts[source] ?? 0) + 1;
+        const label = source === 'http' ? 'HTTP JSON' : 'direct paged JSON';
+        steps.push([`${label} (#${pageCounts[source]})`, () => extractProductsFromPayloads([body], extractOptions)]);
+    }
+
+    for (const [label, extract] of steps) {
+        const products = extract();
+        if (products.length > 0 && await push(products, label)) return true;
+    }
+    return false;
+};
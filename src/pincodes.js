@@ -0,0 +1,269 @@
+// Offline pincode / locality lookup - resolves Indian delivery areas to approximate coordinates
+// without calling a geocoding service. Coordinates are pincode and post office centroids from India Post
+// data (src/data/pincodes.tsv.gz, built by build-pincode-data.mjs), which is precise enough for Blinkit
+// to pick the dark store serving that area.
+import { readFileSync } from 'node:fs';
+import { gunzipSync } from 'node:zlib';
+
+// Rough bounding box of India (mainland plus Andaman & Nicobar, Lakshadweep and Ladakh), checked first
+const INDIA_BOUNDS = {
+    minLatitude: 6.4,
+    maxLatitude: 37.1,
+    minLongitude: 68.1,
+    maxLongitude: 97.4,
+};
+
+const PINCODE_DATA_FILE = new URL('./data/pincodes.tsv.gz', import.meta.url);
+
+// Localities with the same name farther apart than this are different places
+const MAX_LOCALITY_SPREAD_KM = 25;
+
+// Coordinates farther than this from every pincode centroid are not in India. Neighbouring cities inside
+// the bounding box are farther away (Lahore 25 km, Dhaka 85 km, Kathmandu 91 km), while 99% of pincodes
+// have another one within 24 km.
+const MAX_PINCODE_DISTANCE_KM = 20;
+
+// Neighbourhoods Blinkit customers know an area by, on top of the post office names of the data file. They
+// also name the city of their pincodes: [pincode, locality, city, latitude, longitude]
+const LOCALITY_ROWS = [
+    // Delhi NCR
+    ['110001', 'Connaught Place', 'New Delhi', 28.6315, 77.2167],
+    ['110002', 'Darya Ganj', 'New Delhi', 28.644, 77.241],
+    ['110003', 'Lodhi Road', 'New Delhi', 28.5918, 77.2273],
+    ['110005', 'Karol Bagh', 'New Delhi', 28.6514, 77.1907],
+    ['110008', 'Patel Nagar', 'New Delhi', 28.652, 77.165],
+    ['110016', 'Hauz Khas', 'New Delhi', 28.5494, 77.2001],
+    ['110017', 'Malviya Nagar', 'New Delhi', 28.5355, 77.21],
+    ['110019', 'Kalkaji', 'New Delhi', 28.5494, 77.2588],
+    ['110024', 'Lajpat Nagar', 'New Delhi', 28.5677, 77.2433],
+    ['110048', 'Greater Kailash', 'New Delhi', 28.5482, 77.238],
+    ['110049', 'South Extension', 'New Delhi', 28.5687, 77.2209],
+    ['110058', 'Janakpuri', 'New Delhi', 28.6219, 77.0878],
+    ['110075', 'Dwarka', 'New Delhi', 28.5921, 77.046],
+    ['110085', 'Rohini', 'New Delhi', 28.716, 77.115],
+    ['110091', 'Mayur Vihar', 'New Delhi', 28.604, 77.294],
+    ['110092', 'Laxmi Nagar', 'New Delhi', 28.6304, 77.2777],
+    ['122001', 'Gurgaon', 'Gurugram', 28.4595, 77.0266],
+    ['122002', 'DLF Phase 3', 'Gurugram', 28.481, 77.093],
+    ['122018', 'Sohna Road', 'Gurugram', 28.4089, 77.042],
+    ['201001', 'Ghaziabad', 'Ghaziabad', 28.6692, 77.4538],
+    ['201301', 'Noida Sector 18', 'Noida', 28.5708, 77.3261],
+    // Mumbai Metropolitan Region
+    ['400001', 'Fort', 'Mumbai', 18.9345, 72.8352],
+    ['400005', 'Colaba', 'Mumbai', 18.9067, 72.8147],
+    ['400013', 'Lower Parel', 'Mumbai', 18.995, 72.83],
+    ['400050', 'Bandra West', 'Mumbai', 19.0596, 72.8295],
+    ['400053', 'Andheri West', 'Mumbai', 19.1364, 72.8296],
+    ['400053', 'Lokhandwala', 'Mumbai', 19.1425, 72.8227],
+    ['400069', 'Andheri East', 'Mumbai', 19.1136, 72.8697],
+    ['400076', 'Powai', 'Mumbai', 19.1176, 72.906],
+    ['400080', 'Mulund West', 'Mumbai', 19.1726, 72.9425],
+    ['400101', 'Kandivali East', 'Mumbai', 19.2047, 72.87],
+    ['400601', 'Thane West', 'Thane', 19.1972, 72.978],
+    ['400703', 'Vashi', 'Navi Mumbai', 19.0771, 72.9986],
+    // Pune
+    ['411001', 'Pune Camp', 'Pune', 18.5167, 73.878],
+    ['411004', 'Deccan Gymkhana', 'Pune', 18.5089, 73.833],
+    ['411014', 'Viman Nagar', 'Pune', 18.5679, 73.9143],
+    ['411038', 'Kothrud', 'Pune', 18.5074, 73.8077],
+    ['411057', 'Hinjewadi', 'Pune', 18.5913, 73.7389],
+    // Bengaluru
+    ['560001', 'MG Road', 'Bengaluru', 12.9757, 77.6011],
+    ['560003', 'Malleshwaram', 'Bengaluru', 13.0035, 77.571],
+    ['560011', 'Jayanagar', 'Bengaluru', 12.9299, 77.5826],
+    ['560034', 'Koramangala', 'Bengaluru', 12.9352, 77.6245],
+    ['560037', 'Marathahalli', 'Bengaluru', 12.9569, 77.7011],
+    ['560038', 'Indiranagar', 'Bengaluru', 12.9719, 77.6412],
+    ['560066', 'Whitefield', 'Bengaluru', 12.9698, 77.75],
+    ['560102', 'HSR Layout', 'Bengaluru', 12.9116, 77.6389],
+    ['560103', 'Bellandur', 'Bengaluru', 12.9304, 77.6784],
+    // Hyderabad
+    ['500001', 'Abids', 'Hyderabad', 17.3916, 78.4747],
+    ['500032', 'Gachibowli', 'Hyderabad', 17.4401, 78.3489],
+    ['500033', 'Jubilee Hills', 'Hyderabad', 17.4326, 78.4071],
+    ['500034', 'Banjara Hills', 'Hyderabad', 17.4156, 78.4347],
+    ['500081', 'Madhapur', 'Hyderabad', 17.4483, 78.3915],
+    // Chennai
+    ['600001', 'George Town', 'Chennai', 13.09, 80.286],
+    ['600017', 'T. Nagar', 'Chennai', 13.0418, 80.2341],
+    ['600020', 'Adyar', 'Chennai', 13.0012, 80.2565],
+    ['600040', 'Anna Nagar', 'Chennai', 13.085, 80.2101],
+    ['600096', 'Perungudi', 'Chennai', 12.9654, 80.2461],
+    // Kolkata
+    ['700001', 'BBD Bagh', 'Kolkata', 22.5726, 88.35],
+    ['700019', 'Ballygunge', 'Kolkata', 22.527, 88.365],
+    ['700064', 'Salt Lake', 'Kolkata', 22.5867, 88.4171],
+    ['700091', 'Salt Lake Sector V', 'Kolkata', 22.576, 88.433],
+    // Ahmedabad
+    ['380001', 'Lal Darwaja', 'Ahmedabad', 23.0225, 72.5714],
+    ['380009', 'Navrangpura', 'Ahmedabad', 23.0365, 72.5611],
+    ['380015', 'Satellite', 'Ahmedabad', 23.03, 72.517],
+    ['380054', 'Bodakdev', 'Ahmedabad', 23.04, 72.51],
+    // Other cities
+    ['160017', 'Sector 17', 'Chandigarh', 30.741, 76.782],
+    ['226001', 'Hazratganj', 'Lucknow', 26.8467, 80.9462],
+    ['302001', 'MI Road', 'Jaipur', 26.9124, 75.7873],
+    ['452001', 'Rajwada', 'Indore', 22.7196, 75.8577],
+];
+
+const normalizeName = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const distanceKm = (lat1, lng1, lat2, lng2) => {
+    const rad = Math.PI / 180;
+    const x = (lng2 - lng1) * rad * Math.cos(((lat1 + lat2) / 2) * rad);
+    const y = (lat2 - lat1) * rad;
+    return Math.sqrt(x * x + y * y) * 6371;
+};
+
+const round4 = (value) => Number(value.toFixed(4));
+
+// The data file is read on the first lookup: one entry per pincode, its post offices parsed on demand
+let pincodeTable = null;
+const getPincodeTable = () => {
+    if (pincodeTable) return pincodeTable;
+    pincodeTable = new Map();
+    const text = gunzipSync(readFileSync(PINCODE_DATA_FILE)).toString('utf8');
+    for (const line of text.split('\n')) {
+        if (!line || line.startsWith('#')) continue;
+        const [pincode, latitude, longitude, district, state, offices = ''] = line.split('\t');
+        pincodeTable.set(pincode, {
+            pincode,
+            latitude: Number(latitude),
+            longitude: Number(longitude),
+            district: district || null,
+            state: state || null,
+            offices,
+        });
+    }
+    return pincodeTable;
+};
+
+const cityOf = (entry) => LOCALITY_ROWS.find(([pincode]) => pincode === entry.pincode)?.[2] ?? entry.district;
+
+// Localities of one pincode: the curated neighbourhoods, then its post offices. Offices without usable
+// coordinates sit at the pincode centroid.
+const getLocalities = (entry) => [
+    ...LOCALITY_ROWS.filter(([pincode]) => pincode === entry.pincode)
+        .map(([pincode, locality, , latitude, longitude]) => ({
+            pincode, locality, latitude, longitude, curated: true,
+        })),
+    ...entry.offices.split('|').filter(Boolean).map((office) => {
+        const [locality, latitude, longitude] = office.split(':');
+        return {
+            pincode: entry.pincode,
+            locality,
+            latitude: latitude ? Number(latitude) : entry.latitude,
+            longitude: longitude ? Number(longitude) : entry.longitude,
+            curated: false,
+        };
+    }),
+];
+
+// Every locality of the table by normalized name, built on the first lookup by locality alone
+let localityIndex = null;
+const getLocalityIndex = () => {
+    if (localityIndex) return localityIndex;
+    localityIndex = new Map();
+    const add = (area) => {
+        const key = normalizeName(area.locality);
+        if (!localityIndex.has(key)) localityIndex.set(key, []);
+        localityIndex.get(key).push(area);
+    };
+    for (const entry of getPincodeTable().values()) getLocalities(entry).forEach(add);
+    for (const [pincode, locality, , latitude, longitude] of LOCALITY_ROWS) {
+        if (!getPincodeTable().has(pincode)) add({ pincode, locality, latitude, longitude, curated: true });
+    }
+    return localityIndex;
+};
+
+const isInsideBounds = (latitude, longitude) => Number.isFinite(latitude)
+    && Number.isFinite(longitude)
+    && latitude >= INDIA_BOUNDS.minLatitude
+    && latitude <= INDIA_BOUNDS.maxLatitude
+    && longitude >= INDIA_BOUNDS.minLongitude
+    && longitude <= INDIA_BOUNDS.maxLongitude;
+
+const nearestPincodeKm = (latitude, longitude) => {
+    let nearest = Infinity;
+    for (const entry of getPincodeTable().values()) {
+        nearest = Math.min(nearest, distanceKm(latitude, longitude, entry.latitude, entry.longitude));
+    }
+    return nearest;
+};
+
+/**
+ * Whether coordinates lie in India: inside its bounding box and within `MAX_PINCODE_DISTANCE_KM` of a
+ * pincode centroid, so points in Pakistan, Nepal, Bangladesh or Sri Lanka are rejected.
+ */
+export const isInsideIndia = (latitude, longitude) => isInsideBounds(latitude, longitude)
+    && nearestPincodeKm(latitude, longitude) <= MAX_PINCODE_DISTANCE_KM;
+
+export const assertInsideIndia = (latitude, longitude, source) => {
+    if (!isInsideIndia(latitude, longitude)) {
+        throw new Error(`${source} (${latitude}, ${longitude}) is outside India (not within `
+            + `${MAX_PINCODE_DISTANCE_KM} km of an Indian pincode); Blinkit only delivers within India`);
+    }
+};
+
+// Resolves a pincode and/or locality name to { pincode, locality, city, state, latitude, longitude }.
+// A pincode alone resolves to its centroid; a locality (post office or neighbourhood name) to its own
+// coordinates, averaged when the name is shared by nearby offices. Curated neighbourhoods win over post
+// offices of the same name.
+export const resolveDeliveryArea = ({ pincode, locality } = {}) => {
+    const pin = pincode === null || pincode === undefined ? '' : String(pincode).trim();
+    const localityName = typeof locality === 'string' ? normalizeName(locality) : '';
+    if (!pin && !localityName) return null;
+
+    if (pin && !/^[1-9]\d{5}$/.test(pin)) {
+        throw new Error(`Invalid pincode "${pin}": expected 6 digits`);
+    }
+
+    const entry = pin ? getPincodeTable().get(pin) : null;
+    if (pin && !entry) {
+        throw new Error(`Unknown pincode "${pin}": it is not in the India Post pincode data. `
+            + 'Use latitude/longitude instead.');
+    }
+    if (!localityName) {
+        return {
+            pincode: entry.pincode,
+            locality: null,
+            city: cityOf(entry),
+            state: entry.state,
+            latitude: entry.latitude,
+            longitude: entry.longitude,
+        };
+    }
+
+    const candidates = entry
+        ? getLocalities(entry).filter((area) => normalizeName(area.locality) === localityName)
+        : getLocalityIndex().get(localityName) ?? [];
+    if (candidates.length === 0) {
+        const known = entry ? [...new Set(getLocalities(entry).map((area) => area.locality))] : [];
+        const scope = entry ? ` for pincode ${pin} (known: ${known.join(', ')})` : '';
+        throw new Error(`Unknown locality "${locality}"${scope}. Use latitude/longitude instead.`);
+    }
+    const matches = candidates.some((area) => area.curated) ? candidates.filter((area) => area.curated) : candidates;
+
+    const latitude = matches.reduce((sum, area) => sum + area.latitude, 0) / matches.length;
+    const longitude = matches.reduce((sum, area) => sum + area.longitude, 0) / matches.length;
+    const byDistance = [...matches].sort((a, b) => distanceKm(latitude, longitude, a.latitude, a.longitude)
+        - distanceKm(latitude, longitude, b.latitude, b.longitude));
+    const farthest = byDistance[byDistance.length - 1];
+    if (distanceKm(latitude, longitude, farthest.latitude, farthest.longitude) > MAX_LOCALITY_SPREAD_KM) {
+        const pincodes = [...new Set(matches.map((area) => area.pincode))];
+        const listed = pincodes.slice(0, 8).join(', ') + (pincodes.length > 8 ? ', ...' : '');
+        throw new Error(`Locality "${locality}" matches places in ${pincodes.length} pincodes (${listed}); `
+            + 'add the pincode to pick one');
+    }
+
+    const nearest = byDistance[0];
+    const nearestEntry = getPincodeTable().get(nearest.pincode);
+    return {
+        pincode: nearest.pincode,
+        locality: nearest.locality,
+        city: nearestEntry ? cityOf(nearestEntry) : LOCALITY_ROWS.find(([p]) => p === nearest.pincode)?.[2] ?? null,
+        state: nearestEntry?.state ?? null,
+        latitude: round4(latitude),
+        longitude: round4(longitude),
+    };
+};
@@ -0,0 +1,51 @@
+// Price consistency - numeric discount and savings computed from price and MRP, plus quality flags for
+// records whose payload data does not add up
+
+// Allowed gap between a payload discount label and the computed value (labels are rounded)
+const PERCENT_TOLERANCE = 1;
+const AMOUNT_TOLERANCE = 1;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// "14% OFF" -> { percent: 14 }, "₹10 OFF" / "Rs. 10 off" -> { amount: 10 }, 14 -> { percent: 14 }
+const parseDiscountLabel = (label) => {
+    if (label === null || label === undefined) return null;
+    const str = String(label).replace(/,/g, '');
+    const match = str.match(/\d+(?:\.\d+)?/);
+    if (!match) return null;
+    const value = Number.parseFloat(match[0]);
+    if (/₹|rs\.?|inr/i.test(str) && !str.includes('%')) return { amount: value };
+    return { percent: value };
+};
+
+/**
+ * Discount fields for a product record: `discount_pct` and `savings_amount` computed from `price` and
+ * `original_price`, and `quality_flags` listing `discount_label_mismatch`, `price_above_mrp` and
+ * `zero_price` problems. The payload's own label is read from `discount_label`.
+ */
+export const getPriceChecks = (record) => {
+    const price = Number.isFinite(record.price) ? record.price : null;
+    const mrp = Number.isFinite(record.original_price) && record.original_price > 0 ? record.original_price : null;
+    const flags = [];
+
+    if (price === 0) flags.push('zero_price');
+    if (price !== null && mrp !== null && price > mrp) flags.push('price_above_mrp');
+
+    const hasDiscount = price !== null && price > 0 && mrp !== null && price <= mrp;
+    const discountPct = hasDiscount ? round2(((mrp - price) / mrp) * 100) : null;
+    const savingsAmount = hasDiscount ? round2(mrp - price) : null;
+
+    const label = parseDiscountLabel(record.discount_label);
+    if (label && hasDiscount) {
+        const mismatch = label.amount !== undefined
+            ? Math.abs(label.amount - savingsAmount) > AMOUNT_TOLERANCE
+            : Math.abs(label.percent - discountPct) > PERCENT_TOLERANCE;
+        if (mismatch) flags.push('discount_label_mismatch');
+    }
+
+    return {
+        discount_pct: discountPct,
+        savings_amount: savingsAmount,
+        quality_flags: flags,
+    };
+};
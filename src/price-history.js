@@ -0,0 +1,137 @@
+// Price history - remembers the last seen state of every product (per location) in a named key-value
+// store across runs, and turns the difference with the current run into change events
+import { Actor } from 'apify';
+
+const SNAPSHOT_KEY = 'SNAPSHOT';
+
+const STOCK_STATES = { 'In Stock': true, 'Out of Stock': false };
+
+// Products are identified by product_id / sku_id, falling back to the URL or name when a payload has no ids
+const makeProductKey = (record) => {
+    const hasId = (record.product_id ?? record.sku_id) !== undefined;
+    const productKey = hasId
+        ? `${record.product_id ?? ''}:${record.sku_id ?? ''}`
+        : (record.product_url ?? record.product_name);
+    return `${productKey}@${record.location_label ?? ''}`;
+};
+
+// The listing (search / category URL) and location a product was seen under
+export const makeScopeKey = (url, locationLabel) => `${url}#${locationLabel ?? ''}`;
+
+const toSnapshot = (record, seenAt) => ({
+    product_id: record.product_id,
+    sku_id: record.sku_id,
+    product_name: record.product_name,
+    product_url: record.product_url,
+    price: record.price ?? null,
+    original_price: record.original_price ?? null,
+    in_stock: STOCK_STATES[record.availability] ?? null,
+    location_label: record.location_label,
+    search_query: record.search_query,
+    scope: makeScopeKey(record.url, record.location_label),
+    seen_at: seenAt,
+});
+
+const makeEvent = (type, snapshot, options) => {
+    const { field = null, oldValue = null, newValue = null, previousSeenAt = null, detectedAt } = options;
+    return {
+        event_type: type,
+        product_id: snapshot.product_id,
+        sku_id: snapshot.sku_id,
+        product_name: snapshot.product_name,
+        product_url: snapshot.product_url,
+        location_label: snapshot.location_label,
+        search_query: snapshot.search_query,
+        field,
+        old_value: oldValue,
+        new_value: newValue,
+        previous_seen_at: previousSeenAt,
+        detected_at: detectedAt,
+    };
+};
+
+const diffSnapshots = (previous, current) => {
+    const detectedAt = current.seen_at;
+    if (!previous) return [makeEvent('new_product', current, { detectedAt })];
+
+    const events = [];
+    const context = { previousSeenAt: previous.seen_at, detectedAt };
+    const changed = (field) => previous[field] !== null
+        && current[field] !== null
+        && previous[field] !== current[field];
+    const fieldEvent = (type, field, oldValue, newValue) => makeEvent(type, current, {
+        ...context,
+        field,
+        oldValue,
+        newValue,
+    });
+
+    if (changed('price')) events.push(fieldEvent('price_change', 'price', previous.price, current.price));
+    if (changed('original_price')) {
+        events.push(fieldEvent('mrp_change', 'original_price', previous.original_price, current.original_price));
+    }
+    if (previous.in_stock === false && current.in_stock === true) {
+        events.push(fieldEvent('back_in_stock', 'availability', 'Out of Stock', 'In Stock'));
+    }
+    if (previous.in_stock === true && current.in_stock === false) {
+        events.push(fieldEvent('went_out_of_stock', 'availability', 'In Stock', 'Out of Stock'));
+    }
+    return events;
+};
+
+/**
+ * Opens the snapshot store and returns a tracker: `observe(records)` compares records against the
+ * previous run and returns their change events, `remember(records)` only updates the snapshot of records
+ * that are listed but not part of the output (dropped by the result filters), so they are neither
+ * reported nor taken for delisted, and `finish(completeScopes)` emits `delisted` events for products
+ * missing from fully crawled listings and saves the new snapshot. `current` receives this run's
+ * snapshots; passing a persisted object keeps products observed before a restart. `store` stands in for
+ * the named key-value store.
+ */
+export const createPriceTracker = async ({ storeName, store: givenStore = null, current = {} }) => {
+    const store = givenStore ?? await Actor.openKeyValueStore(storeName);
+    const previous = (await store.getValue(SNAPSHOT_KEY))?.products ?? {};
+
+    const observe = (records) => {
+        const seenAt = new Date().toISOString();
+        const events = [];
+        for (const record of records) {
+            const key = makeProductKey(record);
+            const snapshot = toSnapshot(record, seenAt);
+            // A product listed under several queries is compared once per run
+            if (!current[key]) events.push(...diffSnapshots(previous[key], snapshot));
+            current[key] = snapshot;
+        }
+        return events;
+    };
+
+    const remember = (records) => {
+        const seenAt = new Date().toISOString();
+        for (const record of records) {
+            const key = makeProductKey(record);
+            if (!current[key]) current[key] = toSnapshot(record, seenAt);
+        }
+    };
+
+    // Only listings that were crawled to the end can prove a product is gone; a listing cut short by
+    // results_wanted or an error says nothing about the products it did not reach.
+    const finish = async (completeScopes = []) => {
+        const scopes = new Set(completeScopes);
+        const detectedAt = new Date().toISOString();
+        const delisted = [];
+        const products = {};
+        for (const [key, snapshot] of Object.entries(previous)) {
+            if (current[key]) continue;
+            if (scopes.has(snapshot.scope)) {
+                delisted.push(makeEvent('delisted', snapshot, { previousSeenAt: snapshot.seen_at, detectedAt }));
+            } else {
+                products[key] = snapshot;
+            }
+        }
+        Object.assign(products, current);
+        await store.setValue(SNAPSHOT_KEY, { updatedAt: detectedAt, products });
+        return delisted;
+    };
+
+    return { observe, remember, finish, previousCount: Object.keys(previous).length };
+};
@@ -0,0 +1,149 @@
+// Product detail page parsing - pulls catalog attributes out of Blinkit product (/prn/.../prid/...) payloads
+
+// Output field -> attribute labels Blinkit shows in the "Product Details" section (lowercased, no punctuation)
+const DETAIL_ATTRIBUTES = {
+    description: ['description', 'product description', 'about the product', 'about this product'],
+    key_features: ['key features', 'features', 'highlights'],
+    ingredients: ['ingredients', 'ingredient'],
+    nutrition_info: [
+        'nutrition information',
+        'nutritional information',
+        'nutrition info',
+        'nutrition facts',
+        'nutritional facts',
+        'nutritional value',
+    ],
+    shelf_life: ['shelf life'],
+    storage_instructions: ['storage tips', 'storage instructions', 'storage'],
+    country_of_origin: ['country of origin', 'origin country'],
+    manufacturer_details: ['manufacturer details', 'manufacturer name', 'manufacturer', 'manufactured by'],
+    marketed_by: ['marketed by', 'marketer', 'marketer details'],
+    seller_name: ['seller name', 'seller', 'sold by'],
+    seller_address: ['seller address'],
+    fssai_license: ['fssai license', 'fssai license number', 'fssai lic no', 'seller fssai', 'fssai'],
+    customer_care: ['customer care details', 'customer care'],
+    return_policy: ['return policy'],
+    disclaimer: ['disclaimer'],
+};
+
+const LABEL_TO_FIELD = new Map(
+    Object.entries(DETAIL_ATTRIBUTES).flatMap(([field, labels]) => labels.map((label) => [label, field])),
+);
+
+const LABEL_KEYS = ['title', 'name', 'label', 'key', 'heading', 'attribute_name'];
+const VALUE_KEYS = ['value', 'subtitle', 'description', 'text', 'values', 'attribute_value', 'content'];
+const GALLERY_KEYS = ['images', 'image_urls', 'imageUrls', 'media', 'gallery', 'product_images'];
+const VARIANT_KEYS = ['variants', 'variant_list', 'variantList', 'variant_info', 'variantInfo', 'pack_sizes'];
+
+const normalizeLabel = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Blinkit wraps most display strings as { text: '...' }
+const toText = (value) => {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'string') return value.trim() || null;
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    if (Array.isArray(value)) {
+        const parts = value.map(toText).filter(Boolean);
+        return parts.length > 0 ? parts.join('\n') : null;
+    }
+    if (typeof value === 'object') return toText(value.text ?? value.value ?? value.title ?? null);
+    return null;
+};
+
+const toImageUrl = (value) => {
+    if (typeof value === 'string') return /^https?:\/\//.test(value) ? value : null;
+    if (value && typeof value === 'object') return toImageUrl(value.url ?? value.src ?? value.image_url ?? value.image);
+    return null;
+};
+
+const walk = (root, visit, maxDepth = 12) => {
+    const seen = new Set();
+    const step = (node, depth) => {
+        if (!node || typeof node !== 'object' || depth > maxDepth || seen.has(node)) return;
+        seen.add(node);
+        if (Array.isArray(node)) {
+            for (const item of node) step(item, depth + 1);
+            return;
+        }
+        visit(node);
+        for (const value of Object.values(node)) step(value, depth + 1);
+    };
+    step(root, 0);
+};
+
+/**
+ * Extracts detail-page attributes from any mix of product page sources: intercepted JSON responses,
+ * the Redux state, `__NEXT_DATA__` and JSON-LD blocks. `normalizeVariant` turns a raw variant entry
+ * into a product record (the search pipeline's normalizer is passed in).
+ */
+export const extractProductDetails = (sources = [], { normalizeVariant } = {}) => {
+    const details = {};
+    const images = new Set();
+    const variants = new Map();
+
+    // schema.org Product blocks from <script type="application/ld+json">
+    const addJsonLd = (node) => {
+        const type = [].concat(node['@type'] ?? []).map(String);
+        if (!type.includes('Product')) return;
+        if (!details.description) details.description = toText(node.description);
+        if (!details.country_of_origin) {
+            details.country_of_origin = toText(node.countryOfOrigin?.name ?? node.countryOfOrigin);
+        }
+        if (!details.gtin) details.gtin = toText(node.gtin13 ?? node.gtin ?? null);
+        for (const image of [].concat(node.image ?? [])) {
+            const url = toImageUrl(image);
+            if (url) images.add(url);
+        }
+    };
+
+    const addVariant = (raw) => {
+        if (!normalizeVariant || !raw || typeof raw !== 'object') return;
+        const variant = normalizeVariant(raw);
+        if (!variant.product_name && !variant.product_id) return;
+        const key = variant.product_id ?? variant.sku_id ?? `${variant.product_name}|${variant.unit ?? ''}`;
+        if (variants.has(key)) return;
+        variants.set(key, {
+            product_id: variant.product_id,
+            sku_id: variant.sku_id,
+            product_name: variant.product_name,
+            unit: variant.unit ?? (typeof variant.quantity === 'string' ? variant.quantity : undefined),
+            price: variant.price,
+            original_price: variant.original_price,
+            availability: variant.availability,
+            product_url: variant.product_url,
+        });
+    };
+
+    for (const source of sources) {
+        walk(source, (node) => {
+            if (node['@type']) addJsonLd(node);
+
+            const rawLabel = LABEL_KEYS.map((key) => toText(node[key])).find(Boolean);
+            if (rawLabel) {
+                const field = LABEL_TO_FIELD.get(normalizeLabel(rawLabel));
+                if (field && !details[field]) {
+                    const value = VALUE_KEYS.map((key) => toText(node[key])).find(Boolean);
+                    if (value && normalizeLabel(value) !== normalizeLabel(rawLabel)) details[field] = value;
+                }
+            }
+
+            for (const key of GALLERY_KEYS) {
+                if (!Array.isArray(node[key])) continue;
+                for (const image of node[key]) {
+                    const url = toImageUrl(image);
+                    if (url) images.add(url);
+                }
+            }
+
+            for (const key of VARIANT_KEYS) {
+                if (Array.isArray(node[key])) node[key].forEach(addVariant);
+            }
+        });
+    }
+
+    return {
+        ...details,
+        images: images.size > 0 ? Array.from(images) : null,
+        pack_variants: variants.size > 0 ? Array.from(variants.values()) : null,
+    };
+};
@@ -0,0 +1,100 @@
+// Result filters - price band, discount, brand, stock and name rules applied to records before they count
+// toward results_wanted, so the limit fills with products that are actually wanted
+import { inferBrand } from './share-of-shelf.js';
+
+/**
+ * Why a record can be filtered out, in the order the rules are checked.
+ */
+export const FILTER_REASONS = ['price', 'discount', 'brand', 'stock', 'name'];
+
+const toOptionalNumber = (value, inputName) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    if (!Number.isFinite(num) || num < 0) throw new Error(`${inputName} must be a non-negative number`);
+    return num;
+};
+
+const toBrandSet = (value, inputName) => {
+    if (value === null || value === undefined) return new Set();
+    if (!Array.isArray(value)) throw new Error(`${inputName} must be a list of brand names`);
+    return new Set(value.filter((brand) => typeof brand === 'string' && brand.trim())
+        .map((brand) => brand.trim().toLowerCase()));
+};
+
+const toRegExp = (value, inputName) => {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    try {
+        return new RegExp(String(value).trim(), 'i');
+    } catch (error) {
+        throw new Error(`${inputName} must be a valid regular expression: ${error.message}`);
+    }
+};
+
+/**
+ * Builds the record filter from the filter inputs (`min_price`, `max_price`, `min_discount_pct`,
+ * `brands_include`, `brands_exclude`, `in_stock_only`, `name_include`, `name_exclude`). `check(record)`
+ * returns the first of `FILTER_REASONS` the record fails, or null when it passes; `apply(records)` returns
+ * `{ kept, rejected, dropped }`: the records that pass, those that fail and the dropped count per reason.
+ * `active` is false when no filter is set.
+ *
+ * Records are checked after their unit prices and discount are computed: a missing price fails a price
+ * band, a missing `discount_pct` counts as 0, only `in_stock: true` passes `in_stock_only`, and records
+ * without a brand are matched by the brand their name starts with. Name patterns are case-insensitive.
+ */
+export const createResultFilter = (input = {}) => {
+    const minPrice = toOptionalNumber(input.min_price, 'min_price');
+    const maxPrice = toOptionalNumber(input.max_price, 'max_price');
+    const minDiscountPct = toOptionalNumber(input.min_discount_pct, 'min_discount_pct');
+    const brandsInclude = toBrandSet(input.brands_include, 'brands_include');
+    const brandsExclude = toBrandSet(input.brands_exclude, 'brands_exclude');
+    const inStockOnly = input.in_stock_only === true;
+    const nameInclude = toRegExp(input.name_include, 'name_include');
+    const nameExclude = toRegExp(input.name_exclude, 'name_exclude');
+    if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+        throw new Error('min_price must not be greater than max_price');
+    }
+
+    const brandNames = [...brandsInclude, ...brandsExclude];
+    const brandOf = (record) => (record.brand ?? inferBrand(record.product_name, brandNames) ?? '').toLowerCase();
+
+    const check = (record) => {
+        if (minPrice !== null || maxPrice !== null) {
+            const price = Number.isFinite(record.price) ? record.price : null;
+            if (price === null || (minPrice !== null && price < minPrice) || (maxPrice !== null && price > maxPrice)) {
+                return 'price';
+            }
+        }
+        if (minDiscountPct !== null && (record.discount_pct ?? 0) < minDiscountPct) return 'discount';
+        if (brandsInclude.size > 0 || brandsExclude.size > 0) {
+            const brand = brandOf(record);
+            if (brandsInclude.size > 0 && !brandsInclude.has(brand)) return 'brand';
+            if (brandsExclude.has(brand)) return 'brand';
+        }
+        if (inStockOnly && record.in_stock !== true) return 'stock';
+        const name = record.product_name ?? '';
+        if (nameInclude && !nameInclude.test(name)) return 'name';
+        if (nameExclude && nameExclude.test(name)) return 'name';
+        return null;
+    };
+
+    const apply = (records) => {
+        const kept = [];
+        const rejected = [];
+        const dropped = {};
+        for (const record of records) {
+            const reason = check(record);
+            if (reason) {
+                dropped[reason] = (dropped[reason] ?? 0) + 1;
+                rejected.push(record);
+            } else {
+                kept.push(record);
+            }
+        }
+        return { kept, rejected, dropped };
+    };
+
+    const active = minPrice !== null || maxPrice !== null || minDiscountPct !== null || brandsInclude.size > 0
+        || brandsExclude.size > 0 || inStockOnly || nameInclude !== null || nameExclude !== null;
+
+    return { active, check, apply };
+};
@@ -0,0 +1,92 @@
+// Run summary - where the products of a run came from (Redux store, __NEXT_DATA__, intercepted or paged
+// JSON), how many were dropped as duplicates, how much scrolling and pagination it took and how long each
+// phase ran, saved as the RUN_SUMMARY record
+
+// Extraction source of each pushResults label, in the order they are tried
+const SOURCES = [
+    ['redux_store', /^Redux Store/],
+    ['next_data', /^__NEXT_DATA__/],
+    ['network_json', /^network JSON/],
+    ['direct_paged_json', /^direct paged JSON/],
+    ['http_json', /^HTTP JSON/],
+];
+
+/**
+ * Label of a pushResults call without its page number, so every page of a paginated source counts
+ * under one label: "direct paged JSON (#3)" becomes "direct paged JSON".
+ */
+export const normalizeLabel = (label) => String(label ?? '').replace(/\s*\(#\d+\)$/, '').trim();
+
+/**
+ * Extraction source a pushResults label belongs to, or "other" for labels outside the known sources.
+ */
+export const getExtractionSource = (label) => SOURCES.find(([, pattern]) => pattern.test(label))?.[0] ?? 'other';
+
+const emptyCounts = () => ({ calls: 0, extracted: 0, duplicates: 0, products: 0 });
+
+const addCounts = (totals, { extracted = 0, duplicates = 0, products = 0 }) => ({
+    calls: totals.calls + 1,
+    extracted: totals.extracted + extracted,
+    duplicates: totals.duplicates + duplicates,
+    products: totals.products + products,
+});
+
+/**
+ * Counts the run's statistics into `stats`, phase timings included, so they add up across restarts.
+ * `recordExtraction(label, counts)` takes the products a pushResults call got (`extracted`),
+ * dropped as already seen (`duplicates`) and saved (`products`), `countFiltered(dropped)` the records the
+ * result filters dropped per reason; `startPhase(name)` returns the function that ends the phase and adds
+ * its duration. `build(extra)` returns the summary with `extra` merged in.
+ */
+export const createRunStats = (stats = {}, { now = Date.now } = {}) => {
+    stats.sources ??= {};
+    stats.labels ??= {};
+    stats.duplicates ??= 0;
+    stats.filtered ??= {};
+    stats.scrollAttempts ??= 0;
+    stats.paginationCalls ??= 0;
+    stats.phases ??= {};
+
+    const recordExtraction = (label, counts) => {
+        const source = getExtractionSource(label);
+        const labelKey = normalizeLabel(label);
+        stats.sources[source] = addCounts(stats.sources[source] ?? emptyCounts(), counts);
+        stats.labels[labelKey] = addCounts(stats.labels[labelKey] ?? emptyCounts(), counts);
+        stats.duplicates += counts.duplicates ?? 0;
+    };
+
+    const countFiltered = (dropped) => {
+        for (const [reason, count] of Object.entries(dropped)) {
+            stats.filtered[reason] = (stats.filtered[reason] ?? 0) + count;
+        }
+    };
+
+    const countScrollAttempt = () => {
+        stats.scrollAttempts += 1;
+    };
+
+    const countPaginationCall = () => {
+        stats.paginationCalls += 1;
+    };
+
+    const startPhase = (name, startedAt = now()) => () => {
+        stats.phases[name] = (stats.phases[name] ?? 0) + Math.max(0, now() - startedAt);
+    };
+
+    const build = (extra = {}) => {
+        const phases = Object.fromEntries(Object.entries(stats.phases).map(([name, ms]) => [name, Math.round(ms)]));
+        return {
+            sources: stats.sources,
+            labels: stats.labels,
+            duplicates_dropped: stats.duplicates,
+            filtered_out: stats.filtered,
+            scroll_attempts: stats.scrollAttempts,
+            pagination_calls: stats.paginationCalls,
+            phases_ms: phases,
+            total_ms: Object.values(phases).reduce((sum, ms) => sum + ms, 0),
+            ...extra,
+        };
+    };
+
+    return { stats, recordExtraction, countFiltered, countScrollAttempt, countPaginationCall, startPhase, build };
+};
@@ -0,0 +1,184 @@
+// Share of shelf - per query (and location) brand presence in the top N results, with average rank,
+// price, discount and out-of-stock share, saved as JSON and as an HTML table
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const average = (values) => {
+    const numbers = values.filter((value) => Number.isFinite(value));
+    return numbers.length > 0 ? round2(numbers.reduce((sum, value) => sum + value, 0) / numbers.length) : null;
+};
+
+/**
+ * Brand for a record without one: the longest brand seen elsewhere in the run that the product name
+ * starts with, otherwise the first word of the name.
+ */
+export const inferBrand = (productName, knownBrands = []) => {
+    const name = String(productName ?? '').trim();
+    if (!name) return null;
+    const lowered = name.toLowerCase();
+    const known = knownBrands
+        .filter((brand) => {
+            const candidate = brand.toLowerCase();
+            return lowered.startsWith(candidate) && !/[a-z0-9]/.test(lowered.charAt(candidate.length));
+        })
+        .sort((a, b) => b.length - a.length)[0];
+    return known ?? name.split(/\s+/)[0];
+};
+
+// NaN when both ranks are missing, so the insertion order decides
+const byRank = (a, b) => (a.search_rank ?? Infinity) - (b.search_rank ?? Infinity) || a.order - b.order;
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// The record fields the report reads; only these are kept, since the collected records are persisted
+const SHELF_FIELDS = [
+    'search_rank',
+    'brand',
+    'product_name',
+    'price',
+    'discount_pct',
+    'in_stock',
+    'availability',
+    'is_sponsored',
+];
+
+/**
+ * Collects records with `add(records)` and turns them into the share-of-shelf report with `build()`.
+ * Records are ranked by `search_rank` (falling back to the order they were added); the top `topN` of
+ * every query decide the share, while average rank, price, discount and out-of-stock share cover all
+ * listings of the brand. `state` keeps the collected records per query, cut down to `SHELF_FIELDS`, and
+ * the brands seen, which `build()` uses to attribute records without a brand.
+ */
+export const createShareOfShelf = ({ topN = 10, state = {} } = {}) => {
+    // `${url}#${location_label}` -> { search_query, location_label, url, records }
+    state.queries ??= {};
+    state.brands ??= [];
+    const { queries } = state;
+    const knownBrands = new Set(state.brands);
+
+    const add = (records) => {
+        for (const record of records) {
+            const key = `${record.url}#${record.location_label ?? ''}`;
+            if (!Object.hasOwn(queries, key)) {
+                queries[key] = {
+                    search_query: record.search_query || record.subcategory_name || record.category_name || record.url,
+                    location_label: record.location_label,
+                    url: record.url,
+                    records: [],
+                };
+            }
+            const query = queries[key];
+            const kept = Object.fromEntries(SHELF_FIELDS.filter((field) => record[field] !== undefined)
+                .map((field) => [field, record[field]]));
+            query.records.push({ ...kept, order: query.records.length });
+            if (record.brand && !knownBrands.has(record.brand)) {
+                knownBrands.add(record.brand);
+                state.brands.push(record.brand);
+            }
+        }
+    };
+
+    const build = () => {
+        const brands = Array.from(knownBrands);
+        const reports = Object.values(queries).map((query) => {
+            const ranked = [...query.records].sort(byRank);
+            const top = new Set(ranked.slice(0, topN));
+
+            const byBrand = new Map();
+            for (const [position, record] of ranked.entries()) {
+                const brand = record.brand || inferBrand(record.product_name, brands) || 'Unknown';
+                if (!byBrand.has(brand)) byBrand.set(brand, []);
+                byBrand.get(brand).push({ record, rank: record.search_rank ?? position + 1, inTop: top.has(record) });
+            }
+
+            const brandRows = Array.from(byBrand.entries()).map(([brand, listings]) => {
+                const topCount = listings.filter((listing) => listing.inTop).length;
+                const outOfStock = listings.filter((listing) => listing.record.in_stock === false
+                    || listing.record.availability === 'Out of Stock').length;
+                return {
+                    brand,
+                    top_n_count: topCount,
+                    share_of_shelf_pct: top.size > 0 ? round2((topCount / top.size) * 100) : 0,
+                    sponsored_in_top_n: listings
+                        .filter((listing) => listing.inTop && listing.record.is_sponsored).length,
+                    listings: listings.length,
+                    avg_rank: average(listings.map((listing) => listing.rank)),
+                    avg_price: average(listings.map((listing) => listing.record.price)),
+                    avg_discount_pct: average(listings.map((listing) => listing.record.discount_pct)),
+                    out_of_stock_share_pct: round2((outOfStock / listings.length) * 100),
+                };
+            });
+            brandRows.sort((a, b) => b.top_n_count - a.top_n_count || a.avg_rank - b.avg_rank);
+
+            return {
+                search_query: query.search_query,
+                location_label: query.location_label,
+                url: query.url,
+                listings: ranked.length,
+                top_n_listings: top.size,
+                brands: brandRows,
+            };
+        });
+
+        return { generated_at: new Date().toISOString(), top_n: topN, queries: reports };
+    };
+
+    return { add, build };
+};
+
+const COLUMNS = [
+    ['brand', 'Brand'],
+    ['top_n_count', 'In top N'],
+    ['share_of_shelf_pct', 'Share of shelf %'],
+    ['sponsored_in_top_n', 'Sponsored in top N'],
+    ['listings', 'Listings'],
+    ['avg_rank', 'Avg rank'],
+    ['avg_price', 'Avg price (₹)'],
+    ['avg_discount_pct', 'Avg discount %'],
+    ['out_of_stock_share_pct', 'Out of stock %'],
+];
+
+/**
+ * Renders the report as a standalone HTML page with one table per query.
+ */
+export const renderShareOfShelfHtml = (report) => {
+    const sections = report.queries.map((query) => {
+        const location = query.location_label ? ` @ ${escapeHtml(query.location_label)}` : '';
+        const header = COLUMNS.map(([, title]) => `<th>${escapeHtml(title)}</th>`).join('');
+        const rows = query.brands
+            .map((row) => `<tr>${COLUMNS.map(([field]) => `<td>${escapeHtml(row[field] ?? '')}</td>`).join('')}</tr>`)
+            .join('\n');
+        return `<h2>${escapeHtml(query.search_query)}${location}</h2>
+<p>Top ${query.top_n_listings} of ${query.listings} listings</p>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+    });
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Share of shelf</title>
+<style>
+body { font-family: sans-serif; margin: 24px; }
+table { border-collapse: collapse; margin-bottom: 32px; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+</style>
+</head>
+<body>
+<h1>Share of shelf</h1>
+<p>Generated ${escapeHtml(report.generated_at)}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+};
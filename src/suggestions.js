@@ -0,0 +1,155 @@
+// Autocomplete suggestions - turns Blinkit autosuggest JSON into ordered keyword, category and brand
+// suggestions. Side-effect free like the extraction pipeline, so it runs on captured payloads as well.
+
+/**
+ * Values of the `suggestion_type` field.
+ */
+export const SUGGESTION_TYPES = ['keyword', 'category', 'brand'];
+
+// Intercepted responses that carry autocomplete suggestions
+export const SUGGESTION_URL_PATTERN = /autocomplete|autosuggest|suggest/i;
+
+const LABEL_KEYS = [
+    'title', 'name', 'keyword', 'suggestion', 'query', 'display_name', 'displayName', 'text', 'label',
+];
+const TYPE_KEYS = ['widget_type', 'type', 'entity_type', 'entityType', 'suggestion_type', 'result_type'];
+const DEEPLINK_KEYS = ['deeplink', 'deep_link', 'url', 'link', 'href'];
+const PRODUCT_SIGNAL_KEYS = ['product_id', 'productId', 'price', 'mrp', 'atc_action', 'cart_item'];
+
+// Layout snippets around the suggestion list, not suggestions themselves
+const LAYOUT_TYPE = /header|separator|divider|spacer|title_snippet|footer/i;
+
+// Blinkit wraps display strings as `{ text: '...' }`
+const toText = (value) => {
+    if (typeof value === 'string') return value.trim();
+    if (value && typeof value === 'object' && typeof value.text === 'string') return value.text.trim();
+    return '';
+};
+
+const pickLabel = (node) => {
+    for (const key of LABEL_KEYS) {
+        const text = toText(node[key]);
+        if (text) return text;
+    }
+    return '';
+};
+
+const typeHints = (...nodes) => nodes
+    .flatMap((node) => TYPE_KEYS.map((key) => node?.[key]))
+    .filter((value) => typeof value === 'string')
+    .join(' ');
+
+const classify = (hints) => {
+    if (/product|sku/i.test(hints)) return null;
+    if (/brand/i.test(hints)) return 'brand';
+    if (/categor|collection|\bl[0-2]\b|cat_/i.test(hints)) return 'category';
+    return 'keyword';
+};
+
+const findDeeplink = (node, depth = 0) => {
+    if (!node || typeof node !== 'object' || depth > 4) return null;
+    for (const key of DEEPLINK_KEYS) {
+        const value = node[key];
+        if (typeof value === 'string' && /^(?:https?:|blinkit:|grofers:|\/)/i.test(value)) return value;
+    }
+    for (const [key, value] of Object.entries(node)) {
+        if (/action|deeplink|link/i.test(key)) {
+            const found = findDeeplink(value, depth + 1);
+            if (found) return found;
+        }
+    }
+    return null;
+};
+
+/**
+ * Ordered suggestions found in autosuggest payloads. Every array entry with a display label becomes a
+ * suggestion (snippet entries are read through their `data` object); product cards and layout snippets
+ * are skipped. Returns `{ suggestion, suggestion_type, position, deeplink }` with 1-based positions and
+ * each type / suggestion pair once.
+ */
+export const extractSuggestions = (payloads = []) => {
+    const suggestions = [];
+    const seen = new Set();
+
+    const visit = (node, inArray) => {
+        if (Array.isArray(node)) {
+            for (const child of node) visit(child, true);
+            return;
+        }
+        if (!node || typeof node !== 'object') return;
+
+        if (inArray) {
+            const data = node.data && typeof node.data === 'object' && !Array.isArray(node.data) ? node.data : node;
+            const hints = typeHints(node, data);
+            const isProduct = PRODUCT_SIGNAL_KEYS.some((key) => key in data);
+            const type = classify(hints);
+            // Product cards feed product extraction, their variant lists included
+            if (isProduct || !type) return;
+            const label = pickLabel(data);
+            if (label && !LAYOUT_TYPE.test(hints)) {
+                const key = `${type}|${label.toLowerCase()}`;
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    suggestions.push({
+                        suggestion: label,
+                        suggestion_type: type,
+                        position: suggestions.length + 1,
+                        deeplink: findDeeplink(data) ?? findDeeplink(node),
+                    });
+                }
+                // Tags and subtitles inside a suggestion are not suggestions of their own
+                return;
+            }
+        }
+        for (const value of Object.values(node)) {
+            if (value && typeof value === 'object') visit(value, false);
+        }
+    };
+
+    for (const payload of payloads) visit(payload, false);
+    return suggestions;
+};
+
+/**
+ * What gets typed into the search box for a seed query: the query itself, or with `prefixes` every
+ * prefix of it from `minLength` characters up.
+ */
+export const getTypedPrefixes = (seed, { prefixes = false, minLength = 1 } = {}) => {
+    const query = String(seed ?? '').trim();
+    if (!query) return [];
+    if (!prefixes) return [query];
+
+    const typed = [];
+    for (let length = Math.max(1, minLength); length <= query.length; length++) {
+        const prefix = query.slice(0, length);
+        // A trailing space suggests the same as the prefix before it
+        if (!prefix.endsWith(' ')) typed.push(prefix);
+    }
+    return typed;
+};
+
+const QUERY_PARAMS = ['q', 'query', 'search', 'keyword', 'term', 'text'];
+
+/**
+ * The text an autosuggest request was made for, read from its URL query or JSON body. Null when the
+ * request does not say, e.g. for a form-encoded body.
+ */
+export const getSuggestQuery = (url, postData = null) => {
+    try {
+        const params = new URL(url).searchParams;
+        for (const key of QUERY_PARAMS) {
+            if (params.get(key)) return params.get(key);
+        }
+    } catch {
+        // Not an absolute URL; the body may still tell
+    }
+    try {
+        const body = JSON.parse(postData ?? '');
+        for (const key of QUERY_PARAMS) {
+            if (typeof body?.[key] === 'string' && body[key]) return body[key];
+        }
+    } catch {
+        // No JSON body
+    }
+    return null;
+};
@@ -0,0 +1,148 @@
+// Variant grouping - recognises the pack sizes of one product ("Amul Gold Milk 500 ml" / "... 1 L") as a
+// group, using the payload's group id or variant list and falling back to the brand and the name without
+// its pack size
+import { parsePackSize, splitPackSize } from './pack-size.js';
+
+const slugify = (value) => String(value ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+const nameKey = (record) => {
+    const name = slugify(splitPackSize(record.product_name).base);
+    const brand = slugify(record.brand);
+    if (!name) return null;
+    return !brand || name.startsWith(brand) ? name : `${brand}-${name}`;
+};
+
+const memberKey = (record) => String(
+    record.product_id ?? record.sku_id ?? record.product_url ?? `${record.product_name}|${record.unit ?? ''}`,
+);
+
+const variantLabelOf = (record) => {
+    if (typeof record.unit === 'string' && record.unit.trim()) return record.unit.trim();
+    if (typeof record.quantity === 'string' && record.quantity.trim()) return record.quantity.trim();
+    return splitPackSize(record.product_name).size;
+};
+
+const toMember = (record) => ({
+    product_id: record.product_id,
+    sku_id: record.sku_id,
+    product_name: record.product_name,
+    variant_label: variantLabelOf(record),
+    price: record.price,
+    original_price: record.original_price,
+    availability: record.availability,
+    product_url: record.product_url,
+});
+
+// Smallest pack first; labels without a parsable size go last
+const bySize = (a, b) => {
+    const sizeA = parsePackSize(a.variant_label)?.net_quantity_value ?? Infinity;
+    const sizeB = parsePackSize(b.variant_label)?.net_quantity_value ?? Infinity;
+    return sizeA - sizeB;
+};
+
+const summarize = (member) => ({
+    product_id: member.product_id,
+    variant_label: member.variant_label,
+    price: member.price,
+    original_price: member.original_price,
+    availability: member.availability,
+});
+
+// A group's members are kept as [member key, member] pairs in the order they were first seen, which
+// survives the JSON round trip of the persisted state (object keys that look like numbers would be reordered)
+const setMember = (group, key, member) => {
+    const entry = group.members.find(([memberKeyOf]) => memberKeyOf === key);
+    if (entry) entry[1] = member;
+    else group.members.push([key, member]);
+};
+
+const hasMember = (group, key) => group.members.some(([memberKeyOf]) => memberKeyOf === key);
+
+const membersOf = (group) => group.members.map(([, member]) => member).sort(bySize);
+
+/**
+ * Returns a grouper shared by the whole run. `assign(records, scope)` adds `group_id`, `variant_label`,
+ * `variant_count` and a `variants` summary (every pack size of the group seen so far in that scope, usually
+ * the location) to each record. `groups()` lists one entry per group and scope for the grouped output.
+ * `state` keeps the groups with their members and the name keys that lead to a payload group id.
+ */
+export const createVariantGrouper = (state = {}) => {
+    // name key -> payload group id, so name-only records join a group a payload already identified
+    state.aliases ??= {};
+    // `${scope}|${group_id}` -> { group_id, scope, brand, base_name, members: [[member key, member], ...] }
+    state.groups ??= {};
+    const { aliases, groups } = state;
+
+    const resolveGroupId = (record) => {
+        const key = nameKey(record);
+        if (record.group_id !== undefined && record.group_id !== null) {
+            const groupId = String(record.group_id);
+            if (key && !Object.hasOwn(aliases, key)) aliases[key] = groupId;
+            return groupId;
+        }
+        if (key && Object.hasOwn(aliases, key)) return aliases[key];
+        if (key) return `name:${key}`;
+        return `product:${memberKey(record)}`;
+    };
+
+    const addMember = (groupId, scope, record) => {
+        const groupKey = `${scope}|${groupId}`;
+        if (!Object.hasOwn(groups, groupKey)) {
+            groups[groupKey] = {
+                group_id: groupId,
+                scope,
+                brand: record.brand,
+                base_name: splitPackSize(record.product_name).base,
+                members: [],
+            };
+        }
+        const group = groups[groupKey];
+        if (!group.brand && record.brand) group.brand = record.brand;
+        setMember(group, memberKey(record), toMember(record));
+        return group;
+    };
+
+    const assign = (records, scope = '') => {
+        const assigned = records.map((record) => {
+            const { variant_options: options = [], ...rest } = record;
+            const groupId = resolveGroupId(rest);
+            const group = addMember(groupId, scope, rest);
+            // Pack sizes listed on the card belong to the same group even if the listing never shows them
+            for (const option of options) {
+                if (!hasMember(group, memberKey(option))) setMember(group, memberKey(option), toMember(option));
+            }
+            return { record: rest, group };
+        });
+
+        return assigned.map(({ record, group }) => {
+            const members = membersOf(group);
+            return {
+                ...record,
+                group_id: group.group_id,
+                variant_label: variantLabelOf(record),
+                variant_count: members.length,
+                variants: members.map(summarize),
+            };
+        });
+    };
+
+    const list = () => Object.values(groups).map((group) => {
+        const members = membersOf(group);
+        const prices = members.map((member) => member.price).filter((price) => Number.isFinite(price));
+        return {
+            group_id: group.group_id,
+            product_name: group.base_name,
+            brand: group.brand,
+            location_label: group.scope || undefined,
+            variant_count: members.length,
+            min_price: prices.length > 0 ? Math.min(...prices) : null,
+            max_price: prices.length > 0 ? Math.max(...prices) : null,
+            variants: members,
+        };
+    });
+
+    return { assign, groups: list };
+};
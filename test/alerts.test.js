@@ -0,0 +1,217 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+
+import { createAlertEngine, getAlertsDatasetName } from '../src/alerts.js';
+
+const WEBHOOK = 'https://hooks.example.com/blinkit';
+
+const taaza = {
+    product_id: '19512',
+    product_name: 'Amul Taaza Toned Fresh Milk',
+    brand: 'Amul',
+    price: 27,
+    original_price: 28,
+    availability: 'In Stock',
+    location_label: 'Koramangala',
+    search_query: 'milk',
+};
+const gold = { ...taaza, product_id: '19520', product_name: 'Amul Gold Full Cream Milk', price: 34 };
+const dahi = { ...taaza, product_id: '30001', product_name: 'Mother Dairy Dahi', brand: 'Mother Dairy', price: 25 };
+
+// Dataset stand-in that keeps what the engine pushes
+const createDataset = () => {
+    const items = [];
+    return { items, pushData: async (data) => { items.push(...[].concat(data)); } };
+};
+
+// Stubbed fetch answering with the given statuses in turn (an Error is thrown instead), recording the bodies
+const stubFetch = (...responses) => {
+    const bodies = [];
+    mock.method(globalThis, 'fetch', async (url, { body }) => {
+        bodies.push(JSON.parse(body));
+        const next = responses.length > 1 ? responses.shift() : responses[0];
+        if (next instanceof Error) throw next;
+        return { ok: next >= 200 && next < 300, status: next };
+    });
+    return bodies;
+};
+
+describe('createAlertEngine', () => {
+    let dataset;
+    beforeEach(() => {
+        dataset = createDataset();
+    });
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('rejects malformed rules', () => {
+        assert.throws(
+            () => createAlertEngine({ rules: [{ operator: '<', threshold: 1 }], dataset }),
+            /field is required/,
+        );
+        assert.throws(
+            () => createAlertEngine({ rules: [{ field: 'price', operator: '~', threshold: 1 }], dataset }),
+            /operator must be one of/,
+        );
+        assert.throws(
+            () => createAlertEngine({ rules: [{ field: 'price', operator: '<', threshold: 'cheap' }], dataset }),
+            /threshold must be a number/,
+        );
+    });
+
+    it('fires rules on matching records, scoped by brand, name and product id', async () => {
+        const engine = createAlertEngine({
+            rules: [
+                { name: 'Amul under 30', field: 'price', operator: '<', threshold: 30, brand: 'amul' },
+                { field: 'price', operator: '<=', threshold: '34', name_contains: ['gold'] },
+                {
+                    name: 'Dahi stock',
+                    field: 'availability',
+                    operator: 'contains',
+                    threshold: 'stock',
+                    product_id: 30001,
+                },
+            ],
+            dataset,
+        });
+        await engine.evaluate([taaza, gold, dahi]);
+
+        assert.deepEqual(dataset.items.map((alert) => [alert.rule_name, alert.product_id]), [
+            ['Amul under 30', '19512'],
+            ['price <= 34', '19520'],
+            ['Dahi stock', '30001'],
+        ]);
+        const [alert] = dataset.items;
+        assert.equal(alert.value, 27);
+        assert.equal(alert.webhook_status, 'not_configured');
+        assert.equal(await engine.flush(), 3);
+    });
+
+    it('compares strings case-insensitively and skips records without the field', async () => {
+        const engine = createAlertEngine({
+            rules: [
+                { field: 'availability', operator: '==', threshold: 'in stock' },
+                { field: 'discount_percentage', operator: '>', threshold: 5 },
+                { field: 'brand', operator: 'not_contains', threshold: 'amul' },
+            ],
+            dataset,
+        });
+        await engine.evaluate([taaza, dahi]);
+        assert.deepEqual(dataset.items.map((alert) => [alert.field, alert.product_id]), [
+            ['availability', '19512'],
+            ['availability', '30001'],
+            ['brand', '30001'],
+        ]);
+    });
+
+    it('fires a rule once per product and location', async () => {
+        const engine = createAlertEngine({ rules: [{ field: 'price', operator: '<', threshold: 30 }], dataset });
+        await engine.evaluate([taaza]);
+        await engine.evaluate([{ ...taaza, price: 26 }, { ...taaza, location_label: 'Andheri' }]);
+        assert.deepEqual(dataset.items.map((alert) => alert.location_label), ['Koramangala', 'Andheri']);
+    });
+
+    it('posts every alert right away without digest mode', async () => {
+        const bodies = stubFetch(200);
+        const engine = createAlertEngine({
+            rules: [{ field: 'price', operator: '<', threshold: 30 }],
+            webhookUrl: WEBHOOK,
+            dataset,
+        });
+        await engine.evaluate([taaza, dahi]);
+
+        assert.equal(bodies.length, 2);
+        assert.equal(bodies[0].type, 'alert');
+        assert.equal(bodies[0].product_id, '19512');
+        assert.equal(globalThis.fetch.mock.calls[0].arguments[0], WEBHOOK);
+        assert.ok(dataset.items.every((alert) => alert.webhook_status === 'delivered'));
+    });
+
+    it('sends a single digest of the run on flush', async () => {
+        const bodies = stubFetch(202);
+        const engine = createAlertEngine({
+            rules: [{ field: 'price', operator: '<', threshold: 30 }],
+            webhookUrl: WEBHOOK,
+            digest: true,
+            dataset,
+        });
+        await engine.evaluate([taaza]);
+        await engine.evaluate([dahi]);
+        assert.equal(bodies.length, 0);
+        assert.equal(dataset.items.length, 0);
+
+        assert.equal(await engine.flush(), 2);
+        assert.equal(bodies.length, 1);
+        assert.equal(bodies[0].type, 'digest');
+        assert.equal(bodies[0].count, 2);
+        assert.deepEqual(bodies[0].alerts.map((alert) => alert.product_id), ['19512', '30001']);
+        assert.equal(dataset.items.length, 2);
+    });
+
+    it('resumes from persisted state without firing again or losing the digest', async () => {
+        const bodies = stubFetch(200);
+        const rules = [{ field: 'price', operator: '<', threshold: 30 }];
+        const state = {};
+        const first = createAlertEngine({ rules, webhookUrl: WEBHOOK, digest: true, dataset, state });
+        await first.evaluate([taaza]);
+
+        // A restarted process gets the state back from the key-value store
+        const resumedState = JSON.parse(JSON.stringify(state));
+        const resumed = createAlertEngine({ rules, webhookUrl: WEBHOOK, digest: true, dataset, state: resumedState });
+        await resumed.evaluate([taaza, dahi]);
+
+        assert.equal(await resumed.flush(), 2);
+        assert.equal(bodies.length, 1);
+        assert.deepEqual(bodies[0].alerts.map((alert) => alert.product_id), ['19512', '30001']);
+        assert.deepEqual(resumedState.digest, []);
+
+        // The digest went out before a second restart, so it is not sent again
+        const again = createAlertEngine({ rules, webhookUrl: WEBHOOK, digest: true, dataset, state: resumedState });
+        await again.evaluate([taaza]);
+        assert.equal(await again.flush(), 2);
+        assert.equal(bodies.length, 1);
+    });
+
+    it('retries a failing webhook and records the delivery', async () => {
+        stubFetch(503, new Error('socket hang up'), 200);
+        const engine = createAlertEngine({
+            rules: [{ field: 'price', operator: '<', threshold: 30 }],
+            webhookUrl: WEBHOOK,
+            dataset,
+            retryDelayMs: 1,
+        });
+        await engine.evaluate([taaza]);
+
+        assert.equal(globalThis.fetch.mock.callCount(), 3);
+        assert.equal(dataset.items[0].webhook_status, 'delivered');
+    });
+
+    it('gives up after three attempts and keeps the last error', async () => {
+        stubFetch(500);
+        const engine = createAlertEngine({
+            rules: [{ field: 'price', operator: '<', threshold: 30 }],
+            webhookUrl: WEBHOOK,
+            dataset,
+            retryDelayMs: 1,
+        });
+        await engine.evaluate([taaza]);
+
+        assert.equal(globalThis.fetch.mock.callCount(), 3);
+        assert.equal(dataset.items[0].webhook_status, 'failed');
+        assert.equal(dataset.items[0].webhook_error, 'HTTP 500');
+    });
+});
+
+describe('getAlertsDatasetName', () => {
+    it('scopes the dataset to the run', () => {
+        const previous = process.env.ACTOR_RUN_ID;
+        process.env.ACTOR_RUN_ID = 'abc123';
+        try {
+            assert.equal(getAlertsDatasetName(), 'alerts-abc123');
+        } finally {
+            if (previous === undefined) delete process.env.ACTOR_RUN_ID;
+            else process.env.ACTOR_RUN_ID = previous;
+        }
+    });
+});
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { SessionError } from 'crawlee';
+
+import { BlockedError, detectBlock, getBackoffMs, matchBlockedResponse } from '../src/block-detection.js';
+
+describe('detectBlock', () => {
+    it('accepts a normal search page', () => {
+        const page = { status: 200, title: 'Buy Milk Online | Blinkit', text: 'Amul Taaza '.repeat(300) };
+        assert.equal(detectBlock(page), null);
+    });
+
+    it('reports blocked status codes, titles and challenge elements', () => {
+        assert.equal(detectBlock({ status: 429 }), 'status 429');
+        assert.equal(detectBlock({ status: 200, title: 'Access Denied' }), 'page title "Access Denied"');
+        assert.equal(
+            detectBlock({ status: 200, title: 'Blinkit', domMarkers: ['#px-captcha'] }),
+            'challenge element #px-captcha',
+        );
+    });
+
+    it('matches challenge titles, not search titles with the same words', () => {
+        for (const title of ['Attention Required! | Cloudflare', 'Just a moment...', 'Are you a robot?']) {
+            assert.equal(detectBlock({ status: 200, title }), `page title "${title}"`);
+        }
+        for (const title of ['Buy Robot Vacuum Cleaner Online | Blinkit', 'Blocked Drain Cleaner | Blinkit']) {
+            assert.equal(detectBlock({ status: 200, title }), null);
+        }
+    });
+
+    it('reads challenge text on short pages only', () => {
+        assert.match(detectBlock({ text: 'Please verify you are a human to continue.' }), /^page text/);
+        assert.equal(detectBlock({ text: `Are you a robot? ${'product '.repeat(400)}` }), null);
+    });
+
+    it('reports block signals from network traffic', () => {
+        const hit = matchBlockedResponse({
+            url: 'https://blinkit.com/v1/layout/search?q=milk',
+            status: 403,
+            resourceType: 'fetch',
+        });
+        assert.equal(hit, 'status 403 for https://blinkit.com/v1/layout/search?q=milk');
+        assert.equal(detectBlock({ status: 200, networkHits: [hit] }), hit);
+    });
+});
+
+describe('matchBlockedResponse', () => {
+    it('flags challenge requests from any host', () => {
+        assert.match(
+            matchBlockedResponse({ url: 'https://challenges.cloudflare.com/turnstile/v0/api.js', status: 200 }),
+            /^challenge request/,
+        );
+    });
+
+    it('flags captcha endpoints on the site itself', () => {
+        const check = { url: 'https://blinkit.com/captcha/verify?r=1', status: 200, resourceType: 'document' };
+        assert.match(matchBlockedResponse(check), /^challenge request/);
+    });
+
+    it('ignores captcha scripts and beacons of other hosts', () => {
+        const recaptcha = { url: 'https://www.google.com/recaptcha/api.js', status: 200, resourceType: 'script' };
+        const beacon = { url: 'https://analytics.example.com/collect?event=captcha', status: 200, resourceType: 'xhr' };
+        const siteScript = { url: 'https://blinkit.com/static/captcha-widget.js', status: 200, resourceType: 'script' };
+        assert.equal(matchBlockedResponse(recaptcha), null);
+        assert.equal(matchBlockedResponse(beacon), null);
+        assert.equal(matchBlockedResponse(siteScript), null);
+    });
+
+    it('ignores images and other sites', () => {
+        const blinkitImage = { url: 'https://cdn.blinkit.com/a.png', status: 403, resourceType: 'image' };
+        const tracker = { url: 'https://tracker.example.com/collect', status: 403, resourceType: 'xhr' };
+        assert.equal(matchBlockedResponse(blinkitImage), null);
+        assert.equal(matchBlockedResponse(tracker), null);
+    });
+});
+
+describe('getBackoffMs', () => {
+    it('doubles per retry up to the cap, with jitter on top', () => {
+        assert.equal(getBackoffMs(0, { random: () => 0 }), 5000);
+        assert.equal(getBackoffMs(2, { random: () => 0 }), 20_000);
+        assert.equal(getBackoffMs(10, { random: () => 0 }), 60_000);
+        assert.equal(getBackoffMs(1, { random: () => 1 }), 15_000);
+    });
+});
+
+describe('BlockedError', () => {
+    it('is a session error that keeps the reason', () => {
+        const error = new BlockedError('status 403');
+        assert.ok(error instanceof SessionError);
+        assert.equal(error.reason, 'status 403');
+        assert.match(error.message, /Blocked by Blinkit: status 403/);
+    });
+});
@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { trackQueries } from '../src/crawl-state.js';
+import { extractProductsFromPayloads, extractProductsFromSnippets, makeProductKey } from '../src/extraction.js';
+
+const loadFixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+const QUERY = 'https://blinkit.com/s/?q=milk';
+
+// One page of the paged JSON endpoint, products `from` to `to` (1-based)
+const jsonPage = (from, to) => ({
+    response: {
+        products: Array.from({ length: to - from + 1 }, (_, i) => ({
+            product_id: 900 + from + i,
+            name: `Milk ${from + i}`,
+            price: 30 + from + i,
+        })),
+    },
+});
+
+describe('trackQueries', () => {
+    it('creates the progress of a target on first use', () => {
+        const state = { queries: {} };
+        const { query } = trackQueries(state);
+        assert.deepEqual(query(QUERY), {
+            scraped: 0,
+            filtered: 0,
+            exhausted: false,
+            pagination: null,
+            seenProductKeys: [],
+        });
+        assert.equal(state.queries[QUERY], query(QUERY));
+    });
+
+    it('claims every key once per target', () => {
+        const { claim } = trackQueries({ queries: {} });
+        assert.equal(claim(QUERY, 'a'), true);
+        assert.equal(claim(QUERY, 'a'), false);
+        assert.equal(claim(`${QUERY}#Andheri`, 'a'), true);
+    });
+
+    it('ranks the products of later pages after those of earlier ones', () => {
+        const { claimListing } = trackQueries({ queries: {} });
+        const page1 = extractProductsFromPayloads([jsonPage(1, 4)]);
+        const page2 = extractProductsFromPayloads([jsonPage(5, 8)]);
+        assert.deepEqual(page2.map((product) => product.search_rank), [1, 2, 3, 4]);
+
+        const first = claimListing(QUERY, page1, makeProductKey);
+        first.commit();
+        const second = claimListing(QUERY, page2, makeProductKey);
+        assert.deepEqual(first.claimed.map((product) => product.search_rank), [1, 2, 3, 4]);
+        assert.deepEqual(second.claimed.map((product) => product.search_rank), [5, 6, 7, 8]);
+        assert.deepEqual(
+            second.claimed.map((product) => product.product_name),
+            ['Milk 5', 'Milk 6', 'Milk 7', 'Milk 8'],
+        );
+    });
+
+    it('continues the Redux listing ranks on the JSON pages and skips repeats', () => {
+        const { claimListing } = trackQueries({ queries: {} });
+        const redux = extractProductsFromSnippets(loadFixture('redux-search.json'));
+        const first = claimListing(QUERY, redux, makeProductKey);
+        first.commit();
+        const reduxCount = first.claimed.length;
+        assert.ok(reduxCount > 0);
+
+        // A re-read of the page repeats its products before the next page starts
+        const next = claimListing(QUERY, [...redux, ...extractProductsFromPayloads([jsonPage(1, 3)])], makeProductKey);
+        assert.equal(next.duplicates, redux.length);
+        assert.deepEqual(next.claimed.map((product) => product.search_rank), [1, 2, 3].map((n) => reduxCount + n));
+    });
+
+    it('skips products without a key and resumes ranks from persisted state', () => {
+        const state = { queries: {} };
+        trackQueries(state).claimListing(QUERY, extractProductsFromPayloads([jsonPage(1, 4)]), makeProductKey).commit();
+
+        // A restarted process builds its tracker on the saved state
+        const resumed = trackQueries(JSON.parse(JSON.stringify(state)));
+        const page2 = extractProductsFromPayloads([jsonPage(5, 6)]);
+        const { claimed, duplicates } = resumed.claimListing(QUERY, [{ product_name: 'No key' }, ...page2], (p) => (
+            p.product_id ? makeProductKey(p) : null
+        ));
+        assert.equal(duplicates, 0);
+        assert.deepEqual(claimed.map((product) => product.search_rank), [5, 6]);
+    });
+
+    it('records the keys of a listing only once it is committed', () => {
+        const state = { queries: {} };
+        const { claimListing } = trackQueries(state);
+        const page1 = extractProductsFromPayloads([jsonPage(1, 4)]);
+        const first = claimListing(QUERY, [...page1, ...page1], makeProductKey);
+        assert.equal(first.duplicates, 4);
+        assert.deepEqual(state.queries[QUERY].seenProductKeys, []);
+
+        // A process that stopped before saving the page finds it again after the restart
+        const resumed = trackQueries(JSON.parse(JSON.stringify(state)));
+        const again = resumed.claimListing(QUERY, page1, makeProductKey);
+        assert.deepEqual(again.claimed.map((product) => product.search_rank), [1, 2, 3, 4]);
+        again.commit();
+        assert.equal(resumed.claimListing(QUERY, page1, makeProductKey).duplicates, 4);
+    });
+});
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import initSqlJs from 'sql.js';
+
+import { buildTable, toCsv, toSqlite } from '../src/exports.js';
+
+const items = [
+    { product_name: 'Amul Taaza, 500 ml', price: 28, in_stock: true, scrapedAt: '2026-01-01', variants: [{ id: 1 }] },
+    { product_name: 'Tata "Lite" Salt', price: 27.5, brand: 'Tata', in_stock: false },
+];
+
+describe('buildTable', () => {
+    it('orders view fields first and appends other fields', () => {
+        const table = buildTable(items, { viewFields: ['brand', 'product_name', 'price', 'rating'] });
+        assert.deepEqual(table.fields, ['brand', 'product_name', 'price', 'in_stock', 'scrapedAt', 'variants']);
+        assert.deepEqual(table.rows[0], [null, 'Amul Taaza, 500 ml', 28, true, '2026-01-01', '[{"id":1}]']);
+    });
+
+    it('selects and renames columns', () => {
+        const table = buildTable(items, {
+            columns: ['product_name', 'price'],
+            columnNames: { product_name: 'Product', price: 'Price (INR)' },
+        });
+        assert.deepEqual(table.headers, ['Product', 'Price (INR)']);
+        assert.deepEqual(table.rows[1], ['Tata "Lite" Salt', 27.5]);
+    });
+
+    it('rejects two columns with the same name', () => {
+        assert.throws(
+            () => buildTable(items, { columns: ['product_name', 'brand'], columnNames: { brand: 'product_name' } }),
+            /same name/,
+        );
+    });
+
+    it('keeps the view header row for an empty dataset', () => {
+        assert.deepEqual(buildTable([], { viewFields: ['product_name', 'price'] }).headers, ['product_name', 'price']);
+    });
+});
+
+describe('file writers', () => {
+    const table = buildTable(items, { columns: ['product_name', 'price', 'in_stock'] });
+
+    it('quotes CSV cells that need it', () => {
+        assert.equal(
+            toCsv(table),
+            '\uFEFFproduct_name,price,in_stock\r\n"Amul Taaza, 500 ml",28,true\r\n"Tata ""Lite"" Salt",27.5,false\r\n',
+        );
+    });
+
+    it('writes a readable SQLite table', async () => {
+        const SQL = await initSqlJs();
+        const db = new SQL.Database(await toSqlite(table));
+        const [result] = db.exec('SELECT product_name, price, in_stock FROM prices ORDER BY price');
+        db.close();
+        assert.deepEqual(result.values, [['Tata "Lite" Salt', 27.5, 0], ['Amul Taaza, 500 ml', 28, 1]]);
+    });
+});
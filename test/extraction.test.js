@@ -0,0 +1,279 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import {
+    compactObject,
+    extractProductsFromPayloads,
+    extractProductsFromSnippets,
+    findProductArrays,
+    makeProductKey,
+    normalizeProduct,
+    parseEtaMinutes,
+    pickFirst,
+    toNumber,
+} from '../src/extraction.js';
+
+const loadFixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+const byName = (products, name) => products.find((p) => p.product_name === name);
+
+describe('helpers', () => {
+    it('pickFirst returns the first set alias', () => {
+        assert.equal(pickFirst({ title: 'b', name: null, product_name: 'a' }, ['name', 'product_name', 'title']), 'a');
+        assert.equal(pickFirst({ name: 0 }, ['name']), 0);
+        assert.equal(pickFirst(null, ['name']), null);
+    });
+
+    it('toNumber parses rupee strings', () => {
+        assert.equal(toNumber('₹1,299'), 1299);
+        assert.equal(toNumber('51.5'), 51.5);
+        assert.equal(toNumber(42), 42);
+        assert.equal(toNumber('free'), null);
+        assert.equal(toNumber(''), null);
+    });
+
+    it('compactObject drops empty values and keeps falsy scalars', () => {
+        assert.deepEqual(
+            compactObject({ a: null, b: undefined, c: '  ', d: [], e: {}, f: Number.NaN, g: 0, h: false, i: 'x' }),
+            { g: 0, h: false, i: 'x' },
+        );
+    });
+
+    it('makeProductKey combines name, price, MRP, image and URL', () => {
+        assert.equal(
+            makeProductKey({ product_name: 'Milk', price: 28, original_price: 29, product_url: 'https://b.co/x' }),
+            'Milk|28|29||https://b.co/x',
+        );
+        assert.equal(makeProductKey(null), null);
+    });
+});
+
+describe('normalizeProduct', () => {
+    it('prefers a nested product object and builds the product URL from a path', () => {
+        const product = normalizeProduct({
+            widget_type: 'product_card',
+            product: {
+                id: '448512',
+                display_name: 'Britannia Brown Bread',
+                selling_price: { selling_price: 50 },
+                mrp: { mrp: 55 },
+                availability: 'in stock',
+                product_url: '/prn/britannia-brown-bread/prid/448512',
+            },
+        });
+        assert.equal(product.product_name, 'Britannia Brown Bread');
+        assert.equal(product.price, 50);
+        assert.equal(product.original_price, 55);
+        assert.equal(product.availability, 'In Stock');
+        assert.equal(product.product_url, 'https://blinkit.com/prn/britannia-brown-bread/prid/448512');
+    });
+
+    it('records the alias that supplied each field with fieldSources', () => {
+        const product = normalizeProduct(
+            { product: { display_name: 'Tata Salt', sp: 28 }, brand_name: 'Tata', images: ['https://cdn/x.jpg'] },
+            { fieldSources: true },
+        );
+        assert.deepEqual(product.field_sources, {
+            product_name: 'product.display_name',
+            price: 'product.sp',
+            product_image: 'images',
+            brand: 'brand_name',
+        });
+    });
+
+    it('builds the URL from the name when there is only an id and skips numeric category ids', () => {
+        const product = normalizeProduct({ product_id: 7, name: 'Tata Salt (1 kg)', price: 28, l0_category: '1487' });
+        assert.equal(product.product_url, 'https://blinkit.com/prn/tata-salt-1-kg/prid/7');
+        assert.equal(product.availability, 'Unknown');
+        assert.equal(product.category_name, undefined);
+    });
+});
+
+describe('stock and delivery model', () => {
+    const stockOf = (fields) => {
+        const product = normalizeProduct({ name: 'x', price: 1, ...fields });
+        const { availability, in_stock: inStock, stock_status: status } = product;
+        return { availability, inStock, status };
+    };
+
+    it('matches stock text as whole phrases', () => {
+        assert.deepEqual(stockOf({ availability: 'in stock' }), {
+            availability: 'In Stock',
+            inStock: true,
+            status: 'available',
+        });
+        assert.deepEqual(stockOf({ availability: 'Sold Out' }), {
+            availability: 'Out of Stock',
+            inStock: false,
+            status: 'sold_out',
+        });
+        assert.equal(stockOf({ availability: 'Coming soon in 2 days' }).status, 'unknown');
+        assert.equal(stockOf({ availability: 'Not available at your location' }).status, 'unavailable_at_location');
+        assert.equal(stockOf({ is_unserviceable: true }).status, 'unavailable_at_location');
+    });
+
+    it('treats missing inventory as unknown and low inventory as limited', () => {
+        assert.deepEqual(stockOf({}), { availability: 'Unknown', inStock: undefined, status: 'unknown' });
+        assert.equal(stockOf({ is_sold_out: false }).status, 'available');
+        assert.equal(stockOf({ inventory: 0 }).status, 'sold_out');
+        assert.equal(stockOf({ inventory: 3 }).status, 'limited');
+        assert.equal(stockOf({ inventory: 3 }).inStock, true);
+        assert.equal(stockOf({ inventory: 40 }).status, 'available');
+    });
+
+    it('reads the maximum orderable quantity', () => {
+        assert.equal(normalizeProduct({ name: 'x', price: 1, max_allowed_quantity: 4 }).max_orderable_qty, 4);
+    });
+
+    it('parses delivery ETA text into minutes', () => {
+        assert.equal(parseEtaMinutes('8 MINS'), 8);
+        assert.equal(parseEtaMinutes('1 hr 15 min'), 75);
+        assert.equal(parseEtaMinutes('2 hours'), 120);
+        assert.equal(parseEtaMinutes('Tomorrow'), null);
+        assert.equal(parseEtaMinutes(null), null);
+    });
+});
+
+describe('extractProductsFromSnippets', () => {
+    const listing = loadFixture('redux-search.json');
+
+    it('maps product card snippets and skips banners and nameless cards', () => {
+        const products = extractProductsFromSnippets(listing);
+        assert.equal(products.length, 2);
+
+        const milk = byName(products, 'Amul Taaza Toned Fresh Milk');
+        assert.equal(milk.product_id, 19512);
+        assert.equal(milk.price, 28);
+        assert.equal(milk.original_price, 29);
+        assert.equal(milk.discount_percentage, '3% OFF');
+        assert.equal(milk.availability, 'In Stock');
+        assert.equal(milk.delivery_time, '8 MINS');
+        assert.equal(milk.delivery_eta_minutes, 8);
+        assert.equal(milk.stock_status, 'available');
+        assert.equal(milk.unit, '500 ml');
+        assert.equal(milk.category_name, 'Dairy, Bread & Eggs');
+        assert.equal(milk.subcategory_name, 'Milk');
+        assert.equal(milk.product_url, 'https://blinkit.com/prn/amul-taaza-toned-fresh-milk/prid/19512');
+    });
+
+    it('marks sold out cards as out of stock', () => {
+        const buffalo = byName(extractProductsFromSnippets(listing), 'Country Delight Buffalo Fresh Milk');
+        assert.equal(buffalo.availability, 'Out of Stock');
+        assert.equal(buffalo.in_stock, false);
+        assert.equal(buffalo.stock_status, 'sold_out');
+        assert.equal(buffalo.inventory, 0);
+    });
+
+    it('does not treat a card without inventory as sold out', () => {
+        const [card] = extractProductsFromSnippets({
+            snippets: [{
+                widget_type: 'product_card_snippet_type_2',
+                data: {
+                    name: { text: 'Tata Salt' },
+                    is_sold_out: false,
+                    atc_action: { add_to_cart: { cart_item: { product_id: 1, price: 28, max_allowed_quantity: 3 } } },
+                },
+            }],
+        });
+        assert.equal(card.availability, 'In Stock');
+        assert.equal(card.stock_status, 'available');
+        assert.equal(card.max_orderable_qty, 3);
+    });
+
+    it('accepts any product card type on category listings only', () => {
+        const categoryListing = {
+            snippets: listing.snippets.map((s) => ({
+                ...s,
+                widget_type: s.widget_type.replace('product_card_snippet_type_2', 'product_card_snippet_type_9'),
+            })),
+        };
+        assert.equal(extractProductsFromSnippets(categoryListing).length, 0);
+        assert.equal(extractProductsFromSnippets(categoryListing, { targetType: 'category' }).length, 2);
+    });
+
+    it('records rank, page section and ad placements in page order', () => {
+        const products = extractProductsFromSnippets(loadFixture('redux-sponsored.json'));
+        const placements = products.map((p) => [p.product_id, p.search_rank, p.page_section, p.is_sponsored]);
+        assert.deepEqual(placements, [
+            [2001, 1, 'results', true],
+            [19512, 2, 'results', false],
+            [4410, 4, 'Showing related products', false],
+            [2001, 5, 'Showing related products', false],
+        ]);
+        assert.equal(products[0].ad_label, 'Ad');
+        assert.equal(products[1].ad_label, undefined);
+    });
+
+    it('names the card path of every field with fieldSources', () => {
+        const milk = byName(extractProductsFromSnippets(listing, { fieldSources: true }), 'Amul Taaza Toned Fresh Milk');
+        assert.equal(milk.field_sources.price, 'tracking.impression_map.price');
+        assert.equal(milk.field_sources.original_price, 'data.atc_action.add_to_cart.cart_item.mrp');
+        assert.equal(milk.field_sources.product_name, 'data.name');
+        assert.equal(milk.field_sources.delivery_time, 'data.eta_tag.text');
+        assert.equal(extractProductsFromSnippets(listing)[0].field_sources, undefined);
+    });
+
+    it('returns an empty list for a slice without snippets', () => {
+        assert.deepEqual(extractProductsFromSnippets(undefined), []);
+        assert.deepEqual(extractProductsFromSnippets({ snippets: null }), []);
+    });
+});
+
+describe('extractProductsFromPayloads', () => {
+    it('reads products from __NEXT_DATA__, ignoring category tiles and duplicates', () => {
+        const products = extractProductsFromPayloads([loadFixture('next-data.json')]);
+        assert.deepEqual(products.map((p) => p.product_name).sort(), [
+            'Aashirvaad Shudh Chakki Atta',
+            'Fortune Chakki Fresh Atta',
+        ]);
+
+        const atta = byName(products, 'Aashirvaad Shudh Chakki Atta');
+        assert.equal(atta.price, 245);
+        assert.equal(atta.brand, 'Aashirvaad');
+        assert.equal(atta.discount_percentage, '16% OFF');
+        assert.equal(atta.product_url, 'https://blinkit.com/prn/aashirvaad-shudh-chakki-atta/prid/100201');
+        assert.equal(byName(products, 'Fortune Chakki Fresh Atta').availability, 'Out of Stock');
+    });
+
+    it('reads widgets and entity maps from API responses and drops ad widgets', () => {
+        const products = extractProductsFromPayloads([loadFixture('network-search.json'), null, 'not json']);
+        assert.equal(products.length, 2);
+        assert.equal(byName(products, 'Sponsored: Mother Dairy'), undefined);
+
+        const bread = byName(products, 'Britannia Brown Bread');
+        assert.equal(bread.product_id, '448512');
+        assert.equal(bread.price, 50);
+        assert.equal(bread.original_price, 55);
+        assert.equal(bread.rating, 4.3);
+        assert.equal(bread.ratings_count, 1204);
+        assert.equal(bread.product_image, 'https://cdn.grofers.com/cms-assets/cms/product/brown-bread.png');
+
+        const white = byName(products, 'Harvest Gold White Bread');
+        assert.equal(white.price, 40);
+        assert.equal(white.availability, 'Out of Stock');
+    });
+
+    it('ranks products in discovery order', () => {
+        const products = extractProductsFromPayloads([loadFixture('next-data.json')]);
+        assert.deepEqual(products.map((p) => p.search_rank), [1, 2]);
+        assert.ok(products.every((p) => p.is_sponsored === false));
+    });
+
+    it('returns nothing for payloads without products', () => {
+        assert.deepEqual(extractProductsFromPayloads([{ props: { pageProps: {} } }]), []);
+        assert.deepEqual(extractProductsFromPayloads(), []);
+    });
+});
+
+describe('findProductArrays', () => {
+    it('picks the product list over other arrays', () => {
+        const items = findProductArrays(loadFixture('next-data.json'));
+        assert.equal(items.length, 3);
+        assert.equal(items[0].product_id, 100201);
+    });
+
+    it('returns null when nothing looks like a product', () => {
+        assert.equal(findProductArrays({ categories: [{ name: 'Munchies' }, { name: 'Cold Drinks' }] }), null);
+    });
+});
@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createFieldCoverage, findCoverageDrops } from '../src/field-coverage.js';
+
+const record = (fields, fieldSources = {}) => ({ ...fields, field_sources: fieldSources });
+
+describe('createFieldCoverage', () => {
+    it('counts coverage per field and the alias that supplied it', () => {
+        const coverage = createFieldCoverage();
+        const records = coverage.add([
+            record({ product_name: 'A', price: 10, brand: 'Amul', stock_status: 'available' }, { price: 'sp' }),
+            record({ product_name: 'B', price: 12, stock_status: 'unknown' }, { price: 'selling_price' }),
+            record({ product_name: 'C', price: 9, stock_status: 'unknown' }, { price: 'sp' }),
+            record({ product_name: 'D', price: 7, brand: 'Tata', stock_status: 'unknown' }, { price: 'sp' }),
+        ]);
+        assert.equal(records[0].field_sources, undefined);
+
+        const report = coverage.build();
+        assert.equal(report.records, 4);
+        assert.deepEqual(report.fields.price, { coverage_pct: 100, count: 4, aliases: { sp: 3, selling_price: 1 } });
+        assert.equal(report.fields.brand.coverage_pct, 50);
+        assert.deepEqual(report.fields.product_name.aliases, { derived: 4 });
+        // The stock placeholder does not count as coverage
+        assert.equal(report.fields.stock_status.coverage_pct, 25);
+    });
+
+    it('continues from persisted counts', () => {
+        const counts = {};
+        createFieldCoverage(counts).add([record({ product_name: 'A', brand: 'Amul' })]);
+        createFieldCoverage(counts).add([record({ product_name: 'B' })]);
+        assert.equal(createFieldCoverage(counts).build().fields.brand.coverage_pct, 50);
+    });
+});
+
+describe('findCoverageDrops', () => {
+    const report = {
+        records: 10,
+        fields: { product_name: { coverage_pct: 100 }, price: { coverage_pct: 95 }, brand: { coverage_pct: 30 } },
+    };
+
+    it('reports fields that fell further below the baseline than allowed', () => {
+        const drops = findCoverageDrops(report, { price: 100, brand: 80, inventory: 50 }, { maxDropPct: 20 });
+        assert.deepEqual(drops, [
+            { field: 'brand', coverage_pct: 30, baseline_pct: 80, drop_pct: 50 },
+            { field: 'inventory', coverage_pct: 0, baseline_pct: 50, drop_pct: 50 },
+        ]);
+    });
+
+    it('has nothing to compare without records', () => {
+        assert.deepEqual(findCoverageDrops({ records: 0, fields: {} }, { price: 100 }), []);
+    });
+});
@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { extractProductsFromPayloads, extractProductsFromSnippets, normalizeProduct } from '../src/extraction.js';
+import { coerceValue, createFieldMappings, parsePath, readPath } from '../src/field-mappings.js';
+
+const loadFixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+describe('paths', () => {
+    it('parses keys and array indexes', () => {
+        assert.deepEqual(parsePath('data.tags[0].text'), ['data', 'tags', 0, 'text']);
+        assert.deepEqual(parsePath('offer_tag'), ['offer_tag']);
+        assert.equal(parsePath('data..tags'), null);
+        assert.equal(parsePath('data.tags[x]'), null);
+        assert.equal(parsePath(''), null);
+    });
+
+    it('reads values and stops at missing steps', () => {
+        const snippet = { data: { tags: [{ text: 'Bestseller' }] } };
+        assert.equal(readPath(snippet, parsePath('data.tags[0].text')), 'Bestseller');
+        assert.equal(readPath(snippet, parsePath('data.tags[3].text')), undefined);
+        assert.equal(readPath(snippet, parsePath('data[0]')), undefined);
+    });
+});
+
+describe('coerceValue', () => {
+    it('converts to the requested type', () => {
+        assert.equal(coerceValue('₹1,299', 'number'), 1299);
+        assert.equal(coerceValue({ text: '2 for ₹50' }, 'string'), '2 for ₹50');
+        assert.equal(coerceValue(12, 'string'), '12');
+        assert.equal(coerceValue('Yes', 'boolean'), true);
+        assert.equal(coerceValue(0, 'boolean'), false);
+        assert.deepEqual(coerceValue({ id: 1 }), { id: 1 });
+        assert.deepEqual(coerceValue([1, 2]), [1, 2]);
+    });
+
+    it('gives up on values of another kind', () => {
+        assert.equal(coerceValue('free', 'number'), undefined);
+        assert.equal(coerceValue(true, 'number'), undefined);
+        assert.equal(coerceValue('maybe', 'boolean'), undefined);
+        assert.equal(coerceValue(['a'], 'string'), undefined);
+    });
+});
+
+describe('createFieldMappings', () => {
+    it('puts extra aliases before the built-in ones', () => {
+        const { keys, errors } = createFieldMappings({ aliases: { price: 'sellingPriceV2', brandName: ['label'] } });
+        assert.deepEqual(errors, ['aliases.brandName: unknown field']);
+        assert.equal(keys.price[0], 'sellingPriceV2');
+        assert.ok(keys.price.includes('selling_price'));
+    });
+
+    it('reports invalid entries and keeps the valid ones', () => {
+        const mappings = createFieldMappings({
+            fields: {
+                promo_tag: 'data.tags[0].text',
+                price: 'data.price',
+                broken: 'data..x',
+                weird: { path: 'data.x', type: 'date' },
+            },
+            extra: true,
+        });
+        assert.deepEqual(mappings.fields.map(({ name }) => name), ['promo_tag']);
+        assert.equal(mappings.errors.length, 4);
+        assert.throws(() => createFieldMappings(['price']), /field_mappings must be an object/);
+    });
+
+    it('applies aliases and custom fields in normalizeProduct', () => {
+        const mappings = createFieldMappings({
+            aliases: { price: 'sellingPriceV2' },
+            fields: {
+                pack_count: { path: 'meta.pack.count', type: 'number' },
+                veg: { path: 'meta.veg', type: 'boolean' },
+            },
+        });
+        const product = normalizeProduct(
+            { name: 'Amul Kool', sellingPriceV2: '₹25', meta: { pack: { count: '6' }, veg: 'maybe' } },
+            { mappings, fieldSources: true },
+        );
+        assert.equal(product.price, 25);
+        assert.equal(product.pack_count, 6);
+        assert.equal(product.veg, undefined);
+        assert.equal(product.field_sources.price, 'sellingPriceV2');
+        assert.equal(product.field_sources.pack_count, 'meta.pack.count');
+        assert.equal(product.field_sources.veg, 'invalid:meta.veg');
+        mappings.count([product]);
+        assert.deepEqual(mappings.report().map(({ name, read, found, invalid }) => [name, read, found, invalid]), [
+            ['pack_count', 1, 1, 0],
+            ['veg', 1, 1, 1],
+        ]);
+    });
+
+    it('counts the saved records, not every extraction pass', () => {
+        const mappings = createFieldMappings({ fields: { promo: 'meta.promo' } });
+        const payload = {
+            items: [{ name: 'Tata Salt', price: 28, meta: { promo: 'Deal' } }, { name: 'Amul Butter', price: 58 }],
+        };
+        // A scrolled page re-reads every intercepted response
+        extractProductsFromPayloads([payload], { mappings, fieldSources: true });
+        const products = extractProductsFromPayloads([payload], { mappings, fieldSources: true });
+        assert.equal(mappings.report()[0].read, 0);
+        mappings.count(products);
+        assert.deepEqual(mappings.report().map(({ read, found, invalid }) => [read, found, invalid]), [[2, 1, 0]]);
+    });
+
+    it('finds payload products whose price key was renamed', () => {
+        const payload = {
+            items: [{ name: 'Tata Salt', sellingPriceV2: 28 }, { name: 'Amul Butter', sellingPriceV2: 58 }],
+        };
+        assert.equal(extractProductsFromPayloads([payload]).length, 0);
+        const mappings = createFieldMappings({ aliases: { price: 'sellingPriceV2' } });
+        assert.deepEqual(extractProductsFromPayloads([payload], { mappings }).map((p) => p.price), [28, 58]);
+    });
+
+    it('reads custom paths from the Redux snippet', () => {
+        const mappings = createFieldMappings({
+            fields: {
+                widget: 'widget_type',
+                impression_price: { path: 'tracking.impression_map.price', type: 'string' },
+            },
+        });
+        const [product] = extractProductsFromSnippets(loadFixture('redux-search.json'), { mappings });
+        assert.equal(product.widget, 'product_card_snippet_type_2');
+        assert.equal(typeof product.impression_price, 'string');
+    });
+});
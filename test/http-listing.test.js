@@ -0,0 +1,136 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    firstPageUrl,
+    nextPageUrl,
+    toCookieHeader,
+    toReplayHeaders,
+    walkListingPages,
+} from '../src/http-listing.js';
+
+const API = 'https://blinkit.com/v1/layout/search';
+
+describe('nextPageUrl', () => {
+    it('steps page by one and offsets by the page size', () => {
+        assert.equal(nextPageUrl(`${API}?q=milk&page=2`), `${API}?q=milk&page=3`);
+        assert.equal(nextPageUrl(`${API}?q=milk&offset=48&limit=24`), `${API}?q=milk&offset=72&limit=24`);
+        assert.equal(nextPageUrl(`${API}?q=milk&start=0`), `${API}?q=milk&start=24`);
+    });
+
+    it('gives up without a pagination param', () => {
+        assert.equal(nextPageUrl(`${API}?q=milk`), null);
+    });
+});
+
+describe('firstPageUrl', () => {
+    it('swaps in the query and starts pagination over', () => {
+        assert.equal(firstPageUrl(`${API}?q=milk&page=3&size=24`, 'paneer'), `${API}?q=paneer&page=1&size=24`);
+        assert.equal(firstPageUrl(`${API}?q=milk&page=0`, 'dahi'), `${API}?q=dahi&page=0`);
+        assert.equal(firstPageUrl(`${API}?query=milk&offset=72`, 'ghee'), `${API}?query=ghee&offset=0`);
+    });
+
+    it('rejects endpoints without a search text param', () => {
+        assert.equal(firstPageUrl('https://blinkit.com/v1/layout/listing/14?page=2', 'milk'), null);
+    });
+});
+
+describe('request replay helpers', () => {
+    it('drops headers the HTTP client sets per request', () => {
+        assert.deepEqual(
+            toReplayHeaders({
+                ':authority': 'blinkit.com',
+                accept: 'application/json',
+                app_client: 'consumer_web',
+                Cookie: 'a=1',
+                'content-length': '0',
+                lat: '28.61',
+            }),
+            { accept: 'application/json', app_client: 'consumer_web', lat: '28.61' },
+        );
+    });
+
+    it('joins browser cookies into a header', () => {
+        assert.equal(
+            toCookieHeader([{ name: 'gr_1_lat', value: '28.6' }, { name: 'gr_1_lon', value: '77.2' }]),
+            'gr_1_lat=28.6; gr_1_lon=77.2',
+        );
+    });
+});
+
+describe('walkListingPages', () => {
+    const PAGE = 4;
+    // A listing of `total` products served PAGE at a time; `failAt` makes that page's request fail
+    const makeListing = ({ total, failAt = null }) => {
+        const fetched = [];
+        const fetchPage = async (url) => {
+            const page = Number(new URL(url).searchParams.get('page'));
+            fetched.push(page);
+            if (page === failAt) return null;
+            const start = (page - 1) * PAGE;
+            return Array.from({ length: Math.max(0, Math.min(PAGE, total - start)) }, (_, i) => ({ id: start + i }));
+        };
+        return { fetched, fetchPage };
+    };
+    const pushAll = async (products) => ({ done: false, added: products.length });
+
+    it('ends on an empty page', async () => {
+        const { fetched, fetchPage } = makeListing({ total: 8 });
+        const result = await walkListingPages(`${API}?q=milk&page=2`, { fetchPage, push: pushAll, maxPages: 10 });
+        assert.deepEqual(result, { done: false, ended: true, failed: false });
+        assert.deepEqual(fetched, [2, 3]);
+    });
+
+    it('ends on a page shorter than a full one', async () => {
+        const { fetched, fetchPage } = makeListing({ total: 10 });
+        const result = await walkListingPages(`${API}?q=milk&page=2`, {
+            fetchPage,
+            push: pushAll,
+            maxPages: 10,
+            pageSize: PAGE,
+        });
+        assert.equal(result.ended, true);
+        assert.deepEqual(fetched, [2, 3]);
+    });
+
+    it('does not end a listing cut off by a failed page', async () => {
+        const { fetched, fetchPage } = makeListing({ total: 40, failAt: 4 });
+        const result = await walkListingPages(`${API}?q=milk&page=2`, { fetchPage, push: pushAll, maxPages: 10 });
+        assert.deepEqual(result, { done: false, ended: false, failed: true });
+        assert.deepEqual(fetched, [2, 3, 4]);
+    });
+
+    it('does not end a listing cut off by the page cap', async () => {
+        const { fetched, fetchPage } = makeListing({ total: 400 });
+        const result = await walkListingPages(`${API}?q=milk&page=1`, { fetchPage, push: pushAll, maxPages: 3 });
+        assert.deepEqual(result, { done: false, ended: false, failed: false });
+        assert.deepEqual(fetched, [1, 2, 3]);
+    });
+
+    it('stops without ending on a page of repeats or a URL it cannot step', async () => {
+        const { fetchPage } = makeListing({ total: 40 });
+        const repeats = await walkListingPages(`${API}?q=milk&page=1`, {
+            fetchPage,
+            push: async () => ({ done: false, added: 0 }),
+            maxPages: 10,
+        });
+        assert.equal(repeats.ended, false);
+        const unsteppable = await walkListingPages(`${API}?q=milk`, {
+            fetchPage: async () => [{ id: 1 }],
+            push: pushAll,
+            maxPages: 10,
+        });
+        assert.equal(unsteppable.ended, false);
+    });
+
+    it('stops once push reports results_wanted reached', async () => {
+        const { fetched, fetchPage } = makeListing({ total: 40 });
+        const result = await walkListingPages(`${API}?q=milk&page=1`, {
+            fetchPage,
+            push: async (products, url, pageNumber) => ({ done: pageNumber === 2, added: products.length }),
+            maxPages: 10,
+        });
+        assert.deepEqual(result, { done: true, ended: false, failed: false });
+        assert.deepEqual(fetched, [1, 2]);
+    });
+});
@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { getUnitPricing, parsePackSize, splitPackSize } from '../src/pack-size.js';
+
+describe('parsePackSize', () => {
+    // [label, net_quantity_value, net_quantity_unit, pack_count]
+    const cases = [
+        ['500 ml', 500, 'ml', 1],
+        ['1 kg', 1000, 'g', 1],
+        ['1.5 L', 1500, 'ml', 1],
+        ['250 mg', 0.25, 'g', 1],
+        ['2 pieces', 2, 'piece', 1],
+        ['12 pcs', 12, 'piece', 1],
+        ['6 x 200 g', 1200, 'g', 6],
+        ['4 × 1 l', 4000, 'ml', 4],
+        ['1 kg x 2', 2000, 'g', 2],
+        ['200-250 g', 225, 'g', 1],
+        ['200 g - 250 g', 225, 'g', 1],
+        ['200 g – 250 g', 225, 'g', 1],
+        ['900 g - 1.1 kg', 1000, 'g', 1],
+        ['1 kg to 1.2 kg', 1100, 'g', 1],
+        ['4 pcs (500-600 g)', 550, 'g', 1],
+        ['2 pcs - 500 g', 500, 'g', 1],
+        ['Pack of 3 (100 g)', 300, 'g', 3],
+        ['1,000 ml', 1000, 'ml', 1],
+        ['500 ग्राम', 500, 'g', 1],
+        ['१ किलो', 1000, 'g', 1],
+        ['2 लीटर', 2000, 'ml', 1],
+    ];
+
+    for (const [label, value, unit, packCount] of cases) {
+        it(`parses "${label}"`, () => {
+            assert.deepEqual(parsePackSize(label), {
+                net_quantity_value: value,
+                net_quantity_unit: unit,
+                pack_count: packCount,
+            });
+        });
+    }
+
+    for (const label of [null, undefined, '', 'Family pack', 'green tea', '0 g']) {
+        it(`returns null for ${JSON.stringify(label)}`, () => {
+            assert.equal(parsePackSize(label), null);
+        });
+    }
+});
+
+describe('splitPackSize', () => {
+    // [name, base, size]
+    const cases = [
+        ['Amul Gold Full Cream Milk (500 ml)', 'Amul Gold Full Cream Milk', '500 ml'],
+        ['Fresho Tomato - Hybrid (200 g - 250 g)', 'Fresho Tomato - Hybrid', '200 g - 250 g'],
+        ['Onion 1 kg - 1.2 kg', 'Onion', '1 kg - 1.2 kg'],
+        ['Potato 500-600 g', 'Potato', '500-600 g'],
+        ['Bisleri Water 6 x 1 l', 'Bisleri Water', '6 x 1 l'],
+        ['Maggi Noodles (Pack of 4)', 'Maggi Noodles', 'Pack of 4'],
+        ['Green Tea', 'Green Tea', null],
+    ];
+
+    for (const [name, base, size] of cases) {
+        it(`splits "${name}"`, () => {
+            assert.deepEqual(splitPackSize(name), { base, size });
+        });
+    }
+});
+
+describe('getUnitPricing', () => {
+    // [record, expected]
+    const cases = [
+        [
+            { unit: '500 ml', price: 34 },
+            {
+                net_quantity_value: 500,
+                net_quantity_unit: 'ml',
+                pack_count: 1,
+                price_per_100g: null,
+                price_per_100ml: 6.8,
+                price_per_piece: null,
+            },
+        ],
+        [
+            { unit: '200 g - 250 g', price: 45 },
+            {
+                net_quantity_value: 225,
+                net_quantity_unit: 'g',
+                pack_count: 1,
+                price_per_100g: 20,
+                price_per_100ml: null,
+                price_per_piece: null,
+            },
+        ],
+        [
+            { quantity: '6 pcs', price: 70 },
+            {
+                net_quantity_value: 6,
+                net_quantity_unit: 'piece',
+                pack_count: 1,
+                price_per_100g: null,
+                price_per_100ml: null,
+                price_per_piece: 11.67,
+            },
+        ],
+        [
+            { product_name: 'Tata Salt (1 kg)', price: 0 },
+            {
+                net_quantity_value: 1000,
+                net_quantity_unit: 'g',
+                pack_count: 1,
+                price_per_100g: null,
+                price_per_100ml: null,
+                price_per_piece: null,
+            },
+        ],
+        [{ unit: 'Family pack', product_name: 'Assorted Sweets', price: 250 }, {}],
+    ];
+
+    for (const [record, expected] of cases) {
+        it(`prices ${JSON.stringify(record)}`, () => {
+            assert.deepEqual(getUnitPricing(record), expected);
+        });
+    }
+
+    it('takes unit over quantity over the product name', () => {
+        const pricing = getUnitPricing({ unit: '1 l', quantity: '500 ml', product_name: 'Milk (2 l)', price: 60 });
+        assert.equal(pricing.net_quantity_value, 1000);
+        assert.equal(pricing.price_per_100ml, 6);
+    });
+});
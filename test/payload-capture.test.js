@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { extractProductsFromPayloads, extractProductsFromSnippets } from '../src/extraction.js';
+import {
+    CAPTURE_VERSION,
+    createCapture,
+    getCaptureKey,
+    loadCapture,
+    replayCapture,
+    splitCapture,
+} from '../src/payload-capture.js';
+
+const loadFixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+const searchRequest = {
+    url: 'https://blinkit.com/s/?q=bread',
+    uniqueKey: 'https://blinkit.com/s/?q=bread',
+    userData: { queryKey: 'https://blinkit.com/s/?q=bread', targetType: 'search', searchQuery: 'bread' },
+};
+
+const API_URL = 'https://blinkit.com/v1/layout/search?q=bread';
+
+const makeCapture = () => {
+    const capture = createCapture(searchRequest);
+    capture.redux = loadFixture('redux-search.json');
+    capture.next_data = loadFixture('next-data.json');
+    capture.network.push({ url: API_URL, body: loadFixture('network-search.json') });
+    capture.pages.push(
+        { source: 'direct', url: `${API_URL}&page=2`, body: loadFixture('network-search.json') },
+        { source: 'direct', url: `${API_URL}&page=3`, body: { products: [] } },
+    );
+    return capture;
+};
+
+describe('getCaptureKey', () => {
+    it('hashes the query key into a valid store key', () => {
+        const key = getCaptureKey('https://blinkit.com/s/?q=milk#Koramangala');
+        assert.match(key, /^capture-[0-9a-f]{16}$/);
+        assert.equal(getCaptureKey('https://blinkit.com/s/?q=milk#Koramangala'), key);
+        assert.notEqual(getCaptureKey('https://blinkit.com/s/?q=milk#Andheri'), key);
+    });
+});
+
+describe('splitCapture', () => {
+    const KEY = getCaptureKey(searchRequest.uniqueKey);
+
+    it('saves every body as its own record and loads the capture back', async () => {
+        const capture = JSON.parse(JSON.stringify(makeCapture()));
+        const { records, skipped } = splitCapture(capture, KEY);
+        assert.deepEqual(skipped, []);
+        assert.deepEqual(records.map(([key]) => key), [
+            `${KEY}-redux`,
+            `${KEY}-next-data`,
+            `${KEY}-network-1`,
+            `${KEY}-page-1`,
+            `${KEY}-page-2`,
+            KEY,
+        ]);
+        const [, index] = records[records.length - 1];
+        assert.equal(index.redux, undefined);
+        assert.deepEqual(index.pages[0], { source: 'direct', url: `${API_URL}&page=2`, body_key: `${KEY}-page-1` });
+
+        const store = new Map(records);
+        const loaded = await loadCapture(KEY, async (key) => store.get(key));
+        assert.deepEqual(loaded, { ...capture, skipped: [] });
+    });
+
+    it('leaves out bodies over the size limit', async () => {
+        const capture = makeCapture();
+        capture.pages[0].body = { products: 'x'.repeat(500) };
+        const { records, skipped } = splitCapture(capture, KEY, { maxBodyBytes: 400 });
+        assert.ok(skipped.some(({ part, url }) => part === 'page-1' && url === `${API_URL}&page=2`));
+        const loaded = await loadCapture(KEY, async (key) => new Map(records).get(key));
+        assert.ok(loaded.pages.every(({ url }) => url !== `${API_URL}&page=2`));
+    });
+
+    it('reports missing captures and bodies', async () => {
+        assert.equal(await loadCapture(KEY, async () => undefined), null);
+        const store = new Map(splitCapture(makeCapture(), KEY).records);
+        store.delete(`${KEY}-network-1`);
+        await assert.rejects(loadCapture(KEY, async (key) => store.get(key)), /network-1 is missing/);
+    });
+});
+
+describe('replayCapture', () => {
+    it('feeds every captured source in live-run order under the live labels', async () => {
+        const capture = JSON.parse(JSON.stringify(makeCapture()));
+        const calls = [];
+        const done = await replayCapture(capture, {
+            push: async (products, label) => {
+                calls.push([label, products.length]);
+                return false;
+            },
+        });
+
+        assert.equal(done, false);
+        const networkCount = extractProductsFromPayloads([capture.network[0].body]).length;
+        assert.deepEqual(calls, [
+            ['Redux Store', extractProductsFromSnippets(capture.redux).length],
+            ['__NEXT_DATA__', extractProductsFromPayloads([capture.next_data]).length],
+            ['network JSON', networkCount],
+            ['direct paged JSON (#1)', networkCount],
+        ]);
+    });
+
+    it('stops once push reports the request done', async () => {
+        const labels = [];
+        const done = await replayCapture(makeCapture(), {
+            push: async (products, label) => {
+                labels.push(label);
+                return label === '__NEXT_DATA__';
+            },
+        });
+        assert.equal(done, true);
+        assert.deepEqual(labels, ['Redux Store', '__NEXT_DATA__']);
+    });
+
+    it('passes the extraction options through', async () => {
+        const capture = createCapture(searchRequest);
+        capture.network.push({ url: 'https://blinkit.com/v1/search', body: loadFixture('network-search.json') });
+        let sample;
+        await replayCapture(capture, {
+            extractOptions: { fieldSources: true },
+            push: async ([product]) => {
+                sample = product;
+                return true;
+            },
+        });
+        assert.ok(sample.field_sources);
+    });
+
+    it('rejects captures of another format version', async () => {
+        await assert.rejects(
+            replayCapture({ ...makeCapture(), version: CAPTURE_VERSION + 1 }, { push: async () => false }),
+            /Unsupported capture version/,
+        );
+    });
+});
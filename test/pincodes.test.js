@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { assertInsideIndia, isInsideIndia, resolveDeliveryArea } from '../src/pincodes.js';
+
+describe('isInsideIndia', () => {
+    it('accepts coordinates across the country and rejects the rest', () => {
+        assert.equal(isInsideIndia(12.9352, 77.6245), true);
+        assert.equal(isInsideIndia(34.1526, 77.5771), true);
+        assert.equal(isInsideIndia(11.6234, 92.7265), true);
+        assert.equal(isInsideIndia(51.5072, -0.1276), false);
+        assert.equal(isInsideIndia(Number.NaN, 77.6245), false);
+        assert.equal(isInsideIndia(12.9352, undefined), false);
+    });
+
+    it('rejects neighbouring countries inside the bounding box of India', () => {
+        for (const [place, latitude, longitude] of [
+            ['Lahore', 31.5204, 74.3587],
+            ['Kathmandu', 27.7172, 85.324],
+            ['Dhaka', 23.8103, 90.4125],
+            ['Thimphu', 27.4728, 89.639],
+            ['Jaffna', 9.6615, 80.0255],
+        ]) {
+            assert.equal(isInsideIndia(latitude, longitude), false, place);
+        }
+    });
+
+    it('accepts border cities on the Indian side', () => {
+        assert.equal(isInsideIndia(31.634, 74.8723), true);
+        assert.equal(isInsideIndia(26.7271, 88.3953), true);
+        assert.equal(isInsideIndia(23.8315, 91.2868), true);
+    });
+});
+
+describe('assertInsideIndia', () => {
+    it('passes coordinates inside India', () => {
+        assert.doesNotThrow(() => assertInsideIndia(19.1364, 72.8296, 'latitude/longitude'));
+    });
+
+    it('names the source of coordinates outside India', () => {
+        assert.throws(
+            () => assertInsideIndia(40.7128, -74.006, 'Location "NYC"'),
+            /^Error: Location "NYC" \(40\.7128, -74\.006\) is outside India/,
+        );
+    });
+});
+
+describe('resolveDeliveryArea', () => {
+    it('returns null without a pincode or locality', () => {
+        assert.equal(resolveDeliveryArea({}), null);
+        assert.equal(resolveDeliveryArea(), null);
+        assert.equal(resolveDeliveryArea({ pincode: '', locality: '  ' }), null);
+    });
+
+    it('resolves pincodes of the India Post data, not just the curated localities', () => {
+        for (const [pincode, state] of [
+            ['560034', 'Karnataka'],
+            ['110001', 'Delhi'],
+            ['799001', 'Tripura'],
+            ['682001', 'Kerala'],
+            ['744101', 'Andaman And Nicobar Islands'],
+        ]) {
+            const area = resolveDeliveryArea({ pincode });
+            assert.equal(area.pincode, pincode);
+            assert.equal(area.state, state);
+            assert.equal(area.locality, null);
+            assert.equal(isInsideIndia(area.latitude, area.longitude), true, pincode);
+        }
+    });
+
+    it('accepts a numeric pincode and names the city of curated pincodes', () => {
+        const area = resolveDeliveryArea({ pincode: 560034 });
+        assert.equal(area.city, 'Bengaluru');
+        assert.ok(Math.abs(area.latitude - 12.93) < 0.05 && Math.abs(area.longitude - 77.62) < 0.05);
+    });
+
+    it('resolves a curated locality of a pincode to its own coordinates', () => {
+        assert.deepEqual(resolveDeliveryArea({ pincode: '400053', locality: 'lokhandwala' }), {
+            pincode: '400053',
+            locality: 'Lokhandwala',
+            city: 'Mumbai',
+            state: 'Maharashtra',
+            latitude: 19.1425,
+            longitude: 72.8227,
+        });
+    });
+
+    it('resolves a post office name of a pincode', () => {
+        const area = resolveDeliveryArea({ pincode: '560034', locality: 'St. Johns Medical College' });
+        assert.equal(area.locality, 'St. Johns Medical College');
+        assert.equal(area.pincode, '560034');
+    });
+
+    it('finds the pincode of a locality given alone', () => {
+        const area = resolveDeliveryArea({ locality: 'HSR Layout' });
+        assert.equal(area.pincode, '560102');
+        assert.equal(area.city, 'Bengaluru');
+    });
+
+    it('asks for the pincode when a locality name is shared by far apart places', () => {
+        assert.throws(() => resolveDeliveryArea({ locality: 'Andheri' }), /matches places in \d+ pincodes .*400053/);
+        assert.equal(resolveDeliveryArea({ locality: 'Andheri', pincode: '400053' }).pincode, '400053');
+    });
+
+    it('rejects malformed and unknown pincodes and localities', () => {
+        assert.throws(() => resolveDeliveryArea({ pincode: '5600' }), /Invalid pincode "5600": expected 6 digits/);
+        assert.throws(() => resolveDeliveryArea({ pincode: '056003' }), /Invalid pincode/);
+        assert.throws(() => resolveDeliveryArea({ pincode: '999999' }), /Unknown pincode "999999"/);
+        assert.throws(
+            () => resolveDeliveryArea({ pincode: '560034', locality: 'Atlantis' }),
+            /Unknown locality "Atlantis" for pincode 560034 \(known: .*Koramangala/,
+        );
+        assert.throws(() => resolveDeliveryArea({ locality: 'Atlantis' }), /Unknown locality "Atlantis"\./);
+    });
+});
@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { extractProductsFromSnippets } from '../src/extraction.js';
+import { getPriceChecks } from '../src/price-checks.js';
+
+describe('getPriceChecks', () => {
+    it('computes discount and savings from price and MRP', () => {
+        assert.deepEqual(getPriceChecks({ price: 51, original_price: 59, discount_label: '14% OFF' }), {
+            discount_pct: 13.56,
+            savings_amount: 8,
+            quality_flags: [],
+        });
+        assert.deepEqual(getPriceChecks({ price: 28, original_price: 28 }), {
+            discount_pct: 0,
+            savings_amount: 0,
+            quality_flags: [],
+        });
+    });
+
+    it('accepts rupee amount labels', () => {
+        const rupees = getPriceChecks({ price: 90, original_price: 100, discount_label: '₹10 OFF' });
+        assert.deepEqual(rupees.quality_flags, []);
+        assert.deepEqual(
+            getPriceChecks({ price: 90, original_price: 100, discount_label: '₹25 OFF' }).quality_flags,
+            ['discount_label_mismatch'],
+        );
+    });
+
+    it('flags labels that disagree with price and MRP', () => {
+        assert.deepEqual(
+            getPriceChecks({ price: 51, original_price: 59, discount_label: '30% OFF' }).quality_flags,
+            ['discount_label_mismatch'],
+        );
+    });
+
+    it('flags price above MRP and zero price', () => {
+        const above = getPriceChecks({ price: 65, original_price: 59 });
+        assert.deepEqual(above.quality_flags, ['price_above_mrp']);
+        assert.equal(above.discount_pct, null);
+        assert.equal(above.savings_amount, null);
+
+        assert.deepEqual(getPriceChecks({ price: 0, original_price: 59 }).quality_flags, ['zero_price']);
+    });
+
+    it('leaves discount fields empty without an MRP', () => {
+        assert.deepEqual(getPriceChecks({ price: 40 }), {
+            discount_pct: null,
+            savings_amount: null,
+            quality_flags: [],
+        });
+    });
+
+    it('checks the payload label, not the discount computed by the snippet mapping', () => {
+        const [product] = extractProductsFromSnippets({
+            snippets: [{
+                widget_type: 'product_card_snippet_type_2',
+                data: {
+                    name: { text: 'Tata Salt' },
+                    discount: { text: '50% OFF' },
+                    atc_action: { add_to_cart: { cart_item: { product_id: 1, price: 28, mrp: 30, inventory: 3 } } },
+                },
+            }],
+        });
+        assert.equal(product.discount_label, '50% OFF');
+        assert.deepEqual(getPriceChecks(product).quality_flags, ['discount_label_mismatch']);
+    });
+});
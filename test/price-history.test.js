@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createPriceTracker, makeScopeKey } from '../src/price-history.js';
+import { createResultFilter } from '../src/result-filters.js';
+
+const LISTING_URL = 'https://blinkit.com/s/?q=milk';
+
+const record = (productId, fields) => ({
+    product_id: productId,
+    product_name: `Milk ${productId}`,
+    price: 30,
+    original_price: 32,
+    in_stock: true,
+    availability: 'In Stock',
+    search_query: 'milk',
+    url: LISTING_URL,
+    ...fields,
+});
+
+// Stands in for the named snapshot key-value store
+const createStore = () => {
+    const records = new Map();
+    return {
+        records,
+        getValue: async (key) => records.get(key) ?? null,
+        setValue: async (key, value) => { records.set(key, JSON.parse(JSON.stringify(value))); },
+    };
+};
+
+describe('createPriceTracker', () => {
+    it('reports price and stock changes and delistings against the previous run', async () => {
+        const store = createStore();
+        const first = await createPriceTracker({ store });
+        assert.deepEqual(first.observe([record(1), record(2)]).map((event) => event.event_type), [
+            'new_product',
+            'new_product',
+        ]);
+        await first.finish([makeScopeKey(LISTING_URL)]);
+
+        const second = await createPriceTracker({ store });
+        const events = second.observe([record(1, { price: 28, in_stock: false, availability: 'Out of Stock' })]);
+        assert.deepEqual(events.map((event) => event.event_type), ['price_change', 'went_out_of_stock']);
+        const delisted = await second.finish([makeScopeKey(LISTING_URL)]);
+        assert.deepEqual(delisted.map((event) => [event.event_type, event.product_id]), [['delisted', 2]]);
+    });
+
+    it('keeps products the result filters dropped out of the changes, without delisting them', async () => {
+        const store = createStore();
+        const first = await createPriceTracker({ store });
+        first.observe([record(1), record(2), record(3)]);
+        await first.finish([makeScopeKey(LISTING_URL)]);
+
+        // A run with in_stock_only and changes output: product 2 went out of stock, product 3 left the listing
+        const filter = createResultFilter({ in_stock_only: true });
+        const { kept, rejected } = filter.apply([
+            record(1, { price: 29 }),
+            record(2, { in_stock: false, availability: 'Out of Stock' }),
+        ]);
+        const second = await createPriceTracker({ store });
+        const changes = second.observe(kept);
+        second.remember(rejected);
+        changes.push(...await second.finish([makeScopeKey(LISTING_URL)]));
+        assert.deepEqual(changes.map((event) => [event.event_type, event.product_id]), [
+            ['price_change', 1],
+            ['delisted', 3],
+        ]);
+
+        // The snapshot still follows the dropped product, so the next run sees it come back in stock
+        const third = await createPriceTracker({ store });
+        const events = third.observe([record(2)]);
+        assert.deepEqual(events.map((event) => event.event_type), ['back_in_stock']);
+    });
+});
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { normalizeProduct } from '../src/extraction.js';
+import { extractProductDetails } from '../src/product-details.js';
+
+const loadFixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+const normalizeVariant = (raw) => normalizeProduct(raw);
+
+describe('extractProductDetails', () => {
+    it('reads the labelled attributes of the product details section', () => {
+        const details = extractProductDetails([loadFixture('pdp-product.json')], { normalizeVariant });
+
+        assert.equal(details.key_features, 'Pasteurised\nRich in calcium');
+        assert.equal(details.shelf_life, '2 days');
+        assert.equal(details.storage_instructions, 'Keep refrigerated below 4°C');
+        assert.equal(details.nutrition_info, 'Energy 58 kcal, Fat 3 g per 100 ml');
+        assert.equal(details.country_of_origin, 'India');
+        assert.equal(details.manufacturer_details, 'Gujarat Co-operative Milk Marketing Federation Ltd., Anand');
+        assert.equal(details.seller_name, 'Moonstone Ventures LLP');
+        assert.equal(details.fssai_license, '10019022008724');
+    });
+
+    it('skips attributes whose value only repeats the label, and unknown labels', () => {
+        const details = extractProductDetails([loadFixture('pdp-product.json')], { normalizeVariant });
+        assert.equal(details.return_policy, undefined);
+        assert.equal(details.unit, undefined);
+        assert.equal(details.description, undefined);
+    });
+
+    it('collects gallery images as http(s) URLs only', () => {
+        const { images } = extractProductDetails([loadFixture('pdp-product.json')], { normalizeVariant });
+        assert.deepEqual(images, [
+            'https://cdn.grofers.com/cms-assets/cms/product/amul-taaza-1.png',
+            'https://cdn.grofers.com/cms-assets/cms/product/amul-taaza-2.png',
+        ]);
+    });
+
+    it('normalizes pack variants and drops repeated ones', () => {
+        const variants = extractProductDetails([loadFixture('pdp-product.json')], { normalizeVariant }).pack_variants;
+
+        assert.equal(variants.length, 2);
+        assert.deepEqual(variants.map((variant) => [variant.product_id, variant.unit, variant.price]), [
+            [19512, '500 ml', 27],
+            [19513, '1 l', 54],
+        ]);
+        assert.equal(variants[1].original_price, 56);
+        assert.equal(variants[1].availability, 'Out of Stock');
+        assert.equal(variants[0].product_url, 'https://blinkit.com/prn/amul-taaza-toned-fresh-milk/prid/19512');
+    });
+
+    it('fills gaps from JSON-LD and merges its images, the first source winning', () => {
+        const details = extractProductDetails(
+            [loadFixture('pdp-product.json'), loadFixture('pdp-jsonld.json')],
+            { normalizeVariant },
+        );
+
+        assert.equal(details.description, 'Amul Taaza is toned milk, pasteurised and packed hygienically.');
+        assert.equal(details.gtin, '8901262010016');
+        assert.equal(details.shelf_life, '2 days');
+        assert.equal(details.images.length, 3);
+        assert.equal(details.images[2], 'https://cdn.grofers.com/cms-assets/cms/product/amul-taaza-3.png');
+    });
+
+    it('returns null images and variants when the page has none, and skips variants without a normalizer', () => {
+        assert.deepEqual(extractProductDetails([]), { images: null, pack_variants: null });
+        const details = extractProductDetails([loadFixture('pdp-product.json')]);
+        assert.equal(details.pack_variants, null);
+        assert.equal(details.shelf_life, '2 days');
+    });
+});
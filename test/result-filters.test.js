@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createResultFilter } from '../src/result-filters.js';
+
+const record = (fields) => ({
+    product_name: 'Amul Taaza Toned Fresh Milk',
+    brand: 'Amul',
+    price: 28,
+    discount_pct: 3.45,
+    in_stock: true,
+    ...fields,
+});
+
+describe('createResultFilter', () => {
+    it('is inactive without filter inputs', () => {
+        const filter = createResultFilter({ results_wanted: 20, brands_include: [] });
+        assert.equal(filter.active, false);
+        assert.equal(filter.check(record({ price: undefined })), null);
+    });
+
+    it('checks the price band and discount', () => {
+        const filter = createResultFilter({ min_price: 20, max_price: 60, min_discount_pct: 5 });
+        assert.equal(filter.check(record({ price: 70 })), 'price');
+        assert.equal(filter.check(record({ price: undefined })), 'price');
+        assert.equal(filter.check(record({ discount_pct: undefined })), 'discount');
+        assert.equal(filter.check(record({ discount_pct: 12.5 })), null);
+    });
+
+    it('matches brands case-insensitively and falls back to the name', () => {
+        const filter = createResultFilter({ brands_include: ['amul', 'Mother Dairy'], brands_exclude: ['Amul'] });
+        assert.equal(filter.check(record({})), 'brand');
+        assert.equal(filter.check(record({ brand: undefined, product_name: 'Mother Dairy Cow Milk' })), null);
+        assert.equal(filter.check(record({ brand: 'Nandini' })), 'brand');
+    });
+
+    it('keeps only known in-stock records and applies name patterns', () => {
+        const filter = createResultFilter({ in_stock_only: true, name_include: 'milk', name_exclude: 'flavou?red' });
+        assert.equal(filter.check(record({ in_stock: undefined })), 'stock');
+        assert.equal(filter.check(record({ product_name: 'Amul Kool Flavoured Milk' })), 'name');
+        assert.equal(filter.check(record({ product_name: 'Amul Butter' })), 'name');
+        assert.equal(filter.check(record({})), null);
+    });
+
+    it('counts dropped records per reason', () => {
+        const filter = createResultFilter({ max_price: 30, in_stock_only: true });
+        const { kept, rejected, dropped } = filter.apply([
+            record({}),
+            record({ price: 64 }),
+            record({ price: 66 }),
+            record({ in_stock: false }),
+        ]);
+        assert.equal(kept.length, 1);
+        assert.deepEqual(rejected.map((r) => [r.price, r.in_stock]), [[64, true], [66, true], [28, false]]);
+        assert.deepEqual(dropped, { price: 2, stock: 1 });
+    });
+
+    it('rejects invalid inputs', () => {
+        assert.throws(() => createResultFilter({ min_price: -1 }), /min_price must be a non-negative number/);
+        assert.throws(() => createResultFilter({ min_price: 50, max_price: 10 }), /must not be greater/);
+        assert.throws(() => createResultFilter({ name_include: '(' }), /valid regular expression/);
+        assert.throws(() => createResultFilter({ brands_include: 'Amul' }), /list of brand names/);
+    });
+});
@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createRunStats, getExtractionSource, normalizeLabel } from '../src/run-summary.js';
+
+describe('extraction labels', () => {
+    it('maps pushResults labels to their source', () => {
+        assert.equal(getExtractionSource('Redux Store (scroll)'), 'redux_store');
+        assert.equal(getExtractionSource('__NEXT_DATA__'), 'next_data');
+        assert.equal(getExtractionSource('network JSON (final)'), 'network_json');
+        assert.equal(getExtractionSource('direct paged JSON (#2)'), 'direct_paged_json');
+        assert.equal(getExtractionSource('HTTP JSON (#1)'), 'http_json');
+        assert.equal(getExtractionSource('DOM'), 'other');
+    });
+
+    it('drops page numbers so every page counts under one label', () => {
+        assert.equal(normalizeLabel('direct paged JSON (#12)'), 'direct paged JSON');
+        assert.equal(normalizeLabel('Redux Store (final)'), 'Redux Store (final)');
+    });
+});
+
+describe('createRunStats', () => {
+    it('adds up extraction counts per source and label', () => {
+        const runStats = createRunStats();
+        runStats.recordExtraction('Redux Store', { extracted: 24, duplicates: 0, products: 20 });
+        runStats.recordExtraction('Redux Store (scroll)', { extracted: 48, duplicates: 24, products: 24 });
+        runStats.recordExtraction('direct paged JSON (#1)', { extracted: 24, duplicates: 3, products: 21 });
+        runStats.recordExtraction('direct paged JSON (#2)', { extracted: 24, duplicates: 24, products: 0 });
+        runStats.countFiltered({ price: 4, brand: 1 });
+        runStats.countFiltered({ price: 2 });
+        runStats.countScrollAttempt();
+        runStats.countPaginationCall();
+        runStats.countPaginationCall();
+
+        const summary = runStats.build({ total_products: 65 });
+        assert.deepEqual(summary.sources, {
+            redux_store: { calls: 2, extracted: 72, duplicates: 24, products: 44 },
+            direct_paged_json: { calls: 2, extracted: 48, duplicates: 27, products: 21 },
+        });
+        assert.deepEqual(Object.keys(summary.labels), ['Redux Store', 'Redux Store (scroll)', 'direct paged JSON']);
+        assert.equal(summary.duplicates_dropped, 51);
+        assert.deepEqual(summary.filtered_out, { price: 6, brand: 1 });
+        assert.equal(summary.scroll_attempts, 1);
+        assert.equal(summary.pagination_calls, 2);
+        assert.equal(summary.total_products, 65);
+    });
+
+    it('sums phase durations, including phases repeated after a restart', () => {
+        let clock = 1000;
+        const stats = {};
+        const first = createRunStats(stats, { now: () => clock });
+        const endSetup = first.startPhase('setup', 0);
+        const endListing = first.startPhase('listing');
+        clock = 4000;
+        endSetup();
+        endListing();
+
+        // A restarted process continues with the persisted stats object
+        const resumed = createRunStats(stats, { now: () => clock });
+        const endAgain = resumed.startPhase('listing');
+        clock = 6500;
+        endAgain();
+
+        const summary = resumed.build();
+        assert.deepEqual(summary.phases_ms, { setup: 4000, listing: 5500 });
+        assert.equal(summary.total_ms, 9500);
+    });
+});
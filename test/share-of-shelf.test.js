@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createShareOfShelf, inferBrand, renderShareOfShelfHtml } from '../src/share-of-shelf.js';
+
+const SEARCH_URL = 'https://blinkit.com/s/?q=milk';
+
+const listing = (rank, name, fields = {}) => ({
+    search_query: 'milk',
+    url: SEARCH_URL,
+    search_rank: rank,
+    product_name: name,
+    availability: 'In Stock',
+    ...fields,
+});
+
+describe('inferBrand', () => {
+    it('prefers the longest known brand the name starts with', () => {
+        assert.equal(inferBrand('Mother Dairy Toned Milk', ['Mother', 'Mother Dairy']), 'Mother Dairy');
+        assert.equal(inferBrand('Amulya Dairy Whitener', ['Amul']), 'Amulya');
+        assert.equal(inferBrand('Nandini Toned Milk', []), 'Nandini');
+        assert.equal(inferBrand('', ['Amul']), null);
+    });
+});
+
+describe('createShareOfShelf', () => {
+    const build = () => {
+        const shelf = createShareOfShelf({ topN: 3 });
+        // Added out of rank order, as records arrive from several sources
+        shelf.add([
+            listing(4, 'Amul Gold Milk', { brand: 'Amul', price: 34, discount_pct: 0 }),
+            listing(1, 'Amul Taaza Milk', { brand: 'Amul', price: 28, discount_pct: 3.45, is_sponsored: true }),
+            listing(2, 'Mother Dairy Toned Milk', { price: 27 }),
+            listing(3, 'Mother Dairy Cow Milk', { brand: 'Mother Dairy', price: 30, availability: 'Out of Stock' }),
+        ]);
+        return shelf.build();
+    };
+
+    it('counts brands in the top N by rank', () => {
+        const [query] = build().queries;
+        assert.equal(query.search_query, 'milk');
+        assert.equal(query.listings, 4);
+        assert.equal(query.top_n_listings, 3);
+        assert.deepEqual(query.brands.map((b) => [b.brand, b.top_n_count, b.share_of_shelf_pct]), [
+            ['Mother Dairy', 2, 66.67],
+            ['Amul', 1, 33.33],
+        ]);
+    });
+
+    it('averages rank, price, discount and stock over all listings of a brand', () => {
+        const [query] = build().queries;
+        const amul = query.brands.find((b) => b.brand === 'Amul');
+        assert.equal(amul.listings, 2);
+        assert.equal(amul.avg_rank, 2.5);
+        assert.equal(amul.avg_price, 31);
+        assert.equal(amul.avg_discount_pct, 1.73);
+        assert.equal(amul.sponsored_in_top_n, 1);
+
+        const motherDairy = query.brands.find((b) => b.brand === 'Mother Dairy');
+        assert.equal(motherDairy.out_of_stock_share_pct, 50);
+        assert.equal(motherDairy.avg_discount_pct, null);
+    });
+
+    it('resumes from persisted state with the records added before the restart', () => {
+        const state = {};
+        const first = createShareOfShelf({ topN: 3, state });
+        first.add([
+            listing(1, 'Amul Taaza Milk', { brand: 'Amul', price: 28, product_url: 'https://blinkit.com/prn/x' }),
+            listing(2, 'Mother Dairy Toned Milk', { price: 27 }),
+        ]);
+
+        // A restarted process gets the state back from the key-value store
+        const resumed = createShareOfShelf({ topN: 3, state: JSON.parse(JSON.stringify(state)) });
+        resumed.add([listing(3, 'Mother Dairy Cow Milk', { brand: 'Mother Dairy', price: 30 })]);
+
+        const [query] = resumed.build().queries;
+        assert.equal(query.listings, 3);
+        assert.deepEqual(query.brands.map((b) => [b.brand, b.top_n_count, b.avg_rank]), [
+            ['Mother Dairy', 2, 2.5],
+            ['Amul', 1, 1],
+        ]);
+        // Only the fields the report reads are kept in the state
+        assert.equal(state.queries[`${SEARCH_URL}#`].records[0].product_url, undefined);
+    });
+
+    it('keeps locations apart and renders an HTML table', () => {
+        const shelf = createShareOfShelf();
+        shelf.add([listing(1, 'Amul <Taaza>', { brand: 'Amul', location_label: 'Delhi' })]);
+        shelf.add([listing(1, 'Amul Taaza', { brand: 'Amul', location_label: 'Mumbai' })]);
+        const report = shelf.build();
+        assert.equal(report.queries.length, 2);
+
+        const html = renderShareOfShelfHtml(report);
+        assert.match(html, /<h2>milk @ Delhi<\/h2>/);
+        assert.match(html, /<td>Amul<\/td><td>1<\/td><td>100<\/td>/);
+    });
+});
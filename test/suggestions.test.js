@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { extractSuggestions, getSuggestQuery, getTypedPrefixes } from '../src/suggestions.js';
+
+const loadFixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+describe('extractSuggestions', () => {
+    const suggestions = extractSuggestions([loadFixture('autosuggest.json')]);
+
+    it('keeps keywords, categories and brands in display order', () => {
+        assert.deepEqual(suggestions.map((s) => [s.position, s.suggestion_type, s.suggestion]), [
+            [1, 'keyword', 'milk'],
+            [2, 'keyword', 'milk powder'],
+            [3, 'category', 'Dairy, Bread & Eggs'],
+            [4, 'brand', 'Amul'],
+        ]);
+    });
+
+    it('skips headers, tags, product cards and repeats', () => {
+        const labels = suggestions.map((s) => s.suggestion);
+        for (const label of ['Suggestions', 'Trending', 'Amul Taaza Toned Milk', '500 ml', 'Milk']) {
+            assert.ok(!labels.includes(label), label);
+        }
+    });
+
+    it('reads the deeplink of a suggestion', () => {
+        assert.equal(suggestions[2].deeplink, '/cn/dairy-breakfast/cid/14/922');
+        assert.equal(suggestions[0].deeplink, null);
+    });
+
+    it('reads plain keyword lists', () => {
+        assert.deepEqual(
+            extractSuggestions([{ suggestions: [{ keyword: 'atta' }, { keyword: 'aata 5 kg' }] }])
+                .map((s) => s.suggestion),
+            ['atta', 'aata 5 kg'],
+        );
+    });
+});
+
+describe('getTypedPrefixes', () => {
+    it('types the seed, or each of its prefixes', () => {
+        assert.deepEqual(getTypedPrefixes(' milk '), ['milk']);
+        assert.deepEqual(getTypedPrefixes('dal', { prefixes: true }), ['d', 'da', 'dal']);
+        assert.deepEqual(getTypedPrefixes('ab c', { prefixes: true, minLength: 2 }), ['ab', 'ab c']);
+        assert.deepEqual(getTypedPrefixes(''), []);
+    });
+});
+
+describe('getSuggestQuery', () => {
+    it('reads the typed text from the URL or the JSON body', () => {
+        assert.equal(getSuggestQuery('https://blinkit.com/v1/layout/search/autosuggest?q=mi&size=10'), 'mi');
+        assert.equal(getSuggestQuery('https://blinkit.com/v2/autosuggest', '{"query":"mil"}'), 'mil');
+        assert.equal(getSuggestQuery('https://blinkit.com/v2/autosuggest', 'query=mil'), null);
+    });
+});
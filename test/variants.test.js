@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { extractProductsFromSnippets } from '../src/extraction.js';
+import { splitPackSize } from '../src/pack-size.js';
+import { createVariantGrouper } from '../src/variants.js';
+
+const loadFixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+const byId = (records, id) => records.find((r) => r.product_id === id);
+
+describe('splitPackSize', () => {
+    it('separates the pack size from the product name', () => {
+        assert.deepEqual(splitPackSize('Amul Gold Full Cream Milk (500 ml)'), {
+            base: 'Amul Gold Full Cream Milk',
+            size: '500 ml',
+        });
+        assert.deepEqual(splitPackSize('Coca-Cola 6 x 300 ml'), { base: 'Coca-Cola', size: '6 x 300 ml' });
+        assert.deepEqual(splitPackSize('Maggi Noodles Pack of 4'), { base: 'Maggi Noodles', size: 'Pack of 4' });
+        assert.deepEqual(splitPackSize('Tata Salt'), { base: 'Tata Salt', size: null });
+    });
+});
+
+describe('createVariantGrouper', () => {
+    const products = extractProductsFromSnippets(loadFixture('redux-variants.json'));
+
+    it('keeps the variant list of a product card as variant_options', () => {
+        const card = byId(products, 19512);
+        assert.equal(card.group_id, '80211');
+        assert.deepEqual(card.variant_options.map((v) => v.product_id), [19513, 19514]);
+    });
+
+    it('groups by the payload group id and joins name-only siblings to it', () => {
+        const records = createVariantGrouper().assign(products);
+        const half = byId(records, 19512);
+        const litre = byId(records, 19513);
+
+        assert.equal(half.group_id, '80211');
+        assert.equal(half.variant_label, '500 ml');
+        assert.equal(half.variant_options, undefined);
+        assert.equal(litre.group_id, '80211');
+        assert.equal(litre.variant_label, '1 l');
+        assert.equal(half.variant_count, 3);
+        assert.deepEqual(half.variants.map((v) => v.variant_label), ['500 ml', '1 l', '6 x 500 ml']);
+        assert.equal(half.variants[2].availability, 'Out of Stock');
+    });
+
+    it('falls back to brand and name without pack size', () => {
+        const records = createVariantGrouper().assign(products);
+        const small = byId(records, 30001);
+        const large = byId(records, 30002);
+
+        assert.equal(small.group_id, 'name:mother-dairy-toned-milk');
+        assert.equal(large.group_id, small.group_id);
+        assert.equal(large.variant_label, '1 L');
+        assert.deepEqual(small.variants.map((v) => v.product_id), [30001, 30002]);
+    });
+
+    it('keeps scopes apart and accumulates across batches', () => {
+        const grouper = createVariantGrouper();
+        grouper.assign([byId(products, 30001)], 'Delhi');
+        grouper.assign([byId(products, 30001)], 'Mumbai');
+        const [later] = grouper.assign([byId(products, 30002)], 'Delhi');
+
+        assert.deepEqual(later.variants.map((v) => v.product_id), [30001, 30002]);
+
+        const groups = grouper.groups();
+        assert.equal(groups.length, 2);
+        const delhi = groups.find((g) => g.location_label === 'Delhi');
+        assert.equal(delhi.product_name, 'Mother Dairy Toned Milk');
+        assert.equal(delhi.variant_count, 2);
+        assert.equal(delhi.min_price, 27);
+        assert.equal(delhi.max_price, 54);
+    });
+
+    it('resumes from persisted state with the groups seen before the restart', () => {
+        const state = {};
+        createVariantGrouper(state).assign([byId(products, 19512), byId(products, 30001)], 'Delhi');
+
+        // A restarted process gets the state back from the key-value store
+        const resumed = createVariantGrouper(JSON.parse(JSON.stringify(state)));
+        const [large] = resumed.assign([byId(products, 30002)], 'Delhi');
+        assert.deepEqual(large.variants.map((v) => v.product_id), [30001, 30002]);
+
+        const uninterrupted = createVariantGrouper();
+        uninterrupted.assign([byId(products, 19512), byId(products, 30001)], 'Delhi');
+        uninterrupted.assign([byId(products, 30002)], 'Delhi');
+        // Compared as saved JSON, which has no undefined fields
+        const toJson = (groups) => JSON.parse(JSON.stringify(groups));
+        assert.deepEqual(toJson(resumed.groups()), toJson(uninterrupted.groups()));
+    });
+});